@@ -0,0 +1,806 @@
+// --- BILL STATE ---
+// DOM-free helpers for the bill state: defaults, migrations, JSON import
+// validation and merging, the share-link format, removing people, groups, items,
+// adjustments and tax rates, checking new and edited items, assigning the parts
+// of items nobody pays for and switching the bill to another currency. Loaded
+// with a <script> tag it defines `window.LunchBill`; under Node it is a CommonJS
+// module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency.js'), require('./split.js'));
+    } else {
+        root.LunchBill = factory(root.LunchCurrency, root.LunchSplit);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LunchCurrency, LunchSplit) {
+    'use strict';
+
+    const { CURRENCIES, DEFAULT_CURRENCY, currencyDecimals } = LunchCurrency;
+
+    const {
+        ROUNDING_METHODS, DEFAULT_ROUNDING_METHOD, TIP_MODES, DEFAULT_TIP_MODE, TIP_SPLITS, DEFAULT_TIP_SPLIT,
+        ADJUSTMENT_DISTRIBUTIONS, SHARE_MODES, toMinor, allocateMinor, shareModeOf, computeSplit
+    } = LunchSplit;
+
+    function createDefaultState() {
+        return {
+            people: [],
+            items: [],
+            nextPersonId: 0,
+            nextItemId: 0,
+            groups: [], // Named groups of people items can be split among: [{ id, name, personIds }]
+            nextGroupId: 0,
+            tax: 0, // Default tax rate, in percent
+            taxRates: [], // Named rates items can use instead: [{ id, name, rate }]
+            nextTaxRateId: 0,
+            tip: 10, // Tip in percent, for the percentage tip modes
+            tipMode: DEFAULT_TIP_MODE, // See TIP_MODES
+            tipAmount: 0, // Tip for the fixed tip mode
+            tipSplit: DEFAULT_TIP_SPLIT, // How a fixed tip is shared, see TIP_SPLITS
+            tipExempt: [], // Ids of people who pay no tip
+            adjustments: [], // [{ id, name, type: 'percent' | 'fixed', value, distribution, personIds }]
+            nextAdjustmentId: 0,
+            payments: {}, // { personId: amount actually paid }
+            currency: DEFAULT_CURRENCY, // Prices and payments are in this currency, see CURRENCIES
+            settlementCurrencies: {}, // { personId: currency } for people who settle in another currency
+            exchangeRates: {}, // { currency: units of it per unit of the bill currency }
+            isTransposed: false,
+            roundingMethod: DEFAULT_ROUNDING_METHOD // How leftover cents are handed out, see ROUNDING_METHODS
+        };
+    }
+
+    // A person's identity across bills. The numeric `id` only means something
+    // inside one bill; `uid` is what the group ledger matches people by.
+    function createPersonUid() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    // --- MIGRATIONS ---
+    // Migrate old item formats to the current one (personQuantities)
+    function migrateItem(item) {
+        // Migrate from sharedBy (checkbox format) to personQuantities
+        if (item.sharedBy && !item.personQuantities && !item.personAmounts) {
+            const personQuantities = {};
+            item.sharedBy.forEach(personId => {
+                personQuantities[personId] = 1; // 1 quantity each
+            });
+            return { ...item, personQuantities, sharedBy: undefined };
+        }
+        // Migrate from personAmounts (amount format) to personQuantities
+        if (item.personAmounts && !item.personQuantities) {
+            const personQuantities = {};
+            // For backwards compatibility, assume equal quantities if amounts were equal
+            const amounts = Object.values(item.personAmounts);
+            const allEqualAmounts = amounts.length > 0 && amounts.every(amt => Math.abs(amt - amounts[0]) < 0.01);
+
+            if (allEqualAmounts) {
+                Object.keys(item.personAmounts).forEach(personId => {
+                    personQuantities[personId] = 1;
+                });
+            } else {
+                // Convert amounts to quantities (this is approximate)
+                const totalAmount = amounts.reduce((sum, amt) => sum + amt, 0);
+                Object.entries(item.personAmounts).forEach(([personId, amount]) => {
+                    personQuantities[personId] = totalAmount > 0 ? (amount / totalAmount) * amounts.length : 1;
+                });
+            }
+            return { ...item, personQuantities, personAmounts: undefined };
+        }
+        return item;
+    }
+
+    function migrateAdjustment(adjustment) {
+        return {
+            ...adjustment,
+            type: adjustment.type === 'percent' ? 'percent' : 'fixed',
+            distribution: ADJUSTMENT_DISTRIBUTIONS[adjustment.distribution] ? adjustment.distribution : 'proportional',
+            personIds: adjustment.personIds || []
+        };
+    }
+
+    // Turns saved or shared data of any past format into a complete state object.
+    function migrateState(loaded) {
+        const defaults = createDefaultState();
+        return {
+            people: loaded.people || [],
+            items: (loaded.items || []).map(migrateItem),
+            nextPersonId: loaded.nextPersonId || 0,
+            nextItemId: loaded.nextItemId || 0,
+            groups: (loaded.groups || []).map(group => ({ ...group, personIds: group.personIds || [] })),
+            nextGroupId: loaded.nextGroupId || 0,
+            tax: loaded.tax !== undefined ? loaded.tax : defaults.tax,
+            taxRates: loaded.taxRates || [],
+            nextTaxRateId: loaded.nextTaxRateId || 0,
+            tip: loaded.tip !== undefined ? loaded.tip : defaults.tip,
+            tipMode: TIP_MODES[loaded.tipMode] ? loaded.tipMode : DEFAULT_TIP_MODE,
+            tipAmount: loaded.tipAmount || 0,
+            tipSplit: TIP_SPLITS[loaded.tipSplit] ? loaded.tipSplit : DEFAULT_TIP_SPLIT,
+            tipExempt: loaded.tipExempt || [],
+            adjustments: (loaded.adjustments || []).map(migrateAdjustment),
+            nextAdjustmentId: loaded.nextAdjustmentId || 0,
+            payments: loaded.payments || {},
+            currency: CURRENCIES[loaded.currency] ? loaded.currency : DEFAULT_CURRENCY,
+            settlementCurrencies: loaded.settlementCurrencies || {},
+            exchangeRates: loaded.exchangeRates || {},
+            isTransposed: loaded.isTransposed || false,
+            roundingMethod: ROUNDING_METHODS[loaded.roundingMethod] ? loaded.roundingMethod : DEFAULT_ROUNDING_METHOD
+        };
+    }
+
+    // --- JSON IMPORT ---
+    // Exported JSON carries `schemaVersion`. Files without one come from before
+    // versioning and go through the same migrations as saved bills.
+    const STATE_SCHEMA_VERSION = 1;
+
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isId = value => Number.isInteger(value) && value >= 0;
+
+    function describeValue(value) {
+        if (value === undefined) return 'nothing';
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'a list';
+        if (typeof value === 'string') return JSON.stringify(value.length > 20 ? value.slice(0, 20) + '…' : value);
+        return typeof value === 'object' ? 'an object' : String(value);
+    }
+
+    // Checks parsed Import JSON data field by field. Returns messages like
+    // 'items[2].price: expected a number, got "12"'; an empty list means it is valid.
+    function validateImportedState(data) {
+        if (!isPlainObject(data)) return [`expected an object with the bill, got ${describeValue(data)}`];
+
+        const errors = [];
+        const fail = (path, message) => errors.push(`${path}: ${message}`);
+        const expect = (path, value, ok, what) => {
+            if (!ok(value)) fail(path, `expected ${what}, got ${describeValue(value)}`);
+            return ok(value);
+        };
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isText = value => typeof value === 'string';
+        const optional = (path, value, ok, what) => value === undefined || expect(path, value, ok, what);
+        const oneOf = options => value => Object.prototype.hasOwnProperty.call(options, value);
+        const listOf = (path, value, check) => {
+            if (!expect(path, value, Array.isArray, 'a list')) return [];
+            value.forEach((entry, idx) => check(`${path}[${idx}]`, entry));
+            return value;
+        };
+
+        if (data.schemaVersion !== undefined && expect('schemaVersion', data.schemaVersion, isId, 'a version number') &&
+            data.schemaVersion > STATE_SCHEMA_VERSION) {
+            fail('schemaVersion', `the file is from a newer version of the app (${data.schemaVersion}); this one reads up to ${STATE_SCHEMA_VERSION}`);
+        }
+
+        // Lists of records with unique ids, each checked by `check`
+        const records = (key, check, required = false) => {
+            const ids = new Set();
+            listOf(key, data[key] === undefined && !required ? [] : data[key], (path, record) => {
+                if (!expect(path, record, isPlainObject, 'an object')) return;
+                if (expect(`${path}.id`, record.id, isId, 'a whole number id')) {
+                    if (ids.has(record.id)) fail(`${path}.id`, `${record.id} is used twice`);
+                    ids.add(record.id);
+                }
+                check(path, record);
+            });
+            return ids;
+        };
+        const nextId = (key, ids, required) => {
+            const value = data[key];
+            if (value === undefined && !required) return;
+            if (expect(key, value, isId, 'a whole number') && ids.size > 0 && value <= Math.max(...ids)) {
+                fail(key, `must be greater than every id in use (${Math.max(...ids)})`);
+            }
+        };
+
+        const personIds = records('people', (path, person) => {
+            expect(`${path}.name`, person.name, value => isText(value) && value.trim() !== '', 'a name');
+            optional(`${path}.uid`, person.uid, isText, 'text');
+            optional(`${path}.paymentHandle`, person.paymentHandle, isText, 'text');
+        }, true);
+        const taxRateIds = records('taxRates', (path, taxRate) => {
+            expect(`${path}.name`, taxRate.name, isText, 'text');
+            expect(`${path}.rate`, taxRate.rate, isNumber, 'a number');
+        });
+        const knownPerson = (path, id) => {
+            if (!personIds.has(id)) fail(path, `no person has id ${describeValue(id)}`);
+        };
+        const personKeys = (path, map, checkValue) => {
+            if (!optional(path, map, isPlainObject, 'an object')) return;
+            Object.entries(map || {}).forEach(([key, value]) => {
+                knownPerson(`${path}.${key}`, /^\d+$/.test(key) ? Number(key) : key);
+                checkValue(`${path}.${key}`, value);
+            });
+        };
+
+        const parentIds = [];
+        const itemIds = records('items', (path, record) => {
+            const item = migrateItem(record); // Older share formats are fine
+            expect(`${path}.name`, item.name, isText, 'text');
+            expect(`${path}.price`, item.price, isNumber, 'a number');
+            optional(`${path}.shareMode`, item.shareMode, oneOf(SHARE_MODES), `one of ${Object.keys(SHARE_MODES).join(', ')}`);
+            personKeys(`${path}.personQuantities`, item.personQuantities,
+                (key, value) => expect(key, value, v => isNumber(v) && v >= 0, 'a quantity'));
+            personKeys(`${path}.personShares`, item.personShares,
+                (key, value) => expect(key, value, v => v === null || isNumber(v), 'a number or null'));
+            if (item.parentId !== undefined && item.parentId !== null) parentIds.push([`${path}.parentId`, item.parentId]);
+            if (item.taxRateId !== undefined && item.taxRateId !== null && !taxRateIds.has(item.taxRateId)) {
+                fail(`${path}.taxRateId`, `no tax rate has id ${describeValue(item.taxRateId)}`);
+            }
+            optional(`${path}.receiptQuantity`, item.receiptQuantity, isNumber, 'a number');
+        }, true);
+        parentIds.forEach(([path, id]) => {
+            if (!itemIds.has(id)) fail(path, `no item has id ${describeValue(id)}`);
+        });
+
+        const groupIds = records('groups', (path, group) => {
+            expect(`${path}.name`, group.name, isText, 'text');
+            if (group.personIds !== undefined) listOf(`${path}.personIds`, group.personIds, knownPerson);
+        });
+        const adjustmentIds = records('adjustments', (path, adjustment) => {
+            expect(`${path}.name`, adjustment.name, isText, 'text');
+            expect(`${path}.value`, adjustment.value, isNumber, 'a number');
+            optional(`${path}.type`, adjustment.type, oneOf({ percent: true, fixed: true }), 'percent or fixed');
+            optional(`${path}.distribution`, adjustment.distribution, oneOf(ADJUSTMENT_DISTRIBUTIONS),
+                `one of ${Object.keys(ADJUSTMENT_DISTRIBUTIONS).join(', ')}`);
+            if (adjustment.personIds !== undefined) listOf(`${path}.personIds`, adjustment.personIds, knownPerson);
+        });
+
+        nextId('nextPersonId', personIds, true);
+        nextId('nextItemId', itemIds, true);
+        nextId('nextGroupId', groupIds, false);
+        nextId('nextTaxRateId', taxRateIds, false);
+        nextId('nextAdjustmentId', adjustmentIds, false);
+
+        ['tax', 'tip', 'tipAmount'].forEach(key => optional(key, data[key], isNumber, 'a number'));
+        optional('tipMode', data.tipMode, oneOf(TIP_MODES), `one of ${Object.keys(TIP_MODES).join(', ')}`);
+        optional('tipSplit', data.tipSplit, oneOf(TIP_SPLITS), `one of ${Object.keys(TIP_SPLITS).join(', ')}`);
+        optional('roundingMethod', data.roundingMethod, oneOf(ROUNDING_METHODS), `one of ${Object.keys(ROUNDING_METHODS).join(', ')}`);
+        optional('currency', data.currency, oneOf(CURRENCIES), 'a known currency code');
+        optional('isTransposed', data.isTransposed, value => typeof value === 'boolean', 'true or false');
+        if (data.tipExempt !== undefined) listOf('tipExempt', data.tipExempt, knownPerson);
+        personKeys('payments', data.payments, (key, value) => expect(key, value, isNumber, 'a number'));
+        personKeys('settlementCurrencies', data.settlementCurrencies,
+            (key, value) => expect(key, value, oneOf(CURRENCIES), 'a known currency code'));
+        if (optional('exchangeRates', data.exchangeRates, isPlainObject, 'an object')) {
+            Object.entries(data.exchangeRates || {}).forEach(([code, rate]) => {
+                if (!CURRENCIES[code]) fail(`exchangeRates.${code}`, 'not a known currency code');
+                expect(`exchangeRates.${code}`, rate, value => isNumber(value) && value > 0, 'a positive number');
+            });
+        }
+        return errors;
+    }
+
+    // Parses the text pasted into the Import JSON modal into a migrated state.
+    // Throws a SyntaxError for broken JSON, and an Error listing every problem
+    // in `errors` when the data does not fit the schema.
+    function parseImportedState(jsonText) {
+        const imported = JSON.parse(jsonText);
+        assertValidState(imported);
+        return migrateState(imported);
+    }
+
+    // Throws an error listing what `validateImportedState` found in its `errors`.
+    function assertValidState(data) {
+        const errors = validateImportedState(data);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid data structure: ${errors.join('; ')}`);
+            error.errors = errors;
+            throw error;
+        }
+    }
+
+    // What Export JSON writes: the bill with its schema version.
+    function toExportPayload(state) {
+        return { schemaVersion: STATE_SCHEMA_VERSION, ...state };
+    }
+
+    // Adds an imported bill to `state` instead of replacing it. Everything gets
+    // new ids; people with the same name as someone on the bill are taken to be
+    // them, groups with the same name are combined, and items whose name is
+    // taken get a number ("Pizza (2)"). The bill keeps its own currency and
+    // settings. Returns counts of what was added. Throws if the currencies differ.
+    function mergeImportedState(state, imported) {
+        if (imported.currency !== state.currency) {
+            throw new Error(`The file is in ${imported.currency} but this bill is in ${state.currency}`);
+        }
+
+        const nameKey = name => name.trim().toLowerCase();
+        const remapKeys = (map, ids) => Object.fromEntries(
+            Object.entries(map || {}).filter(([id]) => ids.has(Number(id))).map(([id, value]) => [ids.get(Number(id)), value])
+        );
+
+        const personIds = new Map();
+        let addedPeople = 0;
+        imported.people.forEach(person => {
+            const existing = state.people.find(p => nameKey(p.name) === nameKey(person.name));
+            if (existing) {
+                personIds.set(person.id, existing.id);
+                return;
+            }
+            const added = { ...person, id: state.nextPersonId++ };
+            state.people.push(added);
+            personIds.set(person.id, added.id);
+            addedPeople++;
+        });
+        const mapPeople = ids => [...new Set(ids.filter(id => personIds.has(id)).map(id => personIds.get(id)))];
+
+        const taxRateIds = new Map();
+        imported.taxRates.forEach(taxRate => {
+            const existing = state.taxRates.find(r => nameKey(r.name) === nameKey(taxRate.name) && r.rate === taxRate.rate);
+            const id = existing ? existing.id : state.nextTaxRateId++;
+            if (!existing) state.taxRates.push({ ...taxRate, id });
+            taxRateIds.set(taxRate.id, id);
+        });
+
+        const itemIds = new Map(imported.items.map(item => [item.id, state.nextItemId++]));
+        const takenNames = new Set(state.items.map(item => nameKey(item.name)));
+        const uniqueName = name => {
+            let candidate = name;
+            for (let n = 2; takenNames.has(nameKey(candidate)); n++) candidate = `${name} (${n})`;
+            takenNames.add(nameKey(candidate));
+            return candidate;
+        };
+        imported.items.forEach(item => {
+            const { taxRateId, parentId, ...rest } = item;
+            state.items.push({
+                ...rest,
+                id: itemIds.get(item.id),
+                name: uniqueName(item.name),
+                personQuantities: remapKeys(item.personQuantities, personIds),
+                ...(item.personShares ? { personShares: remapKeys(item.personShares, personIds) } : {}),
+                ...(taxRateIds.has(taxRateId) ? { taxRateId: taxRateIds.get(taxRateId) } : {}),
+                ...(itemIds.has(parentId) ? { parentId: itemIds.get(parentId) } : {})
+            });
+        });
+
+        imported.groups.forEach(group => {
+            const existing = state.groups.find(g => nameKey(g.name) === nameKey(group.name));
+            if (existing) {
+                existing.personIds = [...new Set([...existing.personIds, ...mapPeople(group.personIds)])];
+            } else {
+                state.groups.push({ ...group, id: state.nextGroupId++, personIds: mapPeople(group.personIds) });
+            }
+        });
+        imported.adjustments.forEach(adjustment => {
+            state.adjustments.push({ ...adjustment, id: state.nextAdjustmentId++, personIds: mapPeople(adjustment.personIds) });
+        });
+
+        // Payments add up; people already on the bill keep their own settings
+        Object.entries(remapKeys(imported.payments, personIds)).forEach(([id, paid]) => {
+            state.payments[id] = (state.payments[id] || 0) + paid;
+        });
+        state.tipExempt = [...new Set([...state.tipExempt, ...mapPeople(imported.tipExempt)])];
+        state.settlementCurrencies = { ...remapKeys(imported.settlementCurrencies, personIds), ...state.settlementCurrencies };
+        state.exchangeRates = { ...imported.exchangeRates, ...state.exchangeRates };
+
+        return { people: addedPeople, items: imported.items.length };
+    }
+
+    // --- SHARE LINK FORMAT ---
+    // Version 2 links carry the bill as JSON in a single base64url parameter:
+    //     ?v=2&z=<deflated JSON>   when the browser can compress and it is shorter
+    //     ?v=2&s=<plain JSON>      otherwise
+    // Links from before versioning (p/i/q parameters, or base64 `data=`) still decode.
+    const SHARE_FORMAT_VERSION = 2;
+
+    function bytesToBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function base64UrlToBytes(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    async function pipeBytes(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // Everything needed to rebuild the split; view preferences stay behind.
+    function toSharePayload(state) {
+        const { isTransposed, ...shared } = state;
+        return shared;
+    }
+
+    // Builds the query parameters of a share link.
+    async function encodeShareParams(state) {
+        const params = new URLSearchParams();
+        params.set('v', SHARE_FORMAT_VERSION);
+
+        const json = new TextEncoder().encode(JSON.stringify(toSharePayload(state)));
+        const plain = bytesToBase64Url(json);
+
+        if (typeof CompressionStream === 'function') {
+            const compressed = bytesToBase64Url(await pipeBytes(json, new CompressionStream('deflate')));
+            if (compressed.length < plain.length) {
+                params.set('z', compressed);
+                return params;
+            }
+        }
+
+        params.set('s', plain);
+        return params;
+    }
+
+    // Reads a share link's query string back into (unmigrated) state data.
+    // Returns null when the link carries no bill; throws when it is malformed,
+    // with the field problems in `errors` when the bill fails the same checks
+    // as Import JSON once missing id counters are filled in.
+    async function decodeShareParams(search) {
+        const payload = await decodeSharePayload(new URLSearchParams(search));
+        if (payload === null) return null;
+
+        const repaired = withNextIds(payload);
+        assertValidState(repaired);
+        return repaired;
+    }
+
+    async function decodeSharePayload(urlParams) {
+        const version = urlParams.get('v');
+
+        if (version === null) {
+            return decodeLegacyShareParams(urlParams);
+        }
+        if (Number(version) !== SHARE_FORMAT_VERSION) {
+            throw new Error(`Unsupported share link version: ${version}`);
+        }
+
+        let json;
+        if (urlParams.has('z')) {
+            if (typeof DecompressionStream !== 'function') {
+                throw new Error('This browser cannot open compressed share links');
+            }
+            json = await pipeBytes(base64UrlToBytes(urlParams.get('z')), new DecompressionStream('deflate'));
+        } else if (urlParams.has('s')) {
+            json = base64UrlToBytes(urlParams.get('s'));
+        } else {
+            return null;
+        }
+
+        return JSON.parse(new TextDecoder().decode(json));
+    }
+
+    // Unversioned links: names joined with `,`, items as `name:price` joined with `;`.
+    function decodeLegacyShareParams(urlParams) {
+        // Check for old base64 format first (backwards compatibility)
+        const oldData = urlParams.get('data');
+        if (oldData) {
+            return JSON.parse(decodeURIComponent(atob(oldData)));
+        }
+
+        // Check for new readable format
+        const peopleParam = urlParams.get('p');
+        const itemsParam = urlParams.get('i');
+
+        if (!peopleParam && !itemsParam) {
+            return null; // No data in URL
+        }
+
+        const newState = {
+            people: [],
+            items: [],
+            nextPersonId: 0,
+            nextItemId: 0,
+            tax: parseFloat(urlParams.get('tax')) || 0,
+            tip: parseFloat(urlParams.get('tip')) || 10,
+            roundingMethod: ROUNDING_METHODS[urlParams.get('r')] ? urlParams.get('r') : DEFAULT_ROUNDING_METHOD
+        };
+
+        // Parse people
+        if (peopleParam) {
+            newState.people = peopleParam.split(',').map((name, idx) => ({
+                id: idx,
+                name: name.trim()
+            }));
+            newState.nextPersonId = newState.people.length;
+        }
+
+        // Parse items
+        if (itemsParam) {
+            newState.items = itemsParam.split(';').map((itemStr, idx) => {
+                const [name, price] = itemStr.split(':');
+                return {
+                    id: idx,
+                    name: name.trim(),
+                    price: parseFloat(price) || 0,
+                    personQuantities: {}
+                };
+            });
+            newState.nextItemId = newState.items.length;
+        }
+
+        // Parse quantities
+        const quantitiesParam = urlParams.get('q');
+        if (quantitiesParam && newState.items.length > 0 && newState.people.length > 0) {
+            quantitiesParam.split(';').forEach(qtyStr => {
+                const [indices, qty] = qtyStr.split(':');
+                const [itemIdx, personIdx] = indices.split('-').map(Number);
+
+                const quantity = parseFloat(qty);
+                if (newState.items[itemIdx] && newState.people[personIdx] && quantity > 0) {
+                    const personId = newState.people[personIdx].id;
+                    newState.items[itemIdx].personQuantities[personId] = quantity;
+                }
+            });
+        }
+
+        // Stray separators ("Alice,Bob,") leave empty names; q counts them, so drop them last
+        const named = record => record.name !== '';
+        const kept = new Set(newState.people.filter(named).map(p => p.id));
+        newState.people = newState.people.filter(named);
+        newState.items = newState.items.filter(named);
+        newState.items.forEach(item => {
+            Object.keys(item.personQuantities).forEach(id => {
+                if (!kept.has(Number(id))) delete item.personQuantities[id];
+            });
+        });
+
+        return newState;
+    }
+
+    // Links may lack `nextPersonId` and `nextItemId` (early `data=` links) or
+    // carry ones that are too low; they follow from the ids in use.
+    function withNextIds(data) {
+        if (!isPlainObject(data)) return data;
+
+        const nextId = (given, list) => {
+            if (given !== undefined && !isId(given)) return given; // Left for validation to report
+            const used = Array.isArray(list)
+                ? list.reduce((next, record) => (isPlainObject(record) && isId(record.id) ? Math.max(next, record.id + 1) : next), 0)
+                : 0;
+            return Math.max(given || 0, used);
+        };
+        return { ...data, nextPersonId: nextId(data.nextPersonId, data.people), nextItemId: nextId(data.nextItemId, data.items) };
+    }
+
+    // --- CURRENCY SWITCH ---
+    // Calls `convert` on every amount of money in `state` (prices, exact
+    // shares, fixed adjustments, the fixed tip and payments) and stores what
+    // it returns. Percentages and quantities are not money and stay.
+    function mapBillAmounts(state, convert) {
+        const amount = value => convert(parseFloat(value) || 0);
+        state.items.forEach(item => {
+            item.price = amount(item.price);
+            if (shareModeOf(item) === 'amount') {
+                Object.keys(item.personShares || {}).forEach(id => {
+                    if (item.personShares[id] !== null) item.personShares[id] = amount(item.personShares[id]);
+                });
+            }
+        });
+        state.adjustments.forEach(adjustment => {
+            if (adjustment.type === 'fixed') adjustment.value = amount(adjustment.value);
+        });
+        state.tipAmount = amount(state.tipAmount);
+        Object.keys(state.payments).forEach(id => {
+            state.payments[id] = amount(state.payments[id]);
+        });
+    }
+
+    // Whether `state` has any amount of money that switching currency affects.
+    function hasBillAmounts(state) {
+        let found = false;
+        mapBillAmounts(JSON.parse(JSON.stringify(state)), value => {
+            found = found || value !== 0;
+            return value;
+        });
+        return found;
+    }
+
+    // Whether every amount in `state` can be written exactly in `currency`
+    // ("12.50" can't in JPY), so only the currency can change.
+    function fitsCurrency(state, currency) {
+        const scale = 10 ** currencyDecimals(currency);
+        let fits = true;
+        mapBillAmounts(JSON.parse(JSON.stringify(state)), value => {
+            fits = fits && Math.abs(value * scale - Math.round(value * scale)) < 1e-6;
+            return value;
+        });
+        return fits;
+    }
+
+    // Switches the bill to `currency`. With a `rate` (units of `currency` per
+    // unit of the old one) every amount is converted and rounded to the new
+    // currency's decimals, and exchange rates are rebased on it; without one
+    // the amounts stay as they are. Throws for an unknown currency or a bad rate.
+    function switchBillCurrency(state, currency, rate = null) {
+        if (!CURRENCIES[currency]) throw new Error(`Unknown currency ${currency}`);
+        if (rate !== null && !(rate > 0)) throw new Error('The exchange rate must be a positive number');
+
+        const previous = state.currency;
+        if (rate !== null) {
+            const decimals = currencyDecimals(currency);
+            mapBillAmounts(state, value => toMinor(value * rate, decimals) / 10 ** decimals);
+
+            const rates = {};
+            Object.entries(state.exchangeRates).forEach(([code, oldRate]) => {
+                rates[code] = oldRate / rate;
+            });
+            rates[previous] = 1 / rate;
+            delete rates[currency];
+            state.exchangeRates = rates;
+        }
+
+        state.currency = currency;
+        Object.keys(state.settlementCurrencies).forEach(id => {
+            if (state.settlementCurrencies[id] === currency) delete state.settlementCurrencies[id];
+        });
+        return state;
+    }
+
+    // --- ITEM CHECKS ---
+    // The item a new or edited item at `price` is linked to: only discounts
+    // (negative prices) are, and only to items that are not linked themselves.
+    function discountParent(state, price, parentId, item = null) {
+        if (!(price < 0) || parentId === null || parentId === undefined || parentId === '') return null;
+        return state.items.find(i => String(i.id) === String(parentId) && i !== item &&
+            (i.parentId === undefined || i.parentId === null)) || null;
+    }
+
+    // Why an item called `name` at `price`, linked to `parent`, can't be added
+    // to `state` (or saved over `item` when editing one), or null if it can.
+    function itemProblem(state, { name, price, parent = null }, item = null) {
+        if (!name || isNaN(price) || price === 0) return 'Please enter a valid item name and price.';
+        if (state.items.some(i => i !== item && i.name.toLowerCase() === name.toLowerCase())) {
+            return 'This item has already been added.';
+        }
+
+        const decimals = currencyDecimals(state.currency);
+        const linkedTo = (parentItem, except) => state.items
+            .filter(i => i.parentId === parentItem.id && i !== except)
+            .reduce((sum, discount) => sum - toMinor(discount.price, decimals), 0);
+        if (item && state.items.some(i => i.parentId === item.id)) {
+            if (parent) return `Discounts are linked to ${item.name}, so it can't be linked to another item.`;
+            if (linkedTo(item) > toMinor(price, decimals)) return `${name} can't cost less than the discounts linked to it.`;
+        }
+        if (parent && linkedTo(parent, item) - toMinor(price, decimals) > toMinor(parent.price, decimals)) {
+            return `The discounts on ${parent.name} would come to more than its price.`;
+        }
+        return null;
+    }
+
+    // --- REMOVAL ---
+    // Removes a person, everything assigned to them and what they paid. Returns the removed person, or null.
+    function removePerson(state, personId) {
+        const person = state.people.find(p => p.id === personId);
+        if (!person) return null;
+
+        const { [personId]: removedPayment, ...payments } = state.payments || {};
+        const { [personId]: removedCurrency, ...settlementCurrencies } = state.settlementCurrencies || {};
+        state.payments = payments;
+        state.settlementCurrencies = settlementCurrencies;
+        state.tipExempt = (state.tipExempt || []).filter(id => id !== personId);
+        state.adjustments = (state.adjustments || []).map(adjustment => ({
+            ...adjustment,
+            personIds: adjustment.personIds.filter(id => id !== personId)
+        }));
+        state.groups = (state.groups || []).map(group => ({
+            ...group,
+            personIds: group.personIds.filter(id => id !== personId)
+        }));
+        state.people = state.people.filter(p => p.id !== personId);
+        const withoutPerson = shares => Object.fromEntries(
+            Object.entries(shares || {}).filter(([id]) => parseInt(id) !== personId)
+        );
+        state.items = state.items.map(item => ({
+            ...item,
+            personQuantities: withoutPerson(item.personQuantities),
+            ...(item.personShares ? { personShares: withoutPerson(item.personShares) } : {})
+        }));
+        return person;
+    }
+
+    // Removes an item and the discounts linked to it. Returns the removed item, or null.
+    function removeItem(state, itemId) {
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return null;
+
+        state.items = state.items.filter(i => i.id !== itemId && i.parentId !== itemId);
+        return item;
+    }
+
+    // Removes a bill-level adjustment. Returns the removed adjustment, or null.
+    function removeAdjustment(state, adjustmentId) {
+        const adjustment = state.adjustments.find(a => a.id === adjustmentId);
+        if (!adjustment) return null;
+
+        state.adjustments = state.adjustments.filter(a => a.id !== adjustmentId);
+        return adjustment;
+    }
+
+    // Removes a group of people; their items keep their shares. Returns the removed group, or null.
+    function removeGroup(state, groupId) {
+        const group = (state.groups || []).find(g => g.id === groupId);
+        if (!group) return null;
+
+        state.groups = state.groups.filter(g => g.id !== groupId);
+        return group;
+    }
+
+    // Removes a named tax rate; its items go back to the default rate. Returns the removed rate, or null.
+    function removeTaxRate(state, rateId) {
+        const rate = state.taxRates.find(r => r.id === rateId);
+        if (!rate) return null;
+
+        state.taxRates = state.taxRates.filter(r => r.id !== rateId);
+        state.items = state.items.map(item => {
+            if (item.taxRateId !== rateId) return item;
+            const { taxRateId, ...rest } = item;
+            return rest;
+        });
+        return rate;
+    }
+
+    // --- RECONCILIATION ---
+    // Gives the part of an item's price that nobody pays for to `personIds`,
+    // keeping the shares already entered. A linked discount is settled through
+    // its parent. Returns the item that changed, or null if there was nothing to give.
+    function assignUnallocated(state, itemId, personIds) {
+        const found = state.items.find(i => i.id === itemId);
+        const item = found && found.parentId !== undefined && found.parentId !== null
+            ? state.items.find(i => i.id === found.parentId)
+            : found;
+        const ids = personIds.filter(id => state.people.some(p => p.id === id));
+        if (!item || ids.length === 0) return null;
+
+        const split = computeSplit(state);
+        const itemSplit = split.items.find(i => i.id === item.id);
+        const missing = itemSplit.price - itemSplit.allocated;
+        if (missing === 0 || Math.abs(itemSplit.allocated) > Math.abs(itemSplit.price)) return null;
+
+        const mode = shareModeOf(item);
+        if (mode === 'percent') {
+            // Spread the missing percentage evenly, to two decimals
+            const { shares } = allocateMinor(Math.round((100 - itemSplit.totalQuantity) * 100), ids.map(() => 1));
+            item.personShares = { ...item.personShares };
+            ids.forEach((id, idx) => {
+                const percent = (parseFloat(item.personShares[id]) || 0) + shares[idx] / 100;
+                item.personShares[id] = Math.round(percent * 100) / 100;
+            });
+        } else if (mode === 'amount') {
+            item.personShares = { ...item.personShares };
+            const open = ids.filter(id => !(id in item.personShares));
+            if (open.length > 0) {
+                open.forEach(id => {
+                    item.personShares[id] = null; // They split what is left
+                });
+            } else {
+                const { shares } = allocateMinor(missing, ids.map(() => 1));
+                ids.forEach((id, idx) => {
+                    const amount = item.personShares[id] === null ? 0 : toMinor(item.personShares[id], split.decimals);
+                    item.personShares[id] = (amount + shares[idx]) / 10 ** split.decimals;
+                });
+            }
+        } else {
+            item.personQuantities = Object.fromEntries(ids.map(id => [id, 1])); // 1 quantity each
+        }
+        return item;
+    }
+
+    return {
+        createDefaultState,
+        createPersonUid,
+        migrateItem,
+        migrateState,
+        STATE_SCHEMA_VERSION,
+        validateImportedState,
+        parseImportedState,
+        toExportPayload,
+        mergeImportedState,
+        encodeShareParams,
+        decodeShareParams,
+        removePerson,
+        removeItem,
+        removeAdjustment,
+        removeGroup,
+        removeTaxRate,
+        assignUnallocated,
+        discountParent,
+        itemProblem,
+        hasBillAmounts,
+        fitsCurrency,
+        switchBillCurrency
+    };
+});
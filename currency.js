@@ -0,0 +1,79 @@
+// --- CURRENCIES ---
+// DOM-free currency table and conversions. Amounts are stored in the bill's
+// currency and worked out in its minor units (cents, or yen, or fils), so the
+// number of decimals decides how many minor units a whole unit has. Loaded with
+// a <script> tag it defines `window.LunchCurrency`; under Node it is a
+// CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LunchCurrency = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ISO 4217 codes with their symbol and decimal places
+    const CURRENCIES = {
+        USD: { name: 'US dollar', symbol: '$', decimals: 2 },
+        EUR: { name: 'Euro', symbol: '€', decimals: 2 },
+        GBP: { name: 'British pound', symbol: '£', decimals: 2 },
+        JPY: { name: 'Japanese yen', symbol: '¥', decimals: 0 },
+        CNY: { name: 'Chinese yuan', symbol: 'CN¥', decimals: 2 },
+        KRW: { name: 'South Korean won', symbol: '₩', decimals: 0 },
+        INR: { name: 'Indian rupee', symbol: '₹', decimals: 2 },
+        CAD: { name: 'Canadian dollar', symbol: 'CA$', decimals: 2 },
+        AUD: { name: 'Australian dollar', symbol: 'A$', decimals: 2 },
+        CHF: { name: 'Swiss franc', symbol: 'CHF', decimals: 2 },
+        TRY: { name: 'Turkish lira', symbol: '₺', decimals: 2 },
+        RUB: { name: 'Russian ruble', symbol: '₽', decimals: 2 },
+        KZT: { name: 'Kazakhstani tenge', symbol: '₸', decimals: 2 },
+        UZS: { name: 'Uzbekistani som', symbol: 'UZS', decimals: 2 },
+        AED: { name: 'UAE dirham', symbol: 'AED', decimals: 2 },
+        KWD: { name: 'Kuwaiti dinar', symbol: 'KWD', decimals: 3 },
+        BHD: { name: 'Bahraini dinar', symbol: 'BHD', decimals: 3 }
+    };
+    const DEFAULT_CURRENCY = 'USD';
+
+    function currencyOf(code) {
+        return CURRENCIES[code] || CURRENCIES[DEFAULT_CURRENCY];
+    }
+
+    function currencyDecimals(code) {
+        return currencyOf(code).decimals;
+    }
+
+    // "$5.00", "-¥500", "KWD 1.250". With a `locale` ('' for the browser's) the
+    // amount is written the way that locale writes money, e.g. "1.234,50 €".
+    function formatMoney(minor, code, locale) {
+        const { symbol, decimals } = currencyOf(code);
+        if (locale !== undefined) {
+            return new Intl.NumberFormat(locale || undefined, {
+                style: 'currency',
+                currency: CURRENCIES[code] ? code : DEFAULT_CURRENCY,
+                minimumFractionDigits: decimals,
+                maximumFractionDigits: decimals
+            }).format(minor / 10 ** decimals);
+        }
+
+        const amount = (Math.abs(minor) / 10 ** decimals).toFixed(decimals);
+        const sign = minor < 0 ? '-' : '';
+        return /^[A-Z]+$/.test(symbol) ? `${sign}${symbol} ${amount}` : `${sign}${symbol}${amount}`;
+    }
+
+    // Converts minor units of one currency into another at `rate` units of
+    // `toCode` per unit of `fromCode`.
+    function convertMinor(minor, fromCode, toCode, rate) {
+        const amount = minor / 10 ** currencyDecimals(fromCode);
+        return Math.round(amount * rate * 10 ** currencyDecimals(toCode));
+    }
+
+    return {
+        CURRENCIES,
+        DEFAULT_CURRENCY,
+        currencyOf,
+        currencyDecimals,
+        formatMoney,
+        convertMinor
+    };
+});
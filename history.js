@@ -0,0 +1,172 @@
+// --- UNDO / REDO HISTORY ---
+// DOM-free command history for the open bill. Every change is recorded as a
+// labelled entry holding only the values it changed (down to a single item's
+// price), so it can be undone and redone and stays small when saved. Loaded
+// with a <script> tag it defines `window.LunchHistory`; under Node it is a
+// CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LunchHistory = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const HISTORY_LIMIT = 50;
+
+    // View preferences are not part of the bill and never undone.
+    const UNTRACKED_KEYS = ['isTransposed'];
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    function createHistory(limit = HISTORY_LIMIT) {
+        return {
+            past: [], // Applied entries, oldest first: [{ label, at, changes }]
+            future: [], // Undone entries, next redo first
+            limit
+        };
+    }
+
+    // Entries saved before changes were diffed held whole fields: { before, after }.
+    function migrateEntry(entry) {
+        if (Array.isArray(entry.changes)) return entry;
+        const before = entry.before || {};
+        const after = entry.after || {};
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return {
+            label: entry.label,
+            at: entry.at,
+            changes: [...keys].map(key => ({ path: [key], before: before[key], after: after[key] }))
+        };
+    }
+
+    function migrateHistory(saved, limit = HISTORY_LIMIT) {
+        const history = createHistory(limit);
+        if (saved && Array.isArray(saved.past) && Array.isArray(saved.future)) {
+            history.past = saved.past.slice(-limit).map(migrateEntry);
+            history.future = saved.future.slice(0, limit).map(migrateEntry);
+        }
+        return history;
+    }
+
+    // --- DIFFS ---
+    // The changes that turn `before` into `after`, each one of
+    //     { path, before, after }                 // a value set, added (before undefined) or removed
+    //     { path, index, removed, inserted }      // elements spliced into the array at `path`
+    // Arrays keep their unchanged start and end, so adding or removing one
+    // item records just that item.
+    function diff(before, after, path = [], changes = []) {
+        if (same(before, after)) return changes;
+
+        if (Array.isArray(before) && Array.isArray(after)) {
+            let start = 0;
+            while (start < before.length && start < after.length && same(before[start], after[start])) start++;
+            let end = 0;
+            while (end < before.length - start && end < after.length - start &&
+                same(before[before.length - 1 - end], after[after.length - 1 - end])) end++;
+
+            const removed = before.slice(start, before.length - end);
+            const inserted = after.slice(start, after.length - end);
+            if (removed.length === inserted.length) {
+                removed.forEach((value, i) => diff(value, inserted[i], [...path, start + i], changes));
+            } else {
+                changes.push({ path, index: start, removed: clone(removed), inserted: clone(inserted) });
+            }
+        } else if (isObject(before) && isObject(after)) {
+            new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+                diff(before[key], after[key], [...path, key], changes);
+            });
+        } else {
+            changes.push({ path, before: clone(before), after: clone(after) });
+        }
+        return changes;
+    }
+
+    // Applies `changes` to `state`, or reverts them when `undo` is set.
+    function applyChanges(state, changes, undo) {
+        (undo ? [...changes].reverse() : changes).forEach(change => {
+            const parent = change.path.slice(0, -1).reduce((node, key) => node[key], state);
+            const key = change.path[change.path.length - 1];
+
+            if ('index' in change) {
+                const [removed, inserted] = undo ? [change.inserted, change.removed] : [change.removed, change.inserted];
+                parent[key].splice(change.index, removed.length, ...clone(inserted));
+                return;
+            }
+
+            const value = undo ? change.before : change.after;
+            if (value === undefined) {
+                delete parent[key];
+            } else {
+                parent[key] = clone(value);
+            }
+        });
+    }
+
+    function tracked(state) {
+        const copy = { ...state };
+        UNTRACKED_KEYS.forEach(key => delete copy[key]);
+        return copy;
+    }
+
+    // Runs `mutate` against `state` and records whatever it changed as one entry.
+    // Returns the entry, or null when nothing changed.
+    function recordChange(history, state, label, mutate) {
+        const before = clone(tracked(state));
+        mutate();
+
+        const changes = diff(before, tracked(state));
+        if (changes.length === 0) return null;
+
+        const entry = { label, at: Date.now(), changes };
+        history.past.push(entry);
+        history.future = [];
+        if (history.past.length > history.limit) {
+            history.past.splice(0, history.past.length - history.limit);
+        }
+        return entry;
+    }
+
+    // Reverts the latest entry. Returns it, or null when there is nothing to undo.
+    function undoChange(history, state) {
+        const entry = history.past.pop();
+        if (!entry) return null;
+
+        applyChanges(state, entry.changes, true);
+        history.future.unshift(entry);
+        return entry;
+    }
+
+    // Re-applies the latest undone entry. Returns it, or null.
+    function redoChange(history, state) {
+        const entry = history.future.shift();
+        if (!entry) return null;
+
+        applyChanges(state, entry.changes, false);
+        history.past.push(entry);
+        return entry;
+    }
+
+    // Undoes or redoes until exactly `position` entries are applied.
+    function goToChange(history, state, position) {
+        const target = Math.max(0, Math.min(position, history.past.length + history.future.length));
+        while (history.past.length > target) undoChange(history, state);
+        while (history.past.length < target) redoChange(history, state);
+    }
+
+    return {
+        HISTORY_LIMIT,
+        createHistory,
+        migrateHistory,
+        recordChange,
+        undoChange,
+        redoChange,
+        goToChange
+    };
+});
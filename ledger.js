@@ -0,0 +1,113 @@
+// --- GROUP LEDGER ---
+// DOM-free running balances across bills. Every archived bill with payments
+// recorded counts as finished; what each person paid minus what they owed is
+// added up per person (matched by `uid`), together with the settlement payments
+// made between people since. Each currency keeps its own ledger. Loaded with a
+// <script> tag it defines `window.LunchLedger`; under Node it is a CommonJS
+// module. Balances are in minor units, settlement amounts in the same units as
+// item prices.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency.js'), require('./split.js'), require('./settle.js'));
+    } else {
+        root.LunchLedger = factory(root.LunchCurrency, root.LunchSplit, root.LunchSettle);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LunchCurrency, LunchSplit, LunchSettle) {
+    'use strict';
+
+    const { DEFAULT_CURRENCY, currencyDecimals } = LunchCurrency;
+    const { toMinor, computeSplit } = LunchSplit;
+    const { computeBalances, settleUp } = LunchSettle;
+
+    const billCurrency = bill => bill.state.currency || DEFAULT_CURRENCY;
+    const settlementCurrency = settlement => settlement.currency || DEFAULT_CURRENCY;
+
+    function finishedBills(library) {
+        return library.bills
+            .filter(bill => bill.archived && Object.values(bill.state.payments || {}).some(amount => parseFloat(amount) > 0))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+    }
+
+    // The currencies that have a ledger, bill currencies first.
+    function ledgerCurrencies(library) {
+        const currencies = [
+            ...finishedBills(library).map(billCurrency),
+            ...(library.settlements || []).map(settlementCurrency)
+        ];
+        return currencies.length > 0 ? [...new Set(currencies)] : [DEFAULT_CURRENCY];
+    }
+
+    // The ledger of the bills and settlements in `currency`.
+    // Returns {
+    //     currency,
+    //     members:     [{ uid, name, balance }],  // up (positive) or down, biggest first
+    //     transfers:   [{ from, to, amount }],    // uids; settles every balance
+    //     billCount,                             // bills included
+    //     unbalancedBills: [{ id, title, gap }]  // bills whose payments don't match their total
+    // }
+    function computeLedger(library, currency = DEFAULT_CURRENCY) {
+        const members = new Map(); // uid -> { uid, name, balance }
+        const memberFor = (uid, name) => {
+            if (!members.has(uid)) members.set(uid, { uid, name: name || 'Unknown', balance: 0 });
+            const member = members.get(uid);
+            if (name) member.name = name; // The latest name wins
+            return member;
+        };
+
+        const bills = finishedBills(library).filter(bill => billCurrency(bill) === currency);
+        const unbalancedBills = [];
+        bills.forEach(bill => {
+            const balances = computeBalances(computeSplit(bill.state), bill.state.payments);
+            const gap = balances.reduce((sum, b) => sum + b.balance, 0);
+            if (gap !== 0) unbalancedBills.push({ id: bill.id, title: bill.title, gap });
+
+            balances.forEach(({ id, name, balance }) => {
+                const person = bill.state.people.find(p => p.id === id);
+                memberFor(person.uid, name).balance += balance;
+            });
+        });
+
+        const decimals = currencyDecimals(currency);
+        (library.settlements || []).filter(s => settlementCurrency(s) === currency).forEach(settlement => {
+            memberFor(settlement.from).balance += toMinor(settlement.amount, decimals);
+            memberFor(settlement.to).balance -= toMinor(settlement.amount, decimals);
+        });
+
+        const list = [...members.values()]
+            .sort((a, b) => b.balance - a.balance || a.name.localeCompare(b.name));
+
+        return {
+            currency,
+            members: list,
+            transfers: settleUp(list.map(member => ({ id: member.uid, balance: member.balance }))),
+            billCount: bills.length,
+            unbalancedBills
+        };
+    }
+
+    // Records that `from` paid `to` outside of any bill. Returns the settlement.
+    function recordSettlement(library, { from, to, amount, currency = DEFAULT_CURRENCY, date = new Date().toISOString().slice(0, 10) }) {
+        if (!from || !to || from === to || !(amount > 0)) {
+            throw new Error('A settlement needs two different people and a positive amount');
+        }
+
+        const settlement = { id: library.nextSettlementId++, from, to, amount, currency, date };
+        library.settlements.push(settlement);
+        return settlement;
+    }
+
+    function removeSettlement(library, settlementId) {
+        const settlement = library.settlements.find(s => s.id === settlementId);
+        if (!settlement) return null;
+
+        library.settlements = library.settlements.filter(s => s.id !== settlementId);
+        return settlement;
+    }
+
+    return {
+        ledgerCurrencies,
+        computeLedger,
+        recordSettlement,
+        removeSettlement
+    };
+});
@@ -0,0 +1,211 @@
+// --- BILL LIBRARY ---
+// DOM-free helpers for the saved bills: every bill keeps its own state plus a
+// title, date and restaurant. Loaded with a <script> tag it defines
+// `window.LunchLibrary`; under Node it is a CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bill.js'));
+    } else {
+        root.LunchLibrary = factory(root.LunchBill);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LunchBill) {
+    'use strict';
+
+    const { createDefaultState, createPersonUid, migrateState } = LunchBill;
+
+    const DEFAULT_BILL_TITLE = 'Lunch';
+
+    function today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    function createLibrary() {
+        return {
+            bills: [], // [{ id, title, date, restaurant, archived, updatedAt, state }]
+            nextBillId: 0,
+            activeBillId: null,
+            settlements: [], // Payments between people outside any bill, see ledger.js
+            nextSettlementId: 0,
+            roster: [], // People saved outside any bill, see roster.js
+            crews: [], // [{ id, name, uids }] roster people added together
+            nextCrewId: 0,
+            paymentTemplates: [], // [{ id, name, template }] besides the built-in ones, see payment.js
+            nextPaymentTemplateId: 0,
+            paymentTemplateId: null, // How payment requests are made; null until someone picks one
+            paymentQRInImage: false // Whether the exported image shows the payment QR codes
+        };
+    }
+
+    function findBill(library, billId) {
+        return library.bills.find(b => b.id === billId) || null;
+    }
+
+    function getActiveBill(library) {
+        return findBill(library, library.activeBillId);
+    }
+
+    // Newest first; archived bills only when asked for.
+    function listBills(library, { includeArchived = false } = {}) {
+        return library.bills
+            .filter(b => includeArchived || !b.archived)
+            .sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+    }
+
+    // Adds a bill (without switching to it) and returns it.
+    function addBill(library, details = {}, billState = createDefaultState()) {
+        const bill = {
+            id: library.nextBillId++,
+            title: details.title || DEFAULT_BILL_TITLE,
+            date: details.date || today(),
+            restaurant: details.restaurant || '',
+            archived: false,
+            updatedAt: Date.now(),
+            state: billState
+        };
+        library.bills.push(bill);
+        return bill;
+    }
+
+    function updateBillDetails(library, billId, details) {
+        const bill = findBill(library, billId);
+        if (!bill) return null;
+
+        if (details.title !== undefined && details.title.trim()) bill.title = details.title.trim();
+        if (details.restaurant !== undefined) bill.restaurant = details.restaurant.trim();
+        if (details.date !== undefined && details.date) bill.date = details.date;
+        bill.updatedAt = Date.now();
+        return bill;
+    }
+
+    // Copies a bill's people, items and settings into a new bill dated today.
+    function duplicateBill(library, billId) {
+        const bill = findBill(library, billId);
+        if (!bill) return null;
+
+        const copy = JSON.parse(JSON.stringify(bill.state));
+        return addBill(library, { title: `${bill.title} (copy)`, restaurant: bill.restaurant }, copy);
+    }
+
+    function setBillArchived(library, billId, archived) {
+        const bill = findBill(library, billId);
+        if (!bill) return null;
+
+        bill.archived = archived;
+        if (archived && library.activeBillId === billId) {
+            ensureActiveBill(library, true);
+        }
+        return bill;
+    }
+
+    function deleteBill(library, billId) {
+        const bill = findBill(library, billId);
+        if (!bill) return null;
+
+        library.bills = library.bills.filter(b => b.id !== billId);
+        if (library.activeBillId === billId) {
+            ensureActiveBill(library, true);
+        }
+        return bill;
+    }
+
+    // Makes sure some bill is open, falling back to the newest unarchived one
+    // or a brand new bill.
+    function ensureActiveBill(library, replace = false) {
+        if (!replace && getActiveBill(library)) return getActiveBill(library);
+
+        const next = listBills(library).find(b => b.id !== library.activeBillId) || addBill(library);
+        library.activeBillId = next.id;
+        return next;
+    }
+
+    // --- PEOPLE ACROSS BILLS ---
+    const nameKey = name => name.trim().toLowerCase();
+
+    // The uid of the person called `name` in the most recently updated bill that has one.
+    function findPersonUid(library, name) {
+        const bills = [...library.bills].sort((a, b) => b.updatedAt - a.updatedAt);
+        for (const bill of bills) {
+            const person = bill.state.people.find(p => p.uid && nameKey(p.name) === nameKey(name));
+            if (person) return person.uid;
+        }
+        return null;
+    }
+
+    // Gives every person in `billState` a uid. People whose uid no other bill
+    // knows (new, from before uids, or from someone else's shared link) take
+    // the uid of the same-named person in the library, if there is one.
+    function linkPeople(library, billState) {
+        const others = library.bills.filter(b => b.state !== billState);
+        const knownUids = new Set();
+        others.forEach(bill => bill.state.people.forEach(p => p.uid && knownUids.add(p.uid)));
+
+        billState.people.forEach(person => {
+            if (person.uid && knownUids.has(person.uid)) return;
+            person.uid = findPersonUid({ bills: others }, person.name) || person.uid || createPersonUid();
+        });
+        return billState;
+    }
+
+    // Copies the live state into the active bill.
+    function storeBillState(library, billState) {
+        const bill = getActiveBill(library);
+        if (!bill) return null;
+
+        bill.state = JSON.parse(JSON.stringify(billState));
+        bill.updatedAt = Date.now();
+        return bill;
+    }
+
+    // Loads the saved library. Before bills existed there was a single saved
+    // state; that one is adopted as the first bill.
+    function migrateLibrary(saved, legacyState = null) {
+        const library = createLibrary();
+
+        if (saved && Array.isArray(saved.bills)) {
+            library.bills = saved.bills.map(bill => ({
+                id: bill.id,
+                title: bill.title || DEFAULT_BILL_TITLE,
+                date: bill.date || today(),
+                restaurant: bill.restaurant || '',
+                archived: bill.archived || false,
+                updatedAt: bill.updatedAt || 0,
+                state: migrateState(bill.state || {})
+            }));
+            library.nextBillId = Math.max(saved.nextBillId || 0, ...library.bills.map(b => b.id + 1));
+            library.activeBillId = saved.activeBillId;
+            library.settlements = saved.settlements || [];
+            library.nextSettlementId = Math.max(saved.nextSettlementId || 0, ...library.settlements.map(s => s.id + 1));
+            library.roster = saved.roster || [];
+            library.crews = (saved.crews || []).map(crew => ({ ...crew, uids: crew.uids || [] }));
+            library.nextCrewId = Math.max(saved.nextCrewId || 0, ...library.crews.map(c => c.id + 1));
+            library.paymentTemplates = saved.paymentTemplates || [];
+            library.nextPaymentTemplateId = Math.max(saved.nextPaymentTemplateId || 0, ...library.paymentTemplates.map(t => t.id + 1));
+            library.paymentTemplateId = saved.paymentTemplateId ?? null;
+            library.paymentQRInImage = Boolean(saved.paymentQRInImage);
+        } else if (legacyState) {
+            const bill = addBill(library, { title: 'Saved bill' }, migrateState(legacyState));
+            library.activeBillId = bill.id;
+        }
+
+        [...library.bills].sort((a, b) => a.id - b.id).forEach(bill => linkPeople(library, bill.state));
+        ensureActiveBill(library);
+        return library;
+    }
+
+    return {
+        createLibrary,
+        migrateLibrary,
+        findBill,
+        getActiveBill,
+        listBills,
+        addBill,
+        updateBillDetails,
+        duplicateBill,
+        setBillArchived,
+        deleteBill,
+        ensureActiveBill,
+        findPersonUid,
+        linkPeople,
+        storeBillState
+    };
+});
@@ -0,0 +1,77 @@
+// --- NUMBER FORMATS ---
+// DOM-free locale-aware number parsing and formatting on top of Intl.NumberFormat.
+// A `locale` of '' or undefined means the browser's own. Loaded with a <script>
+// tag it defines `window.LunchLocale`; under Node it is a CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LunchLocale = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Number formats to choose from; '' follows the browser
+    const LOCALES = {
+        '': 'Browser default',
+        'en-US': 'English (US) – 1,234.50',
+        'en-GB': 'English (UK) – 1,234.50',
+        'de-DE': 'Deutsch – 1.234,50',
+        'fr-FR': 'Français – 1 234,50',
+        'es-ES': 'Español – 1.234,50',
+        'it-IT': 'Italiano – 1.234,50',
+        'nl-NL': 'Nederlands – 1.234,50',
+        'de-CH': 'Deutsch (Schweiz) – 1’234.50',
+        'ru-RU': 'Русский – 1 234,50',
+        'uz-UZ': 'Oʻzbek – 1 234,50',
+        'ja-JP': '日本語 – 1,234.50'
+    };
+
+    function decimalSeparator(locale) {
+        const part = new Intl.NumberFormat(locale || undefined).formatToParts(1.5).find(p => p.type === 'decimal');
+        return part ? part.value : '.';
+    }
+
+    // Reads a number typed the way `locale` writes it, or the US way: "12,50",
+    // "1.234,50", "1 234.5" and "12.50" all work. A lone separator is a decimal
+    // point unless it is not the locale's and splits off groups of exactly three
+    // digits ("1,234" in en-US is 1234, in de-DE 1.234). Nobody groups a zero,
+    // so "0,500" is half in any locale. Returns NaN if unreadable.
+    function parseNumber(text, locale) {
+        let value = String(text ?? '').trim().replace(/[\s'’]/g, '').replace(/^\+/, '').replace('\u2212', '-');
+        if (!/^-?[\d.,]*\d[\d.,]*$/.test(value)) return NaN;
+
+        const separators = [...new Set(value.match(/[.,]/g) || [])];
+        if (separators.length === 2) {
+            const decimal = value.lastIndexOf('.') > value.lastIndexOf(',') ? '.' : ',';
+            value = value.split(decimal === '.' ? ',' : '.').join('');
+            return parseFloat(value.replace(decimal, '.'));
+        }
+        if (separators.length === 1) {
+            const [separator] = separators;
+            const parts = value.split(separator);
+            const isGrouping = separator !== decimalSeparator(locale) &&
+                parts.slice(1).every(part => part.length === 3) && /^-?[1-9]/.test(parts[0]);
+            if (isGrouping || parts.length > 2) return parseFloat(parts.join(''));
+            return parseFloat(value.replace(separator, '.'));
+        }
+        return parseFloat(value);
+    }
+
+    // "1,234.50" or "1.234,50". `decimals` fixes the decimal places; without it
+    // up to 10 are shown as needed. `grouping: false` leaves out thousands separators.
+    function formatNumber(value, locale, { decimals, grouping = true } = {}) {
+        return new Intl.NumberFormat(locale || undefined, {
+            minimumFractionDigits: decimals ?? 0,
+            maximumFractionDigits: decimals ?? 10,
+            useGrouping: grouping
+        }).format(value);
+    }
+
+    return {
+        LOCALES,
+        decimalSeparator,
+        parseNumber,
+        formatNumber
+    };
+});
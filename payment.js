@@ -0,0 +1,135 @@
+// --- PAYMENT REQUESTS ---
+// DOM-free helpers that turn a settle-up transfer into a payment request: a
+// template (a pay link such as a PayPal.me URL, or a bank QR payload) with the
+// payee's handle and the amount filled in. Custom templates live in the bill
+// library (`library.paymentTemplates`). Loaded with a <script> tag it defines
+// `window.LunchPayment`; under Node it is a CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LunchPayment = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Built-in templates. `currencies` lists the only ones a template takes.
+    const PAYMENT_PRESETS = [
+        { id: 'paypal', name: 'PayPal.me', template: 'https://paypal.me/{handle}/{amount}{currency}' },
+        { id: 'venmo', name: 'Venmo', template: 'https://venmo.com/{handle}?txn=pay&amount={amount}&note={note}', currencies: ['USD'] },
+        { id: 'upi', name: 'UPI', template: 'upi://pay?pa={handle}&pn={payee}&am={amount}&cu={currency}&tn={note}', currencies: ['INR'] },
+        // European Payments Council QR code for a SEPA credit transfer; the handle is the IBAN
+        { id: 'epc', name: 'SEPA transfer (EPC QR)', template: 'BCD\n002\n1\nSCT\n\n{payee}\n{handle}\n{currency}{amount}\n\n\n{note}', currencies: ['EUR'] }
+    ];
+
+    const PLACEHOLDERS = ['handle', 'payee', 'payer', 'amount', 'currency', 'note'];
+
+    const SCHEME = /^([a-z][a-z0-9+.-]*):/i;
+    const UNSAFE_SCHEMES = ['javascript', 'data', 'vbscript', 'file', 'blob'];
+
+    // Why `template` can't be used, or [] if it can.
+    function templateProblems(template) {
+        if (!template || !template.trim()) return ['The template is empty'];
+
+        const problems = [];
+        const unknown = [...template.matchAll(/\{([^{}]*)\}/g)]
+            .map(match => match[1])
+            .filter(name => !PLACEHOLDERS.includes(name));
+        if (unknown.length > 0) problems.push(`Unknown placeholder ${unknown.map(name => `{${name}}`).join(', ')}`);
+
+        const scheme = template.trim().match(SCHEME);
+        if (scheme && UNSAFE_SCHEMES.includes(scheme[1].toLowerCase())) problems.push(`${scheme[1]}: links are not allowed`);
+        return problems;
+    }
+
+    // A link the page may open: it has a scheme, and not one that runs code or reads files.
+    function isPaymentLink(text) {
+        const scheme = text.match(SCHEME);
+        return Boolean(scheme) && !UNSAFE_SCHEMES.includes(scheme[1].toLowerCase());
+    }
+
+    // --- TEMPLATES IN THE LIBRARY ---
+    // The presets, then the library's own templates ({ id, name, template }).
+    function listPaymentTemplates(library) {
+        return [...PAYMENT_PRESETS, ...library.paymentTemplates];
+    }
+
+    // Preset ids are names; custom ones are numbers, so compare them as text
+    // (select values always are).
+    function findPaymentTemplate(library, id) {
+        if (id === null || id === undefined) return null;
+        return listPaymentTemplates(library).find(t => String(t.id) === String(id)) || null;
+    }
+
+    // Adds a custom template, or updates the one with the same id. Throws if
+    // the name is missing or the template has problems.
+    function savePaymentTemplate(library, { id, name, template }) {
+        if (!name || !name.trim()) throw new Error('A payment template needs a name');
+        const problems = templateProblems(template);
+        if (problems.length > 0) throw new Error(problems.join('; '));
+
+        const fields = { name: name.trim(), template: template.trim() };
+        const existing = library.paymentTemplates.find(t => t.id === id);
+        if (existing) {
+            Object.assign(existing, fields);
+            return existing;
+        }
+
+        const added = { id: library.nextPaymentTemplateId++, ...fields };
+        library.paymentTemplates.push(added);
+        return added;
+    }
+
+    // Removes a custom template (and unselects it). Returns it, or null.
+    function removePaymentTemplate(library, id) {
+        const template = library.paymentTemplates.find(t => t.id === id);
+        if (!template) return null;
+
+        library.paymentTemplates = library.paymentTemplates.filter(t => t.id !== id);
+        if (String(library.paymentTemplateId) === String(id)) library.paymentTemplateId = null;
+        return template;
+    }
+
+    // --- FILLING IN ---
+    function acceptsCurrency(paymentTemplate, currency) {
+        return !paymentTemplate.currencies || paymentTemplate.currencies.includes(currency);
+    }
+
+    // Handles are often written "@alice" or with spaces ("DE89 3704 ..."); links want neither.
+    const cleanHandle = handle => String(handle || '').replace(/\s+/g, '').replace(/^@/, '');
+
+    // The request for paying `amount` (minor units with `decimals` places) of
+    // `currency` to `payee`, whose handle is `handle`. Values are URL-encoded
+    // when the template is a link; line breaks are dropped from them either way
+    // so they can't add lines to a bank payload.
+    function fillPaymentTemplate(template, { handle, payee = '', payer = '', amount, currency, decimals, note = '' }) {
+        const values = {
+            handle: cleanHandle(handle),
+            payee,
+            payer,
+            amount: (amount / 10 ** decimals).toFixed(decimals),
+            currency,
+            note
+        };
+        const encode = SCHEME.test(template)
+            ? value => encodeURIComponent(value).replace(/%40/g, '@') // UPI addresses keep their "@"
+            : value => value;
+
+        return template.replace(/\{([a-z]+)\}/g, (match, name) =>
+            PLACEHOLDERS.includes(name) ? encode(String(values[name]).replace(/[\r\n]+/g, ' ').trim()) : match
+        );
+    }
+
+    return {
+        PAYMENT_PRESETS,
+        PLACEHOLDERS,
+        templateProblems,
+        isPaymentLink,
+        listPaymentTemplates,
+        findPaymentTemplate,
+        savePaymentTemplate,
+        removePaymentTemplate,
+        acceptsCurrency,
+        fillPaymentTemplate
+    };
+});
@@ -0,0 +1,326 @@
+// --- QR CODES ---
+// DOM-free QR code encoder (ISO/IEC 18004, byte mode, versions 1-40), so
+// payment codes are drawn on the device instead of by an online service.
+// Loaded with a <script> tag it defines `window.LunchQR`; under Node it is a
+// CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LunchQR = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Error correction levels: the share of the code that can be damaged
+    const EC_LEVELS = {
+        'L': { index: 0, formatBits: 1 }, // ~7%
+        'M': { index: 1, formatBits: 0 }, // ~15%
+        'Q': { index: 2, formatBits: 3 }, // ~25%
+        'H': { index: 3, formatBits: 2 } // ~30%
+    };
+
+    // Per level, indexed by version (index 0 unused)
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    const bit = (value, index) => ((value >>> index) & 1) !== 0;
+
+    // Modules left for data and error correction once the patterns are drawn
+    function rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function dataCodewords(version, level) {
+        return Math.floor(rawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[level.index][version] * NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+    }
+
+    // --- REED-SOLOMON ---
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    function multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let rootValue = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = multiply(result[j], rootValue);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            rootValue = multiply(rootValue, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Splits the data into blocks, adds each block's error correction and interleaves them.
+    function addErrorCorrection(data, version, level) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+        const blockEccLen = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+        const rawCodewords = Math.floor(rawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+        const divisor = reedSolomonDivisor(blockEccLen);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0); // Padding, skipped when interleaving
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // --- MATRIX ---
+    function alignmentPositions(version) {
+        if (version === 1) return [];
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+        return result;
+    }
+
+    function buildMatrix(version, level, codewords, mask) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns, then the finders and alignment patterns over them
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+        const positions = alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => positions.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return; // Under a finder
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }));
+
+        // Format information: level and mask, BCH-protected, twice
+        const formatData = level.formatBits << 3 | mask;
+        let remainder = formatData;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const formatBits = (formatData << 10 | remainder) ^ 0x5412;
+        for (let i = 0; i <= 5; i++) setFunction(8, i, bit(formatBits, i));
+        setFunction(8, 7, bit(formatBits, 6));
+        setFunction(8, 8, bit(formatBits, 7));
+        setFunction(7, 8, bit(formatBits, 8));
+        for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(formatBits, i));
+        for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(formatBits, i));
+        for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(formatBits, i));
+        setFunction(8, size - 8, true); // Always dark
+
+        // Version information, from version 7 on
+        if (version >= 7) {
+            let rem = version;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+            const versionBits = version << 12 | rem;
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, bit(versionBits, i));
+                setFunction(b, a, bit(versionBits, i));
+            }
+        }
+
+        // Codewords in two-module columns, zigzagging up and down from the bottom right
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+        return modules;
+    }
+
+    // The standard's penalty score; the mask with the lowest one is used.
+    function penalty(modules) {
+        const size = modules.length;
+        let score = 0;
+        const lines = [
+            ...modules,
+            ...modules.map((_, x) => modules.map(row => row[x]))
+        ];
+
+        lines.forEach(line => {
+            // Runs of five or more modules of one colour
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += 3 + run - 5;
+                    run = 1;
+                }
+            }
+            // Finder-like 1:1:3:1:1 patterns next to four light modules (the quiet zone counts)
+            const text = '0000' + line.map(dark => (dark ? '1' : '0')).join('') + '0000';
+            ['00001011101', '10111010000'].forEach(pattern => {
+                for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) score += 40;
+            });
+        });
+
+        // 2×2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = modules[y][x];
+                if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) score += 3;
+            }
+        }
+
+        // Dark modules far from half
+        const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        score += Math.floor(Math.abs(darkCount * 20 - size * size * 10) / (size * size)) * 10;
+        return score;
+    }
+
+    // Encodes `text` (as UTF-8) in the smallest version that holds it at
+    // `levelName` ('L', 'M', 'Q' or 'H'). Returns rows of booleans, true for
+    // dark modules, without the quiet zone. Throws if the text is too long.
+    function encodeQR(text, levelName = 'M') {
+        const level = EC_LEVELS[levelName] || EC_LEVELS.M;
+        const bytes = [...new TextEncoder().encode(text)];
+
+        let version = 1;
+        const capacityBits = v => dataCodewords(v, level) * 8;
+        const neededBits = v => 4 + (v <= 9 ? 8 : 16) + bytes.length * 8;
+        while (version <= 40 && neededBits(version) > capacityBits(version)) version++;
+        if (version > 40) throw new Error('Too much data for a QR code');
+
+        // Byte mode indicator, character count, data, terminator and padding
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        append(0b0100, 4);
+        append(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+        const capacity = capacityBits(version);
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        const codewords = addErrorCorrection(data, version, level);
+
+        let best = null;
+        let bestScore = Infinity;
+        MASKS.forEach((_, mask) => {
+            const modules = buildMatrix(version, level, codewords, mask);
+            const score = penalty(modules);
+            if (score < bestScore) {
+                best = modules;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    // An SVG image of `modules` with the four-module quiet zone around it.
+    function qrSVG(modules, { moduleSize = 4, dark = '#000', light = '#fff' } = {}) {
+        const size = modules.length + 8;
+        let path = '';
+        modules.forEach((row, y) => row.forEach((isDark, x) => {
+            if (isDark) path += `M${x + 4} ${y + 4}h1v1h-1z`;
+        }));
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * moduleSize}" height="${size * moduleSize}" shape-rendering="crispEdges">` +
+            `<rect width="${size}" height="${size}" fill="${light}"/><path d="${path}" fill="${dark}"/></svg>`;
+    }
+
+    return {
+        EC_LEVELS,
+        encodeQR,
+        qrSVG
+    };
+});
@@ -0,0 +1,187 @@
+// --- RECEIPT TEXT ---
+// DOM-free parser for receipt text, pasted into the Import Receipt modal or read
+// from a photo by Tesseract. Loaded with a <script> tag it defines `window.LunchReceipt`;
+// under Node it is a CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LunchReceipt = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // A price at the end of a line: "12.50", "$12.50", "-3.00", "3.00-", "1,234.50",
+    // "12,50", optionally followed by a one-letter tax code ("9.99 A").
+    const PRICE_AT_END = /(-?)[$€£]?\s*(\d{1,3}(?:[,.]\d{3})*[.,]\d{2}|\d+[.,]\d{2})(-?)\s*[A-Z]?\s*$/;
+
+    // "2 x Pad Thai", "2x Pad Thai", "2 Pad Thai", "Pad Thai x2"
+    const QUANTITY_BEFORE = /^(\d{1,3})\s*(?:[x×*]\s*|\s+)(?=\D)/i;
+    const QUANTITY_AFTER = /\s+[x×*]\s*(\d{1,3})$/i;
+    // "@ 6.25" or "@6.25 ea" unit prices inside the line
+    const UNIT_PRICE = /\s*@\s*[$€£]?\s*\d+(?:[.,]\d{2})?(?:\s*(?:ea|each))?/i;
+
+    // Summary lines, checked in order against the start of the line
+    const LINE_KINDS = [
+        ['subtotal', /^sub\s*-?\s*total\b/i],
+        ['tip', /^(?:tip|gratuity|service\s+charge)\b/i],
+        ['tax', /^(?:[a-z]+\s+)?(?:tax|vat|gst|hst|pst)\b/i], // "Tax", "State Tax", "Total VAT"
+        ['total', /^(?:(?:grand\s+)?total|amount\s+due|balance(?:\s+due)?)\b/i],
+        ['payment', /^(?:cash|change|visa|mastercard|amex|debit|credit|card|payment|tendered|paid)\b/i]
+    ];
+
+    // Lines read from a photo below this confidence (0-1) are flagged for review
+    const LOW_CONFIDENCE = 0.75;
+
+    // "1,234.50" -> 1234.5 and "12,50" -> 12.5: the last separator followed by
+    // exactly two digits is the decimal point, any other is a thousands separator.
+    function parseAmount(text) {
+        const match = String(text).trim().match(/^(-?)[$€£]?\s*(-?)([\d.,]+)$/);
+        if (!match) return NaN;
+
+        const digits = match[3];
+        const decimal = digits.match(/[.,](\d{2})$/);
+        const whole = (decimal ? digits.slice(0, -3) : digits).replace(/[.,]/g, '');
+        const value = parseFloat(`${whole}.${decimal ? decimal[1] : '0'}`);
+        return match[1] || match[2] ? -value : value;
+    }
+
+    function cleanName(text) {
+        return text
+            .replace(/\.{2,}|_{2,}|-{2,}|\s{2,}/g, ' ') // Dot leaders and column gaps
+            .replace(/[\s:.-]+$/, '')
+            .replace(/^[\s:.-]+/, '')
+            .trim();
+    }
+
+    // Parses one line. Returns { kind, name, quantity, price, line } or null when
+    // the line has no price. `kind` is 'item' or one of LINE_KINDS.
+    function parseReceiptLine(line) {
+        const text = line.trim();
+        const priceMatch = text.match(PRICE_AT_END);
+        if (!priceMatch) return null;
+
+        const negative = priceMatch[1] || priceMatch[3];
+        const price = parseAmount(priceMatch[2]) * (negative ? -1 : 1);
+
+        let rest = text.slice(0, priceMatch.index).replace(UNIT_PRICE, '');
+        const kindMatch = LINE_KINDS.find(([, pattern]) => pattern.test(cleanName(rest)));
+        if (kindMatch) {
+            return { kind: kindMatch[0], name: cleanName(rest), quantity: 1, price, line: text };
+        }
+
+        let quantity = 1;
+        const before = rest.trim().match(QUANTITY_BEFORE);
+        if (before) {
+            quantity = parseInt(before[1]);
+            rest = rest.trim().slice(before[0].length);
+        } else {
+            const after = cleanName(rest).match(QUANTITY_AFTER);
+            if (after) {
+                quantity = parseInt(after[1]);
+                rest = cleanName(rest).slice(0, after.index);
+            }
+        }
+
+        const name = cleanName(rest);
+        if (!name || isNaN(price)) return null;
+        return { kind: 'item', name, quantity: Math.max(1, quantity), price, line: text };
+    }
+
+    // OCR misreads tend to mix letters into numbers ("B0rger", "1l.50") or leave stray symbols.
+    function looksMisread(item) {
+        return /[a-z]\d|\d[a-z]/i.test(item.name.replace(/\b\d+(?:st|nd|rd|th|oz|ml|cl|g|kg|l|lb|pc|pcs)\b/gi, '')) ||
+            /[|{}[\]~^<>\\]/.test(item.line);
+    }
+
+    // The words of a Tesseract result (`data.blocks`, recognized with the
+    // `blocks` output on) in the shape groupTextLines takes. Tesseract boxes
+    // are corners and its confidences run from 0 to 100.
+    function recognizedWords(blocks) {
+        return (blocks || [])
+            .flatMap(block => block.paragraphs)
+            .flatMap(paragraph => paragraph.lines)
+            .flatMap(line => line.words)
+            .map(({ text, confidence, bbox }) => ({
+                text,
+                box: { x: bbox.x0, y: bbox.y0, width: bbox.x1 - bbox.x0, height: bbox.y1 - bbox.y0 },
+                confidence: confidence / 100
+            }));
+    }
+
+    // Groups words found in a photo into lines, top to bottom. Each word is
+    // { text, box: { x, y, width, height }, confidence? }; words whose vertical
+    // centres are within half a line height of each other share a line. Returns
+    // [{ text, confidence }] with the lowest word confidence, or null if unknown.
+    function groupTextLines(words) {
+        const lines = [];
+        [...words]
+            .filter(word => word.text && word.text.trim())
+            .sort((a, b) => (a.box.y + a.box.height / 2) - (b.box.y + b.box.height / 2))
+            .forEach(word => {
+                const centre = word.box.y + word.box.height / 2;
+                const line = lines.find(l => Math.abs(l.centre - centre) <= Math.max(l.height, word.box.height) / 2);
+                if (line) {
+                    line.words.push(word);
+                } else {
+                    lines.push({ centre, height: word.box.height, words: [word] });
+                }
+            });
+
+        return lines.map(line => {
+            const words = line.words.sort((a, b) => a.box.x - b.box.x);
+            // A wide gap is a column break; keep it so names and prices stay apart
+            const text = words.reduce((joined, word, idx) => {
+                if (idx === 0) return word.text.trim();
+                const previous = words[idx - 1];
+                const gap = word.box.x - (previous.box.x + previous.box.width);
+                return joined + (gap > line.height ? '   ' : ' ') + word.text.trim();
+            }, '');
+            const confidences = words.map(w => w.confidence).filter(c => typeof c === 'number');
+            return { text, confidence: confidences.length > 0 ? Math.min(...confidences) : null };
+        });
+    }
+
+    // Accepts pasted text or lines read from a photo ([{ text, confidence }]).
+    // Returns {
+    //     items:    [{ name, quantity, price, line, doubtful }],  // price is the line total
+    //     subtotal, tax, tip, total,                  // amounts found, or null
+    //     ignored:  [line]                            // non-empty lines that were not understood
+    // }
+    // `doubtful` items were read with low confidence or look misread.
+    function parseReceiptText(input) {
+        const result = { items: [], subtotal: null, tax: null, tip: null, total: null, ignored: [] };
+        const lines = Array.isArray(input)
+            ? input
+            : String(input).split(/\r?\n/).map(text => ({ text, confidence: null }));
+
+        lines.forEach(({ text: line, confidence }) => {
+            if (!line.trim()) return;
+
+            const parsed = parseReceiptLine(line);
+            if (!parsed) {
+                result.ignored.push(line.trim());
+            } else if (parsed.kind === 'item') {
+                const { kind, ...item } = parsed;
+                item.doubtful = (confidence !== null && confidence < LOW_CONFIDENCE) || looksMisread(item);
+                result.items.push(item);
+            } else if (parsed.kind === 'tax') {
+                result.tax = (result.tax || 0) + parsed.price; // Receipts may list several taxes
+            } else if (parsed.kind !== 'payment' && result[parsed.kind] === null) {
+                result[parsed.kind] = parsed.price;
+            }
+        });
+
+        if (result.tax !== null) result.tax = Math.round(result.tax * 100) / 100;
+        return result;
+    }
+
+    return {
+        LOW_CONFIDENCE,
+        parseAmount,
+        parseReceiptLine,
+        recognizedWords,
+        groupTextLines,
+        parseReceiptText
+    };
+});
@@ -0,0 +1,133 @@
+// --- TEAM ROSTER ---
+// DOM-free helpers for the roster: people saved outside any bill, with defaults
+// that apply whenever they join one, and crews of them to add in one go. Both
+// live in the bill library (`library.roster`, `library.crews`). Loaded with a
+// <script> tag it defines `window.LunchRoster`; under Node it is a CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bill.js'));
+    } else {
+        root.LunchRoster = factory(root.LunchBill);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LunchBill) {
+    'use strict';
+
+    const { createPersonUid } = LunchBill;
+
+    const nameKey = name => name.trim().toLowerCase();
+
+    function findRosterEntry(library, name) {
+        return library.roster.find(entry => nameKey(entry.name) === nameKey(name)) || null;
+    }
+
+    // Adds someone to the roster, or updates the entry with the same uid (or
+    // name). Entries are { uid, name, paymentHandle, currency, tipExempt }; an
+    // empty `currency` means they settle in whatever the bill is in.
+    function saveRosterEntry(library, { uid, name, paymentHandle = '', currency = '', tipExempt = false }) {
+        if (!name || !name.trim()) throw new Error('A roster entry needs a name');
+
+        const entry = library.roster.find(e => uid && e.uid === uid) || findRosterEntry(library, name);
+        const fields = { name: name.trim(), paymentHandle: paymentHandle.trim(), currency, tipExempt: Boolean(tipExempt) };
+        if (entry) {
+            Object.assign(entry, fields);
+            return entry;
+        }
+
+        const added = { uid: uid || createPersonUid(), ...fields };
+        library.roster.push(added);
+        return added;
+    }
+
+    // Removes someone from the roster and its crews. Returns the entry, or null.
+    function removeRosterEntry(library, uid) {
+        const entry = library.roster.find(e => e.uid === uid);
+        if (!entry) return null;
+
+        library.roster = library.roster.filter(e => e.uid !== uid);
+        library.crews = library.crews.map(crew => ({ ...crew, uids: crew.uids.filter(u => u !== uid) }));
+        return entry;
+    }
+
+    // Roster names containing `text` (all of them when it is blank) that are
+    // not on `billState` yet, those starting with it first.
+    function rosterSuggestions(library, text, billState) {
+        const query = nameKey(text || '');
+        const taken = new Set(billState.people.map(p => nameKey(p.name)));
+        return library.roster
+            .map(entry => entry.name)
+            .filter(name => !taken.has(nameKey(name)) && nameKey(name).includes(query))
+            .sort((a, b) => nameKey(b).startsWith(query) - nameKey(a).startsWith(query) || a.localeCompare(b));
+    }
+
+    // --- CREWS ---
+    function addCrew(library, name, uids) {
+        if (!name || !name.trim()) throw new Error('A crew needs a name');
+
+        const crew = { id: library.nextCrewId++, name: name.trim(), uids: [...new Set(uids)] };
+        library.crews.push(crew);
+        return crew;
+    }
+
+    function removeCrew(library, crewId) {
+        const crew = library.crews.find(c => c.id === crewId);
+        if (!crew) return null;
+
+        library.crews = library.crews.filter(c => c.id !== crewId);
+        return crew;
+    }
+
+    function crewEntries(library, crewId) {
+        const crew = library.crews.find(c => c.id === crewId);
+        return crew ? library.roster.filter(entry => crew.uids.includes(entry.uid)) : [];
+    }
+
+    // --- JOINING A BILL ---
+    // Adds roster entries to a bill with their defaults: payment handle,
+    // settlement currency and tip opt-out. People already on the bill (by name)
+    // are skipped. Returns the people added.
+    function addRosterPeople(billState, entries) {
+        const taken = new Set(billState.people.map(p => nameKey(p.name)));
+        const added = [];
+
+        entries.forEach(entry => {
+            if (taken.has(nameKey(entry.name))) return;
+            taken.add(nameKey(entry.name));
+
+            const person = { id: billState.nextPersonId++, name: entry.name, uid: entry.uid };
+            if (entry.paymentHandle) person.paymentHandle = entry.paymentHandle;
+            billState.people.push(person);
+
+            if (entry.currency && entry.currency !== billState.currency) {
+                billState.settlementCurrencies = { ...billState.settlementCurrencies, [person.id]: entry.currency };
+            }
+            if (entry.tipExempt) {
+                billState.tipExempt = [...(billState.tipExempt || []), person.id];
+            }
+            added.push(person);
+        });
+        return added;
+    }
+
+    // A roster entry holding what `person` has on `billState`.
+    function rosterEntryFor(billState, person) {
+        return {
+            uid: person.uid,
+            name: person.name,
+            paymentHandle: person.paymentHandle || '',
+            currency: (billState.settlementCurrencies || {})[person.id] || '',
+            tipExempt: (billState.tipExempt || []).includes(person.id)
+        };
+    }
+
+    return {
+        findRosterEntry,
+        saveRosterEntry,
+        removeRosterEntry,
+        rosterSuggestions,
+        addCrew,
+        removeCrew,
+        crewEntries,
+        addRosterPeople,
+        rosterEntryFor
+    };
+});
@@ -1,15 +1,77 @@
+// --- CURRENCIES (currency.js) ---
+const { CURRENCIES, DEFAULT_CURRENCY, currencyOf, currencyDecimals, formatMoney, convertMinor } = window.LunchCurrency;
+
+// --- NUMBER FORMATS (locale.js) ---
+const { LOCALES, parseNumber, formatNumber } = window.LunchLocale;
+
+// --- SPLIT ENGINE (split.js) ---
+const {
+    ROUNDING_METHODS, DEFAULT_ROUNDING_METHOD, TIP_MODES, TIP_SPLITS, ADJUSTMENT_DISTRIBUTIONS, SHARE_MODES,
+    toMinor, formatMinor, allocateMinor, computeSplit, reconcileSplit
+} = window.LunchSplit;
+
+// --- BILL STATE (bill.js) ---
+const {
+    createDefaultState, createPersonUid, migrateState, parseImportedState, toExportPayload, mergeImportedState,
+    encodeShareParams, decodeShareParams, removePerson, removeGroup, removeItem, removeAdjustment, removeTaxRate,
+    assignUnallocated, discountParent, itemProblem, hasBillAmounts, fitsCurrency, switchBillCurrency
+} = window.LunchBill;
+
+// --- SETTLE UP (settle.js) ---
+const { computeBalances, settleUp } = window.LunchSettle;
+
+// --- BILL LIBRARY (library.js) ---
+const {
+    createLibrary, migrateLibrary, findBill, getActiveBill, listBills, addBill,
+    updateBillDetails, duplicateBill, setBillArchived, deleteBill, storeBillState,
+    findPersonUid, linkPeople
+} = window.LunchLibrary;
+
+// --- GROUP LEDGER (ledger.js) ---
+const { ledgerCurrencies, computeLedger, recordSettlement, removeSettlement } = window.LunchLedger;
+
+// --- TEAM ROSTER (roster.js) ---
+const {
+    findRosterEntry, saveRosterEntry, removeRosterEntry, rosterSuggestions,
+    addCrew, removeCrew, crewEntries, addRosterPeople, rosterEntryFor
+} = window.LunchRoster;
+
+// --- RECEIPT TEXT (receipt.js) ---
+const { parseReceiptText, recognizedWords, groupTextLines } = window.LunchReceipt;
+
+// --- SPREADSHEET EXPORT (sheet.js) ---
+const { splitSheet, toCSV, toXLSX } = window.LunchSheet;
+
+// --- PERSONAL RECEIPTS (statement.js) ---
+const { personStatement, statementLines, statementPDF } = window.LunchStatement;
+
+// --- QR CODES (qr.js) ---
+const { encodeQR, qrSVG } = window.LunchQR;
+
+// --- PAYMENT REQUESTS (payment.js) ---
+const {
+    listPaymentTemplates, findPaymentTemplate, savePaymentTemplate, removePaymentTemplate,
+    acceptsCurrency, fillPaymentTemplate, isPaymentLink, PLACEHOLDERS
+} = window.LunchPayment;
+
+// --- UNDO / REDO HISTORY (history.js) ---
+const { createHistory, migrateHistory, recordChange, undoChange, redoChange, goToChange } = window.LunchHistory;
+
 // --- SIMPLE STATE MANAGEMENT ---
-const state = {
-    people: [],
-    items: [],
-    nextPersonId: 0,
-    nextItemId: 0,
-    tax: 0,
-    tip: 10,
-    isTransposed: false,
-    undoStack: [] // Stack for undo operations: {type: 'person'|'item', data: {...}}
+const state = createDefaultState(); // The open bill
+const library = createLibrary(); // Every saved bill, including the open one
+const undoHistory = createHistory(); // Undo/redo history of the open bill
+const ui = {
+    showArchivedBills: false,
+    locale: '' // Number format, see LOCALES; '' follows the browser
 };
 
+const LIBRARY_STORAGE_KEY = 'lunchSplitterBills';
+const LEGACY_STORAGE_KEY = 'lunchSplitterState'; // Single-bill storage from before the bill library
+const HISTORY_STORAGE_PREFIX = 'lunchSplitterHistory:'; // + bill id; each bill's history apart, so a save writes one
+const LEGACY_HISTORY_STORAGE_KEY = 'lunchSplitterHistory'; // { billId: history } of every bill, from before
+const LOCALE_STORAGE_KEY = 'lunchSplitterLocale'; // A preference of this browser, not part of any bill
+
 // --- UTILITIES ---
 function debounce(func, wait) {
     let timeout;
@@ -27,29 +89,78 @@ function debounce(func, wait) {
 const dom = {};
 
 // --- INITIALIZATION ---
-function initializeApp() {
+async function initializeApp() {
     // Cache DOM elements once
     dom.personNameInput = document.getElementById('person-name');
     dom.addPersonBtn = document.getElementById('add-person-btn');
     dom.peopleListDiv = document.getElementById('people-list');
+    dom.rosterBtn = document.getElementById('roster-btn');
+    dom.rosterNamesList = document.getElementById('roster-names');
+    dom.crewButtonsDiv = document.getElementById('crew-buttons');
+    dom.groupsListDiv = document.getElementById('groups-list');
+    dom.groupNameInput = document.getElementById('group-name');
+    dom.addGroupBtn = document.getElementById('add-group-btn');
     dom.itemNameInput = document.getElementById('item-name');
     dom.itemPriceInput = document.getElementById('item-price');
+    dom.itemParentSelect = document.getElementById('item-parent');
     dom.addItemBtn = document.getElementById('add-item-btn');
+    dom.importReceiptBtn = document.getElementById('import-receipt-btn');
+    dom.scanReceiptBtn = document.getElementById('scan-receipt-btn');
+    dom.receiptPhotoInput = document.getElementById('receipt-photo-input');
     dom.itemsListDiv = document.getElementById('items-list');
+    dom.adjustmentNameInput = document.getElementById('adjustment-name');
+    dom.adjustmentValueInput = document.getElementById('adjustment-value');
+    dom.adjustmentTypeSelect = document.getElementById('adjustment-type');
+    dom.adjustmentDistributionSelect = document.getElementById('adjustment-distribution');
+    dom.addAdjustmentBtn = document.getElementById('add-adjustment-btn');
+    dom.adjustmentsListDiv = document.getElementById('adjustments-list');
+    dom.paymentsListDiv = document.getElementById('payments-list');
+    dom.exchangeRatesDiv = document.getElementById('exchange-rates');
+    dom.currencySelect = document.getElementById('bill-currency');
+    dom.localeSelect = document.getElementById('number-locale');
     dom.taxInput = document.getElementById('tax-percent');
     dom.tipInput = document.getElementById('tip-percent');
+    dom.tipModeSelect = document.getElementById('tip-mode');
+    dom.tipAmountInput = document.getElementById('tip-amount');
+    dom.tipAmountLabel = document.querySelector('label[for="tip-amount"]');
+    dom.tipSplitSelect = document.getElementById('tip-split');
+    dom.tipPercentField = document.getElementById('tip-percent-field');
+    dom.tipAmountField = document.getElementById('tip-amount-field');
+    dom.tipSplitField = document.getElementById('tip-split-field');
+    dom.tipPeopleDiv = document.getElementById('tip-people');
+    dom.roundingSelect = document.getElementById('rounding-method');
+    dom.taxRatesListDiv = document.getElementById('tax-rates-list');
+    dom.taxRateNameInput = document.getElementById('tax-rate-name');
+    dom.taxRatePercentInput = document.getElementById('tax-rate-percent');
+    dom.addTaxRateBtn = document.getElementById('add-tax-rate-btn');
     dom.resultsSection = document.getElementById('results-section');
     dom.clearBtn = document.getElementById('clear-btn');
     dom.exportBtn = document.getElementById('export-btn');
     dom.exportJsonBtn = document.getElementById('export-json-btn');
+    dom.exportSheetBtn = document.getElementById('export-sheet-btn');
     dom.importJsonInput = document.getElementById('import-json-input');
     dom.importJsonBtn = document.getElementById('import-json-btn');
     dom.shareLinkBtn = document.getElementById('share-link-btn');
     dom.transposeBtn = document.getElementById('transpose-btn');
     dom.undoBtn = document.getElementById('undo-btn');
+    dom.redoBtn = document.getElementById('redo-btn');
+    dom.historyBtn = document.getElementById('history-btn');
+    dom.currentBillLabel = document.getElementById('current-bill');
+    dom.billsBtn = document.getElementById('bills-btn');
+    dom.editBillBtn = document.getElementById('edit-bill-btn');
+    dom.billsSidebar = document.getElementById('bills-sidebar');
+    dom.closeBillsBtn = document.getElementById('close-bills-btn');
+    dom.newBillBtn = document.getElementById('new-bill-btn');
+    dom.showArchivedBillsInput = document.getElementById('show-archived-bills');
+    dom.billsListDiv = document.getElementById('bills-list');
+    dom.ledgerBtn = document.getElementById('ledger-btn');
+
+    dom.currencySelect.innerHTML = currencyOptionsHTML();
+    ui.locale = localStorage.getItem(LOCALE_STORAGE_KEY) || '';
+    dom.localeSelect.innerHTML = Object.entries(LOCALES).map(([code, label]) => `<option value="${code}">${label}</option>`).join('');
 
     setupEventListeners();
-    loadState();
+    await loadState();
     render();
 }
 
@@ -58,6 +169,9 @@ function setupEventListeners() {
     dom.addPersonBtn.addEventListener('click', handleAddPerson);
     dom.personNameInput.addEventListener('keypress', (e) => e.key === 'Enter' && handleAddPerson());
     dom.personNameInput.addEventListener('input', updateAddPersonButton);
+    dom.addGroupBtn.addEventListener('click', handleAddGroup);
+    dom.groupNameInput.addEventListener('keypress', (e) => e.key === 'Enter' && handleAddGroup());
+    dom.groupNameInput.addEventListener('input', updateAddGroupButton);
 
     // Item management
     dom.addItemBtn.addEventListener('click', handleAddItem);
@@ -65,96 +179,356 @@ function setupEventListeners() {
     dom.itemPriceInput.addEventListener('keypress', (e) => e.key === 'Enter' && handleAddItem());
     dom.itemNameInput.addEventListener('input', updateAddItemButton);
     dom.itemPriceInput.addEventListener('input', updateAddItemButton);
+    dom.currencySelect.addEventListener('change', () => setBillCurrency(dom.currencySelect.value));
+    dom.localeSelect.addEventListener('change', () => setLocale(dom.localeSelect.value));
+    dom.importReceiptBtn.addEventListener('click', () => showImportReceiptModal());
+    dom.scanReceiptBtn.addEventListener('click', () => dom.receiptPhotoInput.click());
+    dom.receiptPhotoInput.addEventListener('change', handleReceiptPhoto);
+
+    // Discounts and fees
+    dom.addAdjustmentBtn.addEventListener('click', handleAddAdjustment);
+    dom.adjustmentNameInput.addEventListener('keypress', (e) => e.key === 'Enter' && handleAddAdjustment());
+    dom.adjustmentValueInput.addEventListener('keypress', (e) => e.key === 'Enter' && handleAddAdjustment());
+    dom.adjustmentNameInput.addEventListener('input', updateAddAdjustmentButton);
+    dom.adjustmentValueInput.addEventListener('input', updateAddAdjustmentButton);
 
     // Tax and tip (with debouncing)
     const debouncedTaxUpdate = debounce(() => {
-        state.tax = parseFloat(dom.taxInput.value) || 0;
+        const tax = readNumber(dom.taxInput.value) || 0;
+        commitChange(`Set tax to ${formatPercent(tax)}`, () => {
+            state.tax = tax;
+        });
         calculateAndRenderSplit();
         saveState();
     }, 300);
 
     const debouncedTipUpdate = debounce(() => {
-        state.tip = parseFloat(dom.tipInput.value) || 0;
+        const tip = readNumber(dom.tipInput.value) || 0;
+        commitChange(`Set tip to ${formatPercent(tip)}`, () => {
+            state.tip = tip;
+        });
+        calculateAndRenderSplit();
+        saveState();
+    }, 300);
+
+    const debouncedTipAmountUpdate = debounce(() => {
+        const tipAmount = Math.max(0, readNumber(dom.tipAmountInput.value) || 0);
+        commitChange(`Set tip to ${formatSignedMinor(toBillMinor(tipAmount))}`, () => {
+            state.tipAmount = tipAmount;
+        });
         calculateAndRenderSplit();
         saveState();
     }, 300);
 
     dom.taxInput.addEventListener('input', debouncedTaxUpdate);
     dom.tipInput.addEventListener('input', debouncedTipUpdate);
+    dom.tipAmountInput.addEventListener('input', debouncedTipAmountUpdate);
+    dom.tipModeSelect.addEventListener('change', () => {
+        commitChange(`Tip by ${TIP_MODES[dom.tipModeSelect.value].toLowerCase()}`, () => {
+            state.tipMode = dom.tipModeSelect.value;
+        });
+        syncConfigInputs();
+        calculateAndRenderSplit();
+        saveState();
+    });
+    dom.tipSplitSelect.addEventListener('change', () => {
+        commitChange(`Share the tip ${TIP_SPLITS[dom.tipSplitSelect.value].toLowerCase()}`, () => {
+            state.tipSplit = dom.tipSplitSelect.value;
+        });
+        calculateAndRenderSplit();
+        saveState();
+    });
+    dom.addTaxRateBtn.addEventListener('click', handleAddTaxRate);
+    dom.taxRateNameInput.addEventListener('keypress', (e) => e.key === 'Enter' && handleAddTaxRate());
+    dom.taxRatePercentInput.addEventListener('keypress', (e) => e.key === 'Enter' && handleAddTaxRate());
+    dom.taxRateNameInput.addEventListener('input', updateAddTaxRateButton);
+    dom.taxRatePercentInput.addEventListener('input', updateAddTaxRateButton);
+    dom.roundingSelect.addEventListener('change', () => {
+        commitChange(`Round leftover cents by ${ROUNDING_METHODS[dom.roundingSelect.value].toLowerCase()}`, () => {
+            state.roundingMethod = dom.roundingSelect.value;
+        });
+        renderItems();
+        calculateAndRenderSplit();
+        saveState();
+    });
 
     // Actions
     dom.transposeBtn.addEventListener('click', toggleTranspose);
     dom.shareLinkBtn.addEventListener('click', copyShareLink);
     dom.exportBtn.addEventListener('click', exportSummaryAsImage);
     dom.exportJsonBtn.addEventListener('click', showExportJSONModal);
+    dom.exportSheetBtn.addEventListener('click', showExportSheetModal);
     dom.importJsonBtn.addEventListener('click', showImportJSONModal);
     dom.clearBtn.addEventListener('click', clearState);
     dom.undoBtn.addEventListener('click', performUndo);
+    dom.redoBtn.addEventListener('click', performRedo);
+    dom.historyBtn.addEventListener('click', showHistoryModal);
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), unless the browser is undoing typing
+    // the bill has not taken in yet
+    document.addEventListener('input', (e) => {
+        if (isTextField(e.target)) pendingTextEdits.add(e.target);
+    }, true);
+    document.addEventListener('change', (e) => pendingTextEdits.delete(e.target), true);
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        if (hasPendingTextEdit(e.target)) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            performRedo();
+        } else {
+            performUndo();
+        }
+    });
+
+    // Bill library
+    dom.billsBtn.addEventListener('click', () => toggleBillsSidebar(true));
+    dom.closeBillsBtn.addEventListener('click', () => toggleBillsSidebar(false));
+    dom.editBillBtn.addEventListener('click', () => editBillDetails(library.activeBillId));
+    dom.newBillBtn.addEventListener('click', handleNewBill);
+    dom.showArchivedBillsInput.addEventListener('change', () => {
+        ui.showArchivedBills = dom.showArchivedBillsInput.checked;
+        renderBills();
+    });
+
+    // Group ledger
+    dom.ledgerBtn.addEventListener('click', showLedgerModal);
+    dom.rosterBtn.addEventListener('click', showRosterModal);
+
+    // Controls drawn by the render functions name their action in data-action
+    document.addEventListener('click', (e) => runRenderedAction(CLICK_ACTIONS, e.target));
+    document.addEventListener('change', (e) => runRenderedAction(CHANGE_ACTIONS, e.target));
+}
+
+// --- RENDERED CONTROLS ---
+// What each data-action does. Ids come from data-person, data-item and so on;
+// inputs and selects pass their value along.
+const CLICK_ACTIONS = {
+    'toggle-roster-person': el => toggleRosterPerson(Number(el.dataset.person)),
+    'edit-person': el => editPersonName(Number(el.dataset.person)),
+    'delete-person': el => deletePerson(Number(el.dataset.person)),
+    'delete-group': el => deleteGroup(Number(el.dataset.group)),
+    'add-crew': el => addCrewToBill(Number(el.dataset.crew)),
+    'split-evenly': el => splitEvenly(Number(el.dataset.item)),
+    'clear-shares': el => clearAllQuantities(Number(el.dataset.item)),
+    'start-discount': el => startItemDiscount(Number(el.dataset.item)),
+    'edit-item': el => editItem(Number(el.dataset.item)),
+    'delete-item': el => deleteItem(Number(el.dataset.item)),
+    'delete-adjustment': el => deleteAdjustment(Number(el.dataset.adjustment)),
+    'delete-tax-rate': el => deleteTaxRate(Number(el.dataset.taxRate)),
+    'pay-whole-bill': el => payWholeBill(Number(el.dataset.person)),
+    'show-receipt': el => showPersonReceiptModal(Number(el.dataset.person)),
+    'copy-payment-request': el => copyPaymentRequest(el.dataset.request),
+    'manage-payment-templates': () => showPaymentTemplatesModal(),
+    'resolve-unallocated': el => resolveUnallocated(el.dataset.target),
+    'switch-bill': el => switchBill(Number(el.dataset.bill)),
+    'edit-bill': el => editBillDetails(Number(el.dataset.bill)),
+    'duplicate-bill': el => handleDuplicateBill(Number(el.dataset.bill)),
+    'archive-bill': el => handleArchiveBill(Number(el.dataset.bill)),
+    'delete-bill': el => handleDeleteBill(Number(el.dataset.bill))
+};
+
+const CHANGE_ACTIONS = {
+    'toggle-group-person': el => toggleGroupPerson(Number(el.dataset.group), Number(el.dataset.person)),
+    'person-share': el => updatePersonShare(Number(el.dataset.item), Number(el.dataset.person), el.value),
+    'rest-share': el => toggleRestShare(Number(el.dataset.item), Number(el.dataset.person), el.checked),
+    'person-quantity': el => updatePersonQuantity(Number(el.dataset.item), Number(el.dataset.person), el.value),
+    'split-among-group': el => splitAmongGroup(Number(el.dataset.item), el.value),
+    'share-mode': el => setItemShareMode(Number(el.dataset.item), el.value),
+    'item-tax-rate': el => setItemTaxRate(Number(el.dataset.item), el.value),
+    'toggle-adjustment-person': el => toggleAdjustmentPerson(Number(el.dataset.adjustment), Number(el.dataset.person)),
+    'tax-rate': el => updateTaxRate(Number(el.dataset.taxRate), el.value),
+    'toggle-tip-exempt': el => toggleTipExempt(Number(el.dataset.person)),
+    'payment': el => updatePayment(Number(el.dataset.person), el.value),
+    'settlement-currency': el => setSettlementCurrency(Number(el.dataset.person), el.value),
+    'payment-handle': el => setPaymentHandle(Number(el.dataset.person), el.value),
+    'payment-template': el => setPaymentTemplate(el.value),
+    'payment-qr-in-image': el => setPaymentQRInImage(el.checked),
+    'exchange-rate': el => updateExchangeRate(el.dataset.currency, el.value)
+};
+
+function runRenderedAction(actions, target) {
+    const el = target.closest && target.closest('[data-action]');
+    if (!el || !actions[el.dataset.action]) return;
+    actions[el.dataset.action](el);
 }
 
 // --- UNIFIED RENDER FUNCTION ---
 function render() {
     renderPeople();
+    renderGroups();
     renderItems();
+    renderAdjustments();
+    renderTaxRates();
+    renderTipPeople();
+    renderPayments();
     calculateAndRenderSplit();
     updateAddPersonButton();
+    updateAddGroupButton();
     updateAddItemButton();
+    updateAddAdjustmentButton();
+    updateAddTaxRateButton();
     updateUndoButton();
+    renderCurrentBill();
+}
+
+function syncConfigInputs() {
+    dom.taxInput.value = inputNumber(state.tax);
+    dom.tipInput.value = inputNumber(state.tip);
+    dom.tipModeSelect.value = state.tipMode;
+    dom.tipAmountInput.value = inputNumber(state.tipAmount);
+    dom.tipSplitSelect.value = state.tipSplit;
+    dom.roundingSelect.value = state.roundingMethod;
+    dom.currencySelect.value = state.currency;
+    dom.localeSelect.value = ui.locale;
+
+    // Amount fields follow the bill currency and number format
+    const { symbol } = currencyOf(state.currency);
+    dom.itemPriceInput.placeholder = `Price (${symbol})`;
+    dom.adjustmentValueInput.placeholder = inputNumber(-20);
+    dom.tipAmountLabel.textContent = `Tip amount (${symbol})`;
+    dom.adjustmentTypeSelect.querySelector('option[value="fixed"]').textContent = `${symbol} amount`;
+
+    // Only the inputs of the chosen tip mode are shown
+    const isFixedTip = state.tipMode === 'fixed';
+    dom.tipPercentField.classList.toggle('hidden', isFixedTip);
+    dom.tipAmountField.classList.toggle('hidden', !isFixedTip);
+    dom.tipSplitField.classList.toggle('hidden', !isFixedTip);
 }
 
 function updateAddPersonButton() {
     dom.addPersonBtn.disabled = !dom.personNameInput.value.trim();
 }
 
+function updateAddGroupButton() {
+    dom.addGroupBtn.disabled = !dom.groupNameInput.value.trim();
+}
+
 function updateAddItemButton() {
     const hasName = dom.itemNameInput.value.trim();
-    const hasValidPrice = dom.itemPriceInput.value.trim() && parseFloat(dom.itemPriceInput.value) > 0;
+    const price = readNumber(dom.itemPriceInput.value);
+    const hasValidPrice = dom.itemPriceInput.value.trim() && !isNaN(price) && price !== 0; // Negative for discounts
     dom.addItemBtn.disabled = !hasName || !hasValidPrice;
+
+    // Discounts can be linked to the item they belong to
+    dom.itemParentSelect.classList.toggle('hidden', !(price < 0 || dom.itemParentSelect.value !== ''));
+}
+
+function updateAddAdjustmentButton() {
+    const hasName = dom.adjustmentNameInput.value.trim();
+    const value = readNumber(dom.adjustmentValueInput.value); // Negative for discounts, never zero
+    dom.addAdjustmentBtn.disabled = !hasName || !value;
+}
+
+function updateAddTaxRateButton() {
+    const hasName = dom.taxRateNameInput.value.trim();
+    const hasValidRate = dom.taxRatePercentInput.value.trim() && readNumber(dom.taxRatePercentInput.value) >= 0;
+    dom.addTaxRateBtn.disabled = !hasName || !hasValidRate;
 }
 
 function updateUndoButton() {
-    if (dom.undoBtn) {
-        dom.undoBtn.disabled = state.undoStack.length === 0;
-        const lastAction = state.undoStack[state.undoStack.length - 1];
-        if (lastAction) {
-            const actionText = lastAction.type === 'person' ?
-                `Undo Remove "${lastAction.data.name}"` :
-                `Undo Remove "${lastAction.data.name}"`;
-            dom.undoBtn.textContent = actionText;
-        } else {
-            dom.undoBtn.textContent = 'Undo';
-        }
-    }
+    const lastChange = undoHistory.past[undoHistory.past.length - 1];
+    const nextChange = undoHistory.future[0];
+
+    dom.undoBtn.disabled = !lastChange;
+    dom.undoBtn.textContent = lastChange ? `Undo: ${lastChange.label}` : 'Undo';
+    dom.undoBtn.title = 'Undo (Ctrl+Z)';
+    dom.redoBtn.disabled = !nextChange;
+    dom.redoBtn.textContent = nextChange ? `Redo: ${nextChange.label}` : 'Redo';
+    dom.redoBtn.title = 'Redo (Ctrl+Shift+Z)';
+    dom.historyBtn.disabled = !lastChange && !nextChange;
 }
 
-function performUndo() {
-    if (state.undoStack.length === 0) return;
-
-    const action = state.undoStack.pop();
-
-    if (action.type === 'person') {
-        // Restore person
-        state.people.push(action.data.person);
-        // Restore their quantities in items
-        action.data.itemQuantities.forEach(({ itemId, quantity }) => {
-            const item = state.items.find(i => i.id === itemId);
-            if (item) {
-                if (!item.personQuantities) item.personQuantities = {};
-                item.personQuantities[action.data.person.id] = quantity;
-            }
-        });
-        showToast(`Restored person: ${action.data.person.name}`, 'success');
-    } else if (action.type === 'item') {
-        // Restore item
-        state.items.push(action.data);
-        showToast(`Restored item: ${action.data.name}`, 'success');
-    }
+// --- UNDO / REDO ---
+// Text fields typed in since their value was last committed to the bill;
+// Ctrl+Z there undoes the typing instead.
+const pendingTextEdits = new WeakSet();
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password'];
+
+function isTextField(element) {
+    return element.tagName === 'TEXTAREA' || (element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(element.type));
+}
+
+function hasPendingTextEdit(element) {
+    return isTextField(element) && element.value !== '' && pendingTextEdits.has(element);
+}
+
+// Runs a change to the open bill as one undoable step.
+function commitChange(label, mutate) {
+    const change = recordChange(undoHistory, state, label, mutate);
+    if (document.activeElement) pendingTextEdits.delete(document.activeElement); // Its edit is in the bill now
+    updateUndoButton();
+    return change;
+}
 
+// Re-renders everything after the history moved the state.
+function refreshAfterHistoryMove() {
+    syncConfigInputs();
     render();
-    calculateAndRenderSplit();
     saveState();
 }
 
+function performUndo() {
+    const change = undoChange(undoHistory, state);
+    if (!change) return;
+
+    refreshAfterHistoryMove();
+    showToast(`Undone: ${change.label}`, 'success');
+}
+
+function performRedo() {
+    const change = redoChange(undoHistory, state);
+    if (!change) return;
+
+    refreshAfterHistoryMove();
+    showToast(`Redone: ${change.label}`, 'success');
+}
+
+function renderHistoryList() {
+    const entries = [...undoHistory.past, ...undoHistory.future];
+    const position = undoHistory.past.length;
+    const formatTime = at => new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const rowHTML = (label, time, targetPosition) => {
+        const isCurrent = targetPosition === position;
+        const isUndone = targetPosition > position;
+        return `
+            <li>
+                <button class="w-full text-left px-3 py-2 rounded flex justify-between gap-4 ${isCurrent ? 'bg-indigo-50 font-semibold' : 'hover:bg-gray-100'} ${isUndone ? 'text-gray-400' : ''}"
+                        data-history-position="${targetPosition}">
+                    <span>${escapeHTML(label)}</span>
+                    <span class="text-xs text-gray-500">${time}</span>
+                </button>
+            </li>
+        `;
+    };
+
+    return rowHTML('Start', '', 0) +
+        entries.map((entry, idx) => rowHTML(entry.label, formatTime(entry.at), idx + 1)).join('');
+}
+
+function showHistoryModal() {
+    const content = `
+        <p class="mb-4 text-gray-600">Click a step to go back or forward to it. Greyed-out steps have been undone.</p>
+        <ol id="history-list" class="space-y-1">${renderHistoryList()}</ol>
+    `;
+
+    const modal = createModal('History', content);
+    const list = modal.querySelector('#history-list');
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-history-position]');
+        if (!button) return;
+
+        goToChange(undoHistory, state, parseInt(button.dataset.historyPosition));
+        refreshAfterHistoryMove();
+        list.innerHTML = renderHistoryList();
+    });
+}
+
 // --- PERSON MANAGEMENT ---
 function handleAddPerson() {
     const name = dom.personNameInput.value.trim();
@@ -163,7 +537,15 @@ function handleAddPerson() {
             showToast('This person has already been added.', 'error');
             return;
         }
-        state.people.push({ id: state.nextPersonId++, name });
+        // Someone on the roster joins with their defaults
+        const entry = findRosterEntry(library, name);
+        commitChange(`Add ${name}`, () => {
+            if (entry) {
+                addRosterPeople(state, [entry]);
+            } else {
+                state.people.push({ id: state.nextPersonId++, name, uid: findPersonUid(library, name) || createPersonUid() });
+            }
+        });
         dom.personNameInput.value = '';
         render();
         calculateAndRenderSplit();
@@ -175,32 +557,8 @@ function deletePerson(personId) {
     const person = state.people.find(p => p.id === personId);
     if (!person) return;
 
-    // Save person and their quantities for undo
-    const itemQuantities = [];
-    state.items.forEach(item => {
-        if (item.personQuantities && item.personQuantities[personId]) {
-            itemQuantities.push({
-                itemId: item.id,
-                quantity: item.personQuantities[personId]
-            });
-        }
-    });
-
-    state.undoStack.push({
-        type: 'person',
-        data: {
-            person: { ...person },
-            itemQuantities
-        }
-    });
+    commitChange(`Remove ${person.name}`, () => removePerson(state, personId));
 
-    state.people = state.people.filter(p => p.id !== personId);
-    state.items = state.items.map(item => ({
-        ...item,
-        personQuantities: Object.fromEntries(
-            Object.entries(item.personQuantities || {}).filter(([id]) => parseInt(id) !== personId)
-        )
-    }));
     render();
     calculateAndRenderSplit();
     saveState();
@@ -214,9 +572,9 @@ function editPersonName(personId) {
     if (!nameSpan) return;
 
     const originalName = person.name;
-    nameSpan.innerHTML = `<input type="text" value="${originalName}" class="input-field text-sm py-1 px-2" data-edit-input="${personId}">`;
+    nameSpan.innerHTML = `<input type="text" value="${escapeHTML(originalName)}" class="input-field text-sm py-1 px-2" data-edit-input>`;
 
-    const input = nameSpan.querySelector(`[data-edit-input="${personId}"]`);
+    const input = nameSpan.querySelector('[data-edit-input]');
     input.focus();
     input.select();
 
@@ -225,7 +583,9 @@ function editPersonName(personId) {
         if (newName && newName !== originalName) {
             const personIndex = state.people.findIndex(p => p.id === personId);
             if (personIndex !== -1) {
-                state.people[personIndex].name = newName;
+                commitChange(`Rename ${originalName} to ${newName}`, () => {
+                    state.people[personIndex].name = newName;
+                });
                 calculateAndRenderSplit();
                 saveState();
             }
@@ -237,44 +597,297 @@ function editPersonName(personId) {
     input.addEventListener('blur', savePerson);
 }
 
+// --- GROUPS ---
+function handleAddGroup() {
+    const name = dom.groupNameInput.value.trim();
+    if (!name) return;
+
+    if (state.groups.some(g => g.name.toLowerCase() === name.toLowerCase())) {
+        showToast('This group has already been added.', 'error');
+        return;
+    }
+
+    commitChange(`Add group ${name}`, () => {
+        state.groups.push({ id: state.nextGroupId++, name, personIds: [] });
+    });
+    dom.groupNameInput.value = '';
+    render();
+    saveState();
+}
+
+function deleteGroup(groupId) {
+    const group = state.groups.find(g => g.id === groupId);
+    if (!group) return;
+
+    commitChange(`Remove group ${group.name}`, () => removeGroup(state, groupId));
+    render();
+    saveState();
+}
+
+function toggleGroupPerson(groupId, personId) {
+    const group = state.groups.find(g => g.id === groupId);
+    const person = state.people.find(p => p.id === personId);
+    if (!group || !person) return;
+
+    const isMember = group.personIds.includes(personId);
+    commitChange(`${isMember ? 'Take' : 'Put'} ${person.name} ${isMember ? 'out of' : 'in'} ${group.name}`, () => {
+        group.personIds = isMember
+            ? group.personIds.filter(id => id !== personId)
+            : [...group.personIds, personId];
+    });
+    renderGroups();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// --- TEAM ROSTER ---
+// Adds everyone in a crew who is not on the bill yet.
+function addCrewToBill(crewId) {
+    const crew = library.crews.find(c => c.id === crewId);
+    if (!crew) return;
+
+    const entries = crewEntries(library, crewId);
+    const newcomers = entries.filter(entry => !state.people.some(p => p.name.toLowerCase() === entry.name.toLowerCase()));
+    if (newcomers.length === 0) {
+        showToast(`Everyone in ${crew.name} is already on the bill.`, 'info');
+        return;
+    }
+
+    commitChange(`Add ${crew.name}`, () => addRosterPeople(state, newcomers));
+    render();
+    saveState();
+}
+
+// Saves a person and their defaults on this bill to the roster, or takes them off it.
+function toggleRosterPerson(personId) {
+    const person = state.people.find(p => p.id === personId);
+    if (!person) return;
+
+    if (library.roster.some(entry => entry.uid === person.uid)) {
+        removeRosterEntry(library, person.uid);
+        showToast(`${person.name} was removed from the roster.`, 'info');
+    } else {
+        saveRosterEntry(library, rosterEntryFor(state, person));
+        showToast(`${person.name} was saved to the roster.`, 'success');
+    }
+    renderPeople();
+    saveState();
+}
+
+// Name suggestions for the person input and a quick-add button per crew
+function renderRosterShortcuts() {
+    dom.rosterNamesList.innerHTML = rosterSuggestions(library, '', state)
+        .map(name => `<option value="${escapeHTML(name)}"></option>`)
+        .join('');
+    dom.crewButtonsDiv.innerHTML = library.crews.map(crew => `
+        <button class="text-xs bg-blue-500 text-white px-2 py-1 rounded hover:bg-blue-600" title="${escapeHTML(crewEntries(library, crew.id).map(e => e.name).join(', '))}"
+                data-action="add-crew" data-crew="${escapeHTML(crew.id)}">+ ${escapeHTML(crew.name)}</button>
+    `).join('');
+}
+
+function renderRoster() {
+    const entriesHTML = library.roster.map(entry => `
+        <div class="p-3 border border-gray-200 rounded-lg">
+            <div class="flex items-center gap-2">
+                <input type="text" class="input-field py-1 flex-1" value="${escapeHTML(entry.name)}" data-roster-field="name" data-roster-uid="${escapeHTML(entry.uid)}">
+                <button class="text-xs bg-blue-500 text-white px-2 py-1 rounded hover:bg-blue-600" data-roster-add="${escapeHTML(entry.uid)}">Add to Bill</button>
+                <button class="text-red-500 hover:text-red-700 font-bold" title="Remove from the roster" data-roster-remove="${escapeHTML(entry.uid)}">&times;</button>
+            </div>
+            <div class="mt-2 flex flex-wrap items-center gap-2 text-sm">
+                <input type="text" class="input-field py-1 w-40" placeholder="Payment handle" value="${escapeHTML(entry.paymentHandle)}" data-roster-field="paymentHandle" data-roster-uid="${escapeHTML(entry.uid)}">
+                <select class="input-field py-1 w-auto" title="Settles in" data-roster-field="currency" data-roster-uid="${escapeHTML(entry.uid)}">
+                    <option value="">Bill currency</option>
+                    ${currencyOptionsHTML(entry.currency)}
+                </select>
+                <label class="flex items-center gap-1">
+                    <input type="checkbox" ${entry.tipExempt ? 'checked' : ''} data-roster-field="tipExempt" data-roster-uid="${escapeHTML(entry.uid)}"> No tip
+                </label>
+            </div>
+        </div>
+    `).join('') || '<p class="text-gray-500 text-sm">Nobody yet. Add names below, or tap ☆ next to someone on a bill.</p>';
+
+    const crewsHTML = library.crews.map(crew => `
+        <div class="p-3 border border-gray-200 rounded-lg">
+            <div class="flex items-center justify-between gap-2">
+                <span class="font-medium">${escapeHTML(crew.name)}</span>
+                <div class="flex gap-2">
+                    <button class="text-xs bg-blue-500 text-white px-2 py-1 rounded hover:bg-blue-600" data-crew-add="${crew.id}">Add to Bill</button>
+                    <button class="text-red-500 hover:text-red-700 font-bold" title="Remove this crew" data-crew-remove="${crew.id}">&times;</button>
+                </div>
+            </div>
+            <div class="mt-2 flex flex-wrap gap-x-4 gap-y-1">
+                ${library.roster.map(entry => `
+                    <label class="flex items-center gap-1 text-sm">
+                        <input type="checkbox" ${crew.uids.includes(entry.uid) ? 'checked' : ''} data-crew-member="${crew.id}" data-roster-uid="${escapeHTML(entry.uid)}">
+                        ${escapeHTML(entry.name)}
+                    </label>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    return `
+        <p class="mb-4 text-gray-600">People saved here are suggested when you type a name, and join every bill with their defaults.</p>
+        <div class="space-y-2">${entriesHTML}</div>
+        <div class="mt-2 flex gap-2">
+            <input type="text" id="roster-new-name" class="input-field py-1" placeholder="Name">
+            <button id="roster-new-btn" class="btn btn-secondary py-1 whitespace-nowrap">Add to Roster</button>
+        </div>
+        <h4 class="font-semibold mt-6 mb-2">Crews</h4>
+        <div class="space-y-2">${crewsHTML || '<p class="text-gray-500 text-sm">Save the usual crew to add them all with one click.</p>'}</div>
+        <div class="mt-2 flex gap-2">
+            <input type="text" id="crew-name" class="input-field py-1" placeholder="Crew name (e.g. Usual crew)">
+            <button id="save-crew-btn" class="btn btn-secondary py-1 whitespace-nowrap" ${state.people.length === 0 ? 'disabled' : ''}>Save Current People</button>
+        </div>
+    `;
+}
+
+function showRosterModal() {
+    const modal = createModal('Roster', '<div id="roster-body"></div>');
+    const body = modal.querySelector('#roster-body');
+    body.innerHTML = renderRoster();
+
+    const refresh = () => {
+        saveState();
+        body.innerHTML = renderRoster();
+        renderPeople();
+    };
+
+    body.addEventListener('click', (e) => {
+        const addBtn = e.target.closest('[data-roster-add]');
+        if (addBtn) {
+            const entry = library.roster.find(r => r.uid === addBtn.dataset.rosterAdd);
+            if (state.people.some(p => p.name.toLowerCase() === entry.name.toLowerCase())) {
+                showToast(`${entry.name} is already on the bill.`, 'info');
+                return;
+            }
+            commitChange(`Add ${entry.name}`, () => addRosterPeople(state, [entry]));
+            render();
+            refresh();
+            return;
+        }
+
+        const removeBtn = e.target.closest('[data-roster-remove]');
+        if (removeBtn) {
+            removeRosterEntry(library, removeBtn.dataset.rosterRemove);
+            refresh();
+            return;
+        }
+
+        const crewAddBtn = e.target.closest('[data-crew-add]');
+        if (crewAddBtn) {
+            addCrewToBill(parseInt(crewAddBtn.dataset.crewAdd));
+            return;
+        }
+
+        const crewRemoveBtn = e.target.closest('[data-crew-remove]');
+        if (crewRemoveBtn) {
+            removeCrew(library, parseInt(crewRemoveBtn.dataset.crewRemove));
+            refresh();
+            return;
+        }
+
+        if (e.target.id === 'roster-new-btn') {
+            const name = body.querySelector('#roster-new-name').value.trim();
+            if (!name) return;
+            if (findRosterEntry(library, name)) {
+                showToast('This person is already on the roster.', 'error');
+                return;
+            }
+            // Someone from past bills keeps their identity in the ledger
+            saveRosterEntry(library, { uid: findPersonUid(library, name), name });
+            refresh();
+            return;
+        }
+
+        if (e.target.id === 'save-crew-btn') {
+            const name = body.querySelector('#crew-name').value.trim();
+            if (!name) {
+                showToast('Give the crew a name first.', 'error');
+                return;
+            }
+            // People not on the roster yet join it with their defaults from this bill
+            const uids = state.people.map(person =>
+                (library.roster.find(r => r.uid === person.uid) || findRosterEntry(library, person.name) ||
+                    saveRosterEntry(library, rosterEntryFor(state, person))).uid
+            );
+            addCrew(library, name, uids);
+            showToast(`${name} saved.`, 'success');
+            refresh();
+        }
+    });
+
+    body.addEventListener('change', (e) => {
+        const uid = e.target.dataset.rosterUid;
+        const entry = library.roster.find(r => r.uid === uid);
+        if (!entry) return;
+
+        if (e.target.dataset.crewMember !== undefined) {
+            const crew = library.crews.find(c => c.id === parseInt(e.target.dataset.crewMember));
+            crew.uids = e.target.checked ? [...crew.uids, uid] : crew.uids.filter(u => u !== uid);
+        } else {
+            const field = e.target.dataset.rosterField;
+            const value = field === 'tipExempt' ? e.target.checked : e.target.value;
+            if (field === 'name' && (!value.trim() || (findRosterEntry(library, value) || entry) !== entry)) {
+                showToast('Names must be filled in and different from each other.', 'error');
+                e.target.value = entry.name;
+                return;
+            }
+            saveRosterEntry(library, { ...entry, [field]: value });
+        }
+        refresh();
+    });
+}
+
 // --- ITEM MANAGEMENT ---
 function handleAddItem() {
     const name = dom.itemNameInput.value.trim();
-    const price = parseFloat(dom.itemPriceInput.value);
+    const price = readNumber(dom.itemPriceInput.value);
+    const parent = discountParent(state, price, dom.itemParentSelect.value);
 
-    if (name && !isNaN(price) && price > 0) {
-        if (state.items.some(i => i.name.toLowerCase() === name.toLowerCase())) {
-            showToast('This item has already been added.', 'error');
-            return;
-        }
-        state.items.push({
+    const problem = itemProblem(state, { name, price, parent });
+    if (problem) {
+        showToast(problem, 'error');
+        return;
+    }
+
+    commitChange(parent ? `Add ${name} to ${parent.name}` : `Add ${name}`, () => {
+        const item = {
             id: state.nextItemId++,
             name,
             price,
             personQuantities: {} // { personId: quantity }
-        });
-        dom.itemNameInput.value = '';
-        dom.itemPriceInput.value = '';
-        dom.itemNameInput.focus();
-        render();
-        calculateAndRenderSplit();
-        saveState();
-    } else {
-        showToast('Please enter a valid item name and price.', 'error');
-    }
+        };
+        if (parent) item.parentId = parent.id; // Shared like the parent instead
+        state.items.push(item);
+    });
+    dom.itemNameInput.value = '';
+    dom.itemPriceInput.value = '';
+    dom.itemParentSelect.value = '';
+    dom.itemNameInput.focus();
+    render();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// Fills in the Add Item form for a discount on `itemId`.
+function startItemDiscount(itemId) {
+    const item = state.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    dom.itemNameInput.value = `${item.name} discount`;
+    dom.itemPriceInput.value = '';
+    dom.itemParentSelect.value = String(item.id);
+    updateAddItemButton();
+    dom.itemPriceInput.focus();
 }
 
 function deleteItem(itemId) {
     const item = state.items.find(i => i.id === itemId);
     if (!item) return;
 
-    // Save item for undo
-    state.undoStack.push({
-        type: 'item',
-        data: { ...item }
-    });
+    commitChange(`Remove ${item.name}`, () => removeItem(state, itemId));
 
-    state.items = state.items.filter(i => i.id !== itemId);
     render();
     calculateAndRenderSplit();
     saveState();
@@ -284,27 +897,47 @@ function updatePersonQuantity(itemId, personId, quantity) {
     const item = state.items.find(i => i.id === itemId);
     if (!item) return;
 
-    if (!item.personQuantities) item.personQuantities = {};
-
-    const numQuantity = parseFloat(quantity) || 0;
-    if (numQuantity > 0) {
-        item.personQuantities[personId] = numQuantity;
-    } else {
-        delete item.personQuantities[personId];
+    const person = state.people.find(p => p.id === personId);
+    // An emptied field (or 0) takes the person off the item
+    const numQuantity = quantity.trim() === '' ? 0 : readNumber(quantity);
+    if (isNaN(numQuantity) || numQuantity < 0) {
+        showToast('Please enter a quantity above zero.', 'error');
+        renderItems();
+        return;
     }
 
+    commitChange(`Set ${person ? person.name : 'quantity'} to ${numQuantity} × ${item.name}`, () => {
+        if (!item.personQuantities) item.personQuantities = {};
+
+        if (numQuantity > 0) {
+            item.personQuantities[personId] = numQuantity;
+        } else {
+            delete item.personQuantities[personId];
+        }
+    });
+
     renderItems();
     calculateAndRenderSplit();
     saveState();
 }
 
-function splitEvenly(itemId) {
+// Exact amounts or percentages, depending on the item's share mode
+function updatePersonShare(itemId, personId, value) {
     const item = state.items.find(i => i.id === itemId);
-    if (!item || state.people.length === 0) return;
+    const person = state.people.find(p => p.id === personId);
+    if (!item || !person) return;
+
+    const share = readNumber(value);
+    const isPercent = item.shareMode === 'percent';
+    const label = isPercent ? formatPercent(share) : formatSignedMinor(toBillMinor(share));
+    commitChange(`Set ${person.name}'s share of ${item.name} to ${label}`, () => {
+        if (!item.personShares) item.personShares = {};
 
-    item.personQuantities = {};
-    state.people.forEach(person => {
-        item.personQuantities[person.id] = 1; // 1 quantity each
+        if (isNaN(share) || share === 0 || (isPercent && share < 0)) {
+            delete item.personShares[personId];
+        } else {
+            item.personShares[personId] = share;
+        }
     });
 
     renderItems();
@@ -312,163 +945,888 @@ function splitEvenly(itemId) {
     saveState();
 }
 
-function clearAllQuantities(itemId) {
+// Whether someone splits what the exact amounts leave of the price
+function toggleRestShare(itemId, personId, sharesRest) {
     const item = state.items.find(i => i.id === itemId);
-    if (!item) return;
+    const person = state.people.find(p => p.id === personId);
+    if (!item || !person) return;
+
+    commitChange(`${person.name} ${sharesRest ? 'shares' : 'no longer shares'} the rest of ${item.name}`, () => {
+        if (!item.personShares) item.personShares = {};
+
+        if (sharesRest) {
+            item.personShares[personId] = null;
+        } else {
+            delete item.personShares[personId];
+        }
+    });
 
-    item.personQuantities = {};
     renderItems();
     calculateAndRenderSplit();
     saveState();
 }
 
-function editItem(itemId) {
+// Switches how an item is shared, starting from whoever shares it now.
+function setItemShareMode(itemId, mode) {
     const item = state.items.find(i => i.id === itemId);
-    if (!item) return;
+    if (!item || !SHARE_MODES[mode]) return;
+
+    const current = computeSplit(state).items.find(i => i.id === itemId);
+    const sharers = state.people.filter(p => current.shares[p.id]);
+    commitChange(`Share ${item.name} by ${SHARE_MODES[mode].toLowerCase()}`, () => {
+        if (mode === 'quantity') {
+            delete item.shareMode;
+            delete item.personShares;
+            return;
+        }
 
-    const nameP = document.querySelector(`[data-item-id="${itemId}"]`);
-    const priceP = document.querySelector(`[data-item-price-id="${itemId}"]`);
-    if (!nameP || !priceP) return;
+        item.shareMode = mode;
+        item.personShares = {};
+        if (mode === 'amount') {
+            sharers.forEach(person => {
+                item.personShares[person.id] = null; // Everyone splits the whole price
+            });
+        } else {
+            const { shares } = allocateMinor(10000, sharers.map(p => Math.abs(current.shares[p.id].amount)));
+            sharers.forEach((person, idx) => {
+                item.personShares[person.id] = shares[idx] / 100; // Their part of 100%, to 2 decimals
+            });
+        }
+    });
+
+    renderItems();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// Gives `people` equal shares of an item, and nobody else any, in its share mode.
+function shareEvenly(item, people) {
+    if (item.shareMode === 'amount' || item.shareMode === 'percent') {
+        const { shares } = allocateMinor(10000, people.map(() => 1));
+        item.personShares = {};
+        people.forEach((person, idx) => {
+            item.personShares[person.id] = item.shareMode === 'amount' ? null : shares[idx] / 100;
+        });
+    } else {
+        item.personQuantities = {};
+        people.forEach(person => {
+            item.personQuantities[person.id] = 1; // 1 quantity each
+        });
+    }
+}
+
+function splitEvenly(itemId) {
+    const item = state.items.find(i => i.id === itemId);
+    if (!item || state.people.length === 0) return;
+
+    const label = item.shareMode === 'amount' || item.shareMode === 'percent'
+        ? `Split ${item.name} evenly`
+        : `Give 1 ${item.name} to each`;
+    commitChange(label, () => shareEvenly(item, state.people));
+
+    renderItems();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// `groupId` comes from the item's group select, as a string.
+function splitAmongGroup(itemId, groupId) {
+    const item = state.items.find(i => i.id === itemId);
+    const group = state.groups.find(g => String(g.id) === String(groupId));
+    if (!item || !group) return;
+
+    const members = state.people.filter(p => group.personIds.includes(p.id));
+    if (members.length === 0) {
+        showToast(`Nobody is in ${group.name} yet.`, 'error');
+        renderItems();
+        return;
+    }
+
+    commitChange(`Split ${item.name} among ${group.name}`, () => shareEvenly(item, members));
+    renderItems();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+function clearAllQuantities(itemId) {
+    const item = state.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    commitChange(`Clear quantities of ${item.name}`, () => {
+        item.personQuantities = {};
+        if (item.personShares) item.personShares = {};
+    });
+    renderItems();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+function editItem(itemId) {
+    const item = state.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    const nameP = document.querySelector(`[data-item-id="${itemId}"]`);
+    const priceP = document.querySelector(`[data-item-price-id="${itemId}"]`);
+    if (!nameP || !priceP) return;
 
     const originalName = item.name;
     const originalPrice = item.price;
 
-    nameP.innerHTML = `<input type="text" value="${originalName}" class="input-field text-sm py-1 px-2 mb-1" data-edit-name="${itemId}">`;
-    priceP.innerHTML = `<input type="number" value="${originalPrice}" min="0" step="1" class="input-field text-sm py-1 px-2" data-edit-price="${itemId}">`;
+    nameP.innerHTML = `<input type="text" value="${escapeHTML(originalName)}" class="input-field text-sm py-1 px-2 mb-1" data-edit-name>`;
+    priceP.innerHTML = `
+        <input type="text" inputmode="decimal" value="${inputNumber(originalPrice)}" class="input-field text-sm py-1 px-2" data-edit-price>
+        <select class="input-field text-sm py-1 px-2 mt-1" data-edit-parent>${itemParentOptionsHTML(item)}</select>
+    `;
 
-    const nameInput = nameP.querySelector(`[data-edit-name="${itemId}"]`);
-    const priceInput = priceP.querySelector(`[data-edit-price="${itemId}"]`);
+    const nameInput = nameP.querySelector('[data-edit-name]');
+    const priceInput = priceP.querySelector('[data-edit-price]');
+    const parentSelect = priceP.querySelector('[data-edit-parent]');
+    parentSelect.value = item.parentId !== undefined && item.parentId !== null ? String(item.parentId) : '';
+
+    // Like the Add Item form: discounts can be linked to the item they belong to
+    const updateParentSelect = () => {
+        parentSelect.classList.toggle('hidden', !(readNumber(priceInput.value) < 0));
+    };
+    updateParentSelect();
+    priceInput.addEventListener('input', updateParentSelect);
 
     priceInput.focus();
     priceInput.select();
 
     let isEditingItem = true;
 
-    const saveItem = () => {
+    // Invalid changes keep the fields open after Enter and are dropped when
+    // the fields lose focus.
+    const saveItem = (keepEditing) => {
         if (!isEditingItem) return;
-        
+
         const newName = nameInput.value.trim();
-        const newPrice = parseFloat(priceInput.value);
+        const newPrice = readNumber(priceInput.value);
+        const parent = discountParent(state, newPrice, parentSelect.value, item);
 
-        let hasChanges = false;
-        if (newName && newName !== originalName) {
-            item.name = newName;
-            hasChanges = true;
-        }
-        if (!isNaN(newPrice) && newPrice >= 0 && newPrice !== originalPrice) {
-            item.price = newPrice;
-            hasChanges = true;
-        }
+        const problem = itemProblem(state, { name: newName, price: newPrice, parent }, item);
+        if (problem) {
+            showToast(problem, 'error');
+            if (keepEditing) return;
+        } else {
+            const hasChanges = commitChange(`Edit ${originalName}`, () => {
+                item.name = newName;
+                item.price = newPrice;
+                if (parent) {
+                    item.parentId = parent.id;
+                } else if (item.parentId !== undefined) {
+                    delete item.parentId;
+                }
+            });
 
-        if (hasChanges) {
-            calculateAndRenderSplit();
-            saveState();
+            if (hasChanges) {
+                calculateAndRenderSplit();
+                saveState();
+            }
         }
         isEditingItem = false;
         render();
     };
 
-    [nameInput, priceInput].forEach(input => {
-        input.addEventListener('keyup', (e) => e.key === 'Enter' && saveItem());
-        input.addEventListener('blur', () => {
+    const fields = [nameInput, priceInput, parentSelect];
+    fields.forEach(field => {
+        field.addEventListener('keyup', (e) => e.key === 'Enter' && saveItem(true));
+        field.addEventListener('blur', () => {
             setTimeout(() => {
-                if (!nameInput.matches(':focus') && !priceInput.matches(':focus')) {
-                    saveItem();
+                if (!fields.some(f => f.matches(':focus'))) {
+                    saveItem(false);
                 }
             }, 100);
         });
     });
 }
 
+// --- DISCOUNTS & FEES ---
+function handleAddAdjustment() {
+    const name = dom.adjustmentNameInput.value.trim();
+    const value = readNumber(dom.adjustmentValueInput.value);
+    if (!name || !value) return;
+
+    const distribution = dom.adjustmentDistributionSelect.value;
+    commitChange(`Add ${name}`, () => {
+        state.adjustments.push({
+            id: state.nextAdjustmentId++,
+            name,
+            type: dom.adjustmentTypeSelect.value,
+            value,
+            distribution,
+            // Selected adjustments start with everyone ticked
+            personIds: distribution === 'selected' ? state.people.map(p => p.id) : []
+        });
+    });
+    dom.adjustmentNameInput.value = '';
+    dom.adjustmentValueInput.value = '';
+    updateAddAdjustmentButton();
+    renderAdjustments();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+function deleteAdjustment(adjustmentId) {
+    const adjustment = state.adjustments.find(a => a.id === adjustmentId);
+    if (!adjustment) return;
+
+    commitChange(`Remove ${adjustment.name}`, () => removeAdjustment(state, adjustmentId));
+    renderAdjustments();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+function toggleAdjustmentPerson(adjustmentId, personId) {
+    const adjustment = state.adjustments.find(a => a.id === adjustmentId);
+    const person = state.people.find(p => p.id === personId);
+    if (!adjustment || !person) return;
+
+    const isSelected = adjustment.personIds.includes(personId);
+    commitChange(`${isSelected ? 'Take' : 'Put'} ${person.name} ${isSelected ? 'off' : 'on'} ${adjustment.name}`, () => {
+        adjustment.personIds = isSelected
+            ? adjustment.personIds.filter(id => id !== personId)
+            : [...adjustment.personIds, personId];
+    });
+    renderAdjustments();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// "-20%" or "$5.00", and how it is shared.
+function describeAdjustment(adjustment) {
+    const amount = adjustment.type === 'percent' ? formatPercent(adjustment.value) : formatSignedMinor(toBillMinor(adjustment.value));
+    return `${amount}, ${ADJUSTMENT_DISTRIBUTIONS[adjustment.distribution].toLowerCase()}`;
+}
+
+// --- TAX RATES ---
+function handleAddTaxRate() {
+    const name = dom.taxRateNameInput.value.trim();
+    const rate = readNumber(dom.taxRatePercentInput.value);
+    if (!name || isNaN(rate) || rate < 0) return;
+
+    if (state.taxRates.some(r => r.name.toLowerCase() === name.toLowerCase())) {
+        showToast('This tax rate has already been added.', 'error');
+        return;
+    }
+
+    commitChange(`Add tax rate ${name}`, () => {
+        state.taxRates.push({ id: state.nextTaxRateId++, name, rate });
+    });
+    dom.taxRateNameInput.value = '';
+    dom.taxRatePercentInput.value = '';
+    render();
+    saveState();
+}
+
+function updateTaxRate(rateId, value) {
+    const taxRate = state.taxRates.find(r => r.id === rateId);
+    if (!taxRate) return;
+
+    const rate = Math.max(0, readNumber(value) || 0);
+    commitChange(`Set ${taxRate.name} tax to ${formatPercent(rate)}`, () => {
+        taxRate.rate = rate;
+    });
+    renderItems();
+    renderTaxRates();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+function deleteTaxRate(rateId) {
+    const taxRate = state.taxRates.find(r => r.id === rateId);
+    if (!taxRate) return;
+
+    commitChange(`Remove tax rate ${taxRate.name}`, () => removeTaxRate(state, rateId));
+    render();
+    saveState();
+}
+
+// `value` is a tax rate id, or '' for the default rate.
+function setItemTaxRate(itemId, value) {
+    const item = state.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    const taxRate = state.taxRates.find(r => String(r.id) === value);
+    commitChange(`Tax ${item.name} at ${taxRate ? taxRate.name : 'the default rate'}`, () => {
+        if (taxRate) {
+            item.taxRateId = taxRate.id;
+        } else {
+            delete item.taxRateId;
+        }
+    });
+    renderItems();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// --- TIP OPT-OUT ---
+function toggleTipExempt(personId) {
+    const person = state.people.find(p => p.id === personId);
+    if (!person) return;
+
+    const isExempt = state.tipExempt.includes(personId);
+    commitChange(isExempt ? `${person.name} tips again` : `${person.name} pays no tip`, () => {
+        state.tipExempt = isExempt
+            ? state.tipExempt.filter(id => id !== personId)
+            : [...state.tipExempt, personId];
+    });
+
+    renderTipPeople();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// --- PAYMENTS ---
+function updatePayment(personId, amount) {
+    const person = state.people.find(p => p.id === personId);
+    if (!person) return;
+
+    const paid = Math.max(0, readNumber(amount) || 0);
+    commitChange(`Set ${person.name}'s payment to ${formatSignedMinor(toBillMinor(paid))}`, () => {
+        if (paid > 0) {
+            state.payments[personId] = paid;
+        } else {
+            delete state.payments[personId];
+        }
+    });
+
+    renderPayments();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// Records one person as having paid everyone's share.
+function payWholeBill(personId) {
+    const person = state.people.find(p => p.id === personId);
+    if (!person) return;
+
+    const { grandTotal, decimals } = computeSplit(state);
+    commitChange(`${person.name} paid the whole bill`, () => {
+        state.payments = grandTotal > 0 ? { [personId]: grandTotal / 10 ** decimals } : {};
+    });
+
+    renderPayments();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// --- CURRENCIES ---
+function currencyOptionsHTML(selected) {
+    return Object.entries(CURRENCIES).map(([code, { name }]) =>
+        `<option value="${code}" ${code === selected ? 'selected' : ''}>${code} – ${name}</option>`
+    ).join('');
+}
+
+function setBillCurrency(currency) {
+    if (!CURRENCIES[currency] || currency === state.currency) return;
+
+    if (!hasBillAmounts(state)) {
+        applyBillCurrency(currency, null);
+        return;
+    }
+
+    // The amounts mean something in the old currency, so ask what to do with
+    // them; until then the select stays on the old one.
+    syncConfigInputs();
+    showCurrencySwitchModal(currency);
+}
+
+// Switches the bill to `currency`, converting every amount at `rate` (units
+// of it per unit of the current currency) or, with null, keeping them as they are.
+function applyBillCurrency(currency, rate) {
+    const from = state.currency;
+    commitChange(rate === null ? `Switch to ${currency}` : `Convert ${from} to ${currency}`, () => {
+        switchBillCurrency(state, currency, rate);
+    });
+
+    syncConfigInputs();
+    render();
+    saveState();
+}
+
+function showCurrencySwitchModal(currency) {
+    const from = state.currency;
+    const fits = fitsCurrency(state, currency);
+    const content = `
+        <p class="text-sm text-gray-600">Prices, payments and other amounts on this bill are in ${escapeHTML(from)}.</p>
+        <div class="mt-3 flex flex-col gap-2 text-sm">
+            <label class="flex items-center gap-2">
+                <input type="radio" name="currency-switch-mode" value="convert" checked>
+                Convert them at 1 ${escapeHTML(from)} =
+                <input type="text" inputmode="decimal" id="currency-switch-rate" value="${inputNumber(state.exchangeRates[currency])}" class="input-field text-sm py-1 px-2 w-28">
+                ${escapeHTML(currency)}
+            </label>
+            <label class="flex items-center gap-2 ${fits ? '' : 'text-gray-400'}">
+                <input type="radio" name="currency-switch-mode" value="keep" ${fits ? '' : 'disabled'}>
+                Keep the numbers and only change the currency
+            </label>
+            ${fits ? '' : `<p class="text-xs text-gray-500 ml-6">Some amounts have more decimals than ${escapeHTML(currency)} allows.</p>`}
+        </div>
+        <div class="mt-4 flex gap-2 justify-end">
+            <button id="cancel-currency-switch-btn" class="btn bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg">Cancel</button>
+            <button id="currency-switch-btn" class="btn bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg">Switch to ${escapeHTML(currency)}</button>
+        </div>
+    `;
+
+    const modal = createModal(`Switch to ${currency}`, content);
+    const rateInput = modal.querySelector('#currency-switch-rate');
+    rateInput.focus();
+    rateInput.addEventListener('focus', () => {
+        modal.querySelector('input[name="currency-switch-mode"][value="convert"]').checked = true;
+    });
+
+    modal.querySelector('#cancel-currency-switch-btn').addEventListener('click', () => {
+        modal.remove();
+    });
+
+    modal.querySelector('#currency-switch-btn').addEventListener('click', () => {
+        let rate = null;
+        if (modal.querySelector('input[name="currency-switch-mode"]:checked').value === 'convert') {
+            rate = readNumber(rateInput.value);
+            if (!(rate > 0)) {
+                showToast('Please enter an exchange rate above zero.', 'error');
+                return;
+            }
+        }
+
+        try {
+            applyBillCurrency(currency, rate);
+            modal.remove();
+            showToast(rate === null ? `The bill is now in ${currency}.` : `Converted the bill to ${currency}.`, 'success');
+        } catch (error) {
+            console.error('Error switching currency:', error);
+            showToast(`Could not switch currency: ${error.message}`, 'error');
+        }
+    });
+}
+
+function setSettlementCurrency(personId, currency) {
+    const person = state.people.find(p => p.id === personId);
+    if (!person) return;
+
+    commitChange(`${person.name} settles in ${currency}`, () => {
+        if (currency === state.currency) {
+            delete state.settlementCurrencies[personId];
+        } else {
+            state.settlementCurrencies[personId] = currency;
+        }
+    });
+
+    renderExchangeRates();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+function updateExchangeRate(currency, value) {
+    const rate = readNumber(value);
+    commitChange(`Set the ${currency} rate`, () => {
+        if (rate > 0) {
+            state.exchangeRates[currency] = rate;
+        } else {
+            delete state.exchangeRates[currency];
+        }
+    });
+
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// A transfer in the currency the paying person settles in (or the receiving
+// person, if only they use another currency). Returns { currency, minor },
+// with `minor` null while no exchange rate is set, or null if both use the bill currency.
+function convertTransfer(transfer) {
+    const currency = state.settlementCurrencies[transfer.from] || state.settlementCurrencies[transfer.to];
+    if (!currency || currency === state.currency) return null;
+
+    const rate = state.exchangeRates[currency];
+    return { currency, minor: rate > 0 ? convertMinor(transfer.amount, state.currency, currency, rate) : null };
+}
+
+// Who pays whom so that everyone ends up having paid exactly their share.
+function computeSettlement(split = computeSplit(state)) {
+    const balances = computeBalances(split, state.payments);
+    return {
+        balances,
+        transfers: settleUp(balances),
+        paidTotal: balances.reduce((sum, b) => sum + b.paid, 0)
+    };
+}
+
+// --- RECONCILIATION ---
+// Who can take on what nobody pays for: everyone, whoever paid the most, or
+// the people who already have something on the bill.
+function reconciliationTargets(split = computeSplit(state)) {
+    const payments = Object.entries(state.payments)
+        .map(([personId, amount]) => ({ personId: parseInt(personId), amount: parseFloat(amount) || 0 }))
+        .filter(payment => payment.amount > 0)
+        .sort((a, b) => b.amount - a.amount);
+    const payer = payments.length > 0 ? state.people.find(p => p.id === payments[0].personId) : null;
+
+    return {
+        everyone: state.people,
+        payer: payer ? [payer] : [],
+        diners: state.people.filter(person => split.people.find(p => p.id === person.id).lines.length > 0)
+    };
+}
+
+function describeGap({ items, gap }) {
+    if (gap > 0) return `Nobody pays ${formatSignedMinor(gap)} of the bill.`;
+    if (gap < 0) return `People pay ${formatSignedMinor(-gap)} more than the bill.`;
+    return items.length > 0 ? 'Some items are not shared out exactly.' : '';
+}
+
+// Gives every unassigned or partly assigned item to one of the reconciliationTargets.
+function resolveUnallocated(target) {
+    const split = computeSplit(state);
+    const people = reconciliationTargets(split)[target] || [];
+    const items = reconcileSplit(split).items.filter(item => item.status !== 'over');
+    if (people.length === 0 || items.length === 0) return;
+
+    const names = { everyone: 'everyone', payer: people[0].name, diners: 'the people on the bill' };
+    commitChange(`Give unassigned items to ${names[target]}`, () => {
+        items.forEach(item => assignUnallocated(state, item.id, people.map(p => p.id)));
+    });
+
+    renderItems();
+    calculateAndRenderSplit();
+    saveState();
+}
+
+// Asks before exporting a bill that doesn't add up. Returns true to export.
+function confirmReconciledExport() {
+    const reconciliation = reconcileSplit(computeSplit(state));
+    if (reconciliation.items.length === 0 && reconciliation.gap === 0) return true;
+    return confirm(`${describeGap(reconciliation)} Export anyway?`);
+}
+
 // --- RENDERING ---
 function renderPeople() {
+    renderRosterShortcuts();
     if (state.people.length === 0) {
         dom.peopleListDiv.innerHTML = '<p class="text-gray-500 text-sm">No people added yet.</p>';
         return;
     }
     
+    const rosterUids = new Set(library.roster.map(entry => entry.uid));
     dom.peopleListDiv.innerHTML = state.people.map(person => `
         <div class="flex items-center justify-between bg-gray-100 p-2 rounded-md">
-            <span class="font-medium person-name" data-person-id="${person.id}">${person.name}</span>
+            <span class="font-medium person-name" data-person-id="${escapeHTML(person.id)}">${escapeHTML(person.name)}</span>
             <div class="flex gap-2">
-                <button class="text-blue-500 hover:text-blue-700 text-sm" onclick="editPersonName(${person.id})">✏️</button>
-                <button class="text-red-500 hover:text-red-700 font-bold" onclick="deletePerson(${person.id})">&times;</button>
+                <button class="text-yellow-500 hover:text-yellow-600 text-sm" title="${rosterUids.has(person.uid) ? 'Remove from the roster' : 'Save to the roster'}"
+                        data-action="toggle-roster-person" data-person="${escapeHTML(person.id)}">${rosterUids.has(person.uid) ? '★' : '☆'}</button>
+                <button class="text-blue-500 hover:text-blue-700 text-sm" data-action="edit-person" data-person="${escapeHTML(person.id)}">✏️</button>
+                <button class="text-red-500 hover:text-red-700 font-bold" data-action="delete-person" data-person="${escapeHTML(person.id)}">&times;</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderGroups() {
+    if (state.groups.length === 0) {
+        dom.groupsListDiv.innerHTML = '<p class="text-gray-500 text-sm">Group people to split items among a table, the vegetarians or the drinkers.</p>';
+        return;
+    }
+
+    dom.groupsListDiv.innerHTML = state.groups.map(group => `
+        <div class="bg-gray-100 p-2 rounded-md">
+            <div class="flex items-center justify-between">
+                <span class="font-medium text-sm">${escapeHTML(group.name)}</span>
+                <button class="text-red-500 hover:text-red-700 font-bold" data-action="delete-group" data-group="${escapeHTML(group.id)}">&times;</button>
+            </div>
+            <div class="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+                ${state.people.map(person => `
+                    <label class="flex items-center gap-1 text-sm">
+                        <input type="checkbox" ${group.personIds.includes(person.id) ? 'checked' : ''}
+                               data-action="toggle-group-person" data-group="${escapeHTML(group.id)}" data-person="${escapeHTML(person.id)}">
+                        ${escapeHTML(person.name)}
+                    </label>
+                `).join('') || '<p class="text-xs text-gray-400">Add people to fill this group.</p>'}
             </div>
         </div>
     `).join('');
 }
 
 function renderItems() {
+    renderItemParentOptions();
+
     if (state.items.length === 0) {
         dom.itemsListDiv.innerHTML = '<p class="text-gray-500 text-sm">No items added yet.</p>';
         return;
     }
 
-    dom.itemsListDiv.innerHTML = state.items.map(item => {
-        const quantityInputsHTML = state.people.map(person => {
-            const currentQuantity = item.personQuantities?.[person.id] || '';
-            const totalQuantities = Object.values(item.personQuantities || {}).reduce((sum, qty) => {
-                const numQty = parseFloat(qty) || 0;
-                return sum + numQty;
-            }, 0);
-            const numCurrentQuantity = parseFloat(currentQuantity) || 0;
-            const personAmount = totalQuantities > 0 && numCurrentQuantity > 0 ? 
-                (numCurrentQuantity / totalQuantities) * item.price : 0;
-            
+    const split = computeSplit(state);
+
+    dom.itemsListDiv.innerHTML = state.items.map((item, itemIdx) => {
+        const itemSplit = split.items[itemIdx];
+        const mode = itemSplit.shareMode;
+        const enteredShares = item.personShares || {};
+        const shareInputsHTML = state.people.map(person => {
+            const share = itemSplit.shares[person.id];
+            const ids = `data-item="${escapeHTML(item.id)}" data-person="${escapeHTML(person.id)}"`;
+            let inputHTML;
+            if (mode === 'amount') {
+                const entered = enteredShares[person.id];
+                const sharesRest = person.id in enteredShares && entered === null;
+                inputHTML = `
+                    <input type="text"
+                           inputmode="decimal"
+                           class="input-field text-sm py-1 px-2 w-20"
+                           placeholder="${sharesRest ? 'rest' : inputNumber(0)}"
+                           value="${sharesRest ? '' : inputNumber(entered)}"
+                           data-action="person-share" ${ids}>
+                    <label class="flex items-center gap-1 text-xs text-gray-600 ml-1" title="Shares what is left of the price">
+                        <input type="checkbox" ${sharesRest ? 'checked' : ''} data-action="rest-share" ${ids}> rest
+                    </label>
+                `;
+            } else if (mode === 'percent') {
+                inputHTML = `
+                    <input type="text"
+                           inputmode="decimal"
+                           class="input-field text-sm py-1 px-2 w-16"
+                           placeholder="0"
+                           value="${inputNumber(enteredShares[person.id])}"
+                           data-action="person-share" ${ids}>
+                    <span class="text-sm ml-1">%</span>
+                `;
+            } else {
+                inputHTML = `
+                    <input type="text"
+                           inputmode="decimal"
+                           class="input-field text-sm py-1 px-2 w-16"
+                           placeholder="0"
+                           value="${inputNumber(item.personQuantities?.[person.id])}"
+                           data-action="person-quantity" ${ids}>
+                `;
+            }
+
             return `
                 <div class="flex items-center mr-4 mb-2">
-                    <span class="text-sm w-16 mr-2">${person.name}:</span>
-                    <input type="number" 
-                           class="input-field text-sm py-1 px-2 w-16" 
-                           placeholder="0" 
-                           step="1" 
-                           min="0"
-                           value="${currentQuantity}"
-                           onchange="updatePersonQuantity(${item.id}, ${person.id}, this.value)"
-                           onblur="updatePersonQuantity(${item.id}, ${person.id}, this.value)">
-                    ${numCurrentQuantity > 0 ? `<span class="text-xs text-gray-500 ml-1">($${personAmount.toFixed(2)})</span>` : ''}
+                    <span class="text-sm w-16 mr-2">${escapeHTML(person.name)}:</span>
+                    ${inputHTML}
+                    ${share ? `<span class="text-xs text-gray-500 ml-1">(${formatSignedMinor(share.amount)})</span>` : ''}
                 </div>
             `;
         }).join('');
 
-        const totalQuantities = Object.values(item.personQuantities || {}).reduce((sum, qty) => {
-            const numQty = parseFloat(qty) || 0;
-            return sum + numQty;
-        }, 0);
+        // What has been shared so far, and a warning when it doesn't add up
+        const { totalQuantity, allocated, price } = itemSplit;
+        const hasShares = Object.keys(itemSplit.shares).length > 0;
+        let totalsHTML;
+        let shareWarning = '';
+        if (mode === 'percent') {
+            totalsHTML = `Total: ${formatPercent(totalQuantity)}`;
+            if (hasShares && Math.abs(totalQuantity - 100) > 1e-9) {
+                shareWarning = totalQuantity < 100
+                    ? `Percentages add up to ${formatPercent(totalQuantity)}, not 100%. ${formatSignedMinor(price - allocated)} is not assigned.`
+                    : `Percentages add up to ${formatPercent(totalQuantity)}, not 100%. They are scaled down to the price.`;
+            }
+        } else if (mode === 'amount') {
+            totalsHTML = `Assigned: ${formatSignedMinor(allocated)} of ${formatSignedMinor(price)}`;
+            if (hasShares && allocated !== price) {
+                shareWarning = Math.abs(allocated) > Math.abs(price)
+                    ? `The amounts are ${formatSignedMinor(Math.abs(allocated - price))} more than the price.`
+                    : `${formatSignedMinor(price - allocated)} is not assigned. Tick "rest" for whoever shares what is left.`;
+            }
+        } else {
+            totalsHTML = `Total quantities: ${totalQuantity}${item.receiptQuantity ? ` of ${escapeHTML(item.receiptQuantity)} on the receipt` : ''} | Price per unit: ${formatSignedMinor(totalQuantity > 0 ? Math.round(price / totalQuantity) : 0)}`;
+        }
+
+        const evenButtonLabels = { quantity: 'Give 1 to Each', amount: 'Everyone Shares', percent: 'Split Evenly' };
         const actionButtonsHTML = state.people.length > 0 ? `
             <div class="flex gap-2 mb-2">
                 <button class="text-xs bg-blue-500 text-white px-2 py-1 rounded hover:bg-blue-600" 
-                        onclick="splitEvenly(${item.id})">Give 1 to Each</button>
+                        data-action="split-evenly" data-item="${escapeHTML(item.id)}">${evenButtonLabels[mode]}</button>
+                ${state.groups.length > 0 ? `
+                    <select class="text-xs border border-gray-300 rounded px-1 py-0.5" data-action="split-among-group" data-item="${escapeHTML(item.id)}">
+                        <option value="">Split among…</option>
+                        ${state.groups.map(group => `<option value="${escapeHTML(group.id)}">${escapeHTML(group.name)}</option>`).join('')}
+                    </select>
+                ` : ''}
                 <button class="text-xs bg-gray-500 text-white px-2 py-1 rounded hover:bg-gray-600" 
-                        onclick="clearAllQuantities(${item.id})">Clear All</button>
+                        data-action="clear-shares" data-item="${escapeHTML(item.id)}">Clear All</button>
             </div>
-            <div class="text-xs text-blue-600">
-                Total quantities: ${totalQuantities} | Price per unit: $${totalQuantities > 0 ? (item.price / totalQuantities).toFixed(2) : '0.00'}
+            <div class="text-xs text-blue-600">${totalsHTML}</div>
+            ${shareWarning ? `<p class="text-xs text-amber-700 mt-1">${shareWarning}</p>` : ''}
+        ` : '';
+
+        const shareLabels = { quantity: 'Quantity per person:', amount: 'Amount per person:', percent: 'Percentage per person:' };
+        const shareModeSelectHTML = `
+            <select class="text-xs border border-gray-300 rounded px-1 py-0.5" title="How the price is shared" data-action="share-mode" data-item="${escapeHTML(item.id)}">
+                ${Object.entries(SHARE_MODES).map(([value, label]) => `<option value="${value}" ${value === mode ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+        `;
+
+        // A linked discount follows its parent's quantities and tax rate
+        const parent = itemSplit.parentId !== null ? state.items.find(i => i.id === itemSplit.parentId) : null;
+        const linkedSharesHTML = parent ? (state.people.filter(p => itemSplit.shares[p.id]).map(person => `
+            <span class="text-sm mr-4">${escapeHTML(person.name)}: ${formatSignedMinor(itemSplit.shares[person.id].amount)}</span>
+        `).join('') || `<p class="text-xs text-gray-400">Nobody has ${escapeHTML(parent.name)} yet.</p>`) : '';
+
+        const taxRateSelectHTML = state.taxRates.length > 0 && !parent ? `
+            <select class="mt-1 text-xs border border-gray-300 rounded px-1 py-0.5" data-action="item-tax-rate" data-item="${escapeHTML(item.id)}">
+                <option value="">Default tax</option>
+                ${state.taxRates.map(r => `<option value="${escapeHTML(r.id)}" ${item.taxRateId === r.id ? 'selected' : ''}>${escapeHTML(r.name)} (${formatPercent(r.rate)})</option>`).join('')}
+            </select>
+        ` : '';
+
+        return `
+            <div class="p-4 border border-gray-200 rounded-lg">
+                <div class="flex justify-between items-start">
+                    <div>
+                        <p class="font-semibold item-name" data-item-id="${escapeHTML(item.id)}">${escapeHTML(item.name)}</p>
+                        <p class="text-gray-600 item-price" data-item-price-id="${escapeHTML(item.id)}">${formatSignedMinor(itemSplit.price)}</p>
+                        ${taxRateSelectHTML}
+                    </div>
+                    <div class="flex gap-2">
+                        ${!parent && itemSplit.price > 0 ? `<button class="text-sm" title="Add a discount on this item" data-action="start-discount" data-item="${escapeHTML(item.id)}">🏷️</button>` : ''}
+                        <button class="text-blue-500 hover:text-blue-700 text-sm" data-action="edit-item" data-item="${escapeHTML(item.id)}">✏️</button>
+                        <button class="text-red-500 hover:text-red-700 font-bold text-xl" data-action="delete-item" data-item="${escapeHTML(item.id)}">&times;</button>
+                    </div>
+                </div>
+                <div class="mt-3 pt-3 border-t border-gray-200">
+                    ${parent ? `
+                        <p class="text-xs font-medium text-gray-500 mb-2">Shared like ${escapeHTML(parent.name)}:</p>
+                        <div class="flex flex-wrap">${linkedSharesHTML}</div>
+                    ` : `
+                        <div class="flex justify-between items-center mb-2">
+                            <p class="text-xs font-medium text-gray-500">${shareLabels[mode]}</p>
+                            ${shareModeSelectHTML}
+                        </div>
+                        ${actionButtonsHTML}
+                        <div class="mt-2">
+                            ${state.people.length > 0 ? shareInputsHTML : '<p class="text-xs text-gray-400">Add people to assign quantities.</p>'}
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Items a discount can be linked to: every item that is not a linked discount
+// itself, apart from `exceptItem`.
+function itemParentOptionsHTML(exceptItem = null) {
+    return '<option value="">Not linked to an item</option>' +
+        state.items.filter(i => i !== exceptItem && (i.parentId === undefined || i.parentId === null)).map(item =>
+            `<option value="${escapeHTML(item.id)}">Discount on ${escapeHTML(item.name)}</option>`
+        ).join('');
+}
+
+function renderItemParentOptions() {
+    const selected = dom.itemParentSelect.value;
+    dom.itemParentSelect.innerHTML = itemParentOptionsHTML();
+    dom.itemParentSelect.value = state.items.some(i => String(i.id) === selected) ? selected : '';
+}
+
+function renderAdjustments() {
+    if (state.adjustments.length === 0) {
+        dom.adjustmentsListDiv.innerHTML = '<p class="text-gray-500 text-sm">No discounts or fees added yet.</p>';
+        return;
+    }
+
+    dom.adjustmentsListDiv.innerHTML = state.adjustments.map(adjustment => {
+        const peopleHTML = adjustment.distribution === 'selected' ? `
+            <div class="mt-3 pt-3 border-t border-gray-200 flex flex-wrap gap-x-4 gap-y-1">
+                ${state.people.map(person => `
+                    <label class="flex items-center gap-1 text-sm">
+                        <input type="checkbox" ${adjustment.personIds.includes(person.id) ? 'checked' : ''}
+                               data-action="toggle-adjustment-person" data-adjustment="${escapeHTML(adjustment.id)}" data-person="${escapeHTML(person.id)}">
+                        ${escapeHTML(person.name)}
+                    </label>
+                `).join('') || '<p class="text-xs text-gray-400">Add people to choose who this applies to.</p>'}
             </div>
         ` : '';
 
-        return `
-            <div class="p-4 border border-gray-200 rounded-lg">
-                <div class="flex justify-between items-start">
-                    <div>
-                        <p class="font-semibold item-name" data-item-id="${item.id}">${item.name}</p>
-                        <p class="text-gray-600 item-price" data-item-price-id="${item.id}">$${item.price.toFixed(2)}</p>
-                    </div>
-                    <div class="flex gap-2">
-                        <button class="text-blue-500 hover:text-blue-700 text-sm" onclick="editItem(${item.id})">✏️</button>
-                        <button class="text-red-500 hover:text-red-700 font-bold text-xl" onclick="deleteItem(${item.id})">&times;</button>
-                    </div>
-                </div>
-                <div class="mt-3 pt-3 border-t border-gray-200">
-                    <p class="text-xs font-medium text-gray-500 mb-2">Quantity per person:</p>
-                    ${actionButtonsHTML}
-                    <div class="mt-2">
-                        ${state.people.length > 0 ? quantityInputsHTML : '<p class="text-xs text-gray-400">Add people to assign quantities.</p>'}
-                    </div>
-                </div>
+        return `
+            <div class="p-4 border border-gray-200 rounded-lg">
+                <div class="flex justify-between items-start">
+                    <div>
+                        <p class="font-semibold">${escapeHTML(adjustment.name)}</p>
+                        <p class="text-gray-600 text-sm">${describeAdjustment(adjustment)}</p>
+                    </div>
+                    <button class="text-red-500 hover:text-red-700 font-bold text-xl" data-action="delete-adjustment" data-adjustment="${escapeHTML(adjustment.id)}">&times;</button>
+                </div>
+                ${peopleHTML}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderTaxRates() {
+    dom.taxRatesListDiv.innerHTML = state.taxRates.map(taxRate => `
+        <div class="flex items-center gap-2">
+            <span class="text-sm font-medium flex-1">${escapeHTML(taxRate.name)}</span>
+            <input type="text"
+                   inputmode="decimal"
+                   class="input-field text-sm py-1 px-2 w-24"
+                   value="${inputNumber(taxRate.rate)}"
+                   data-action="tax-rate" data-tax-rate="${escapeHTML(taxRate.id)}">
+            <span class="text-sm text-gray-500">%</span>
+            <button class="text-red-500 hover:text-red-700 font-bold" data-action="delete-tax-rate" data-tax-rate="${escapeHTML(taxRate.id)}">&times;</button>
+        </div>
+    `).join('');
+}
+
+function renderTipPeople() {
+    if (state.people.length === 0) {
+        dom.tipPeopleDiv.innerHTML = '<p class="text-gray-500 text-sm">Add people to choose who tips.</p>';
+        return;
+    }
+
+    dom.tipPeopleDiv.innerHTML = state.people.map(person => `
+        <label class="flex items-center gap-1 text-sm">
+            <input type="checkbox" ${state.tipExempt.includes(person.id) ? '' : 'checked'} data-action="toggle-tip-exempt" data-person="${escapeHTML(person.id)}">
+            ${escapeHTML(person.name)}
+        </label>
+    `).join('');
+}
+
+function renderPayments() {
+    if (state.people.length === 0) {
+        dom.paymentsListDiv.innerHTML = '<p class="text-gray-500 text-sm">Add people to record who paid.</p>';
+        return;
+    }
+
+    const { decimals } = currencyOf(state.currency);
+    dom.paymentsListDiv.innerHTML = state.people.map(person => `
+        <div class="flex items-center gap-2">
+            <span class="text-sm font-medium flex-1">${escapeHTML(person.name)}</span>
+            <input type="text"
+                   inputmode="decimal"
+                   class="input-field text-sm py-1 px-2 w-28"
+                   placeholder="${formatPlainMinor(0, decimals)}"
+                   value="${inputNumber(state.payments[person.id])}"
+                   data-action="payment" data-person="${escapeHTML(person.id)}">
+            <button class="text-xs bg-blue-500 text-white px-2 py-1 rounded hover:bg-blue-600 whitespace-nowrap"
+                    data-action="pay-whole-bill" data-person="${escapeHTML(person.id)}">Paid it all</button>
+            <select class="text-xs border border-gray-300 rounded px-1 py-1" title="Settles in"
+                    data-action="settlement-currency" data-person="${escapeHTML(person.id)}">
+                ${currencyOptionsHTML(state.settlementCurrencies[person.id] || state.currency)}
+            </select>
+        </div>
+    `).join('');
+
+    renderExchangeRates();
+}
+
+// One rate per currency someone settles in, against the bill currency
+function renderExchangeRates() {
+    const currencies = [...new Set(Object.values(state.settlementCurrencies))].filter(code => code !== state.currency);
+    dom.exchangeRatesDiv.innerHTML = currencies.length > 0 ? `
+        <p class="text-sm font-medium text-gray-700 mt-4 mb-1">Exchange rates</p>
+        ${currencies.map(code => `
+            <div class="flex items-center gap-2 text-sm">
+                <span>1 ${escapeHTML(state.currency)} =</span>
+                <input type="text"
+                       inputmode="decimal"
+                       class="input-field text-sm py-1 px-2 w-28"
+                       value="${inputNumber(state.exchangeRates[code])}"
+                       data-action="exchange-rate" data-currency="${escapeHTML(code)}">
+                <span>${escapeHTML(code)}</span>
             </div>
-        `;
-    }).join('');
+        `).join('')}
+    ` : '';
 }
 
 function toggleTranspose() {
@@ -483,32 +1841,28 @@ function calculateAndRenderSplit() {
         return;
     }
 
-    const taxRate = state.tax / 100 || 0;
-    const tipRate = state.tip / 100 || 0;
-
-    let personTotals = state.people.map(p => ({ ...p, subtotal: 0 }));
-    let totalBillSubtotal = 0;
-
-    // Calculate individual shares based on quantities
-    state.items.forEach(item => {
-        if (item.personQuantities) {
-            const totalQuantities = Object.values(item.personQuantities).reduce((sum, qty) => {
-                const numQty = parseFloat(qty) || 0;
-                return sum + numQty;
-            }, 0);
-            if (totalQuantities > 0) {
-                const pricePerUnit = item.price / totalQuantities;
-                Object.entries(item.personQuantities).forEach(([personId, quantity]) => {
-                    const person = personTotals.find(p => p.id === parseInt(personId));
-                    const numQuantity = parseFloat(quantity) || 0;
-                    if (person && numQuantity > 0) {
-                        person.subtotal += numQuantity * pricePerUnit;
-                    }
-                });
-            }
+    const split = computeSplit(state);
+    const { people: personTotals, taxRate, tipRate, tipMode, tipSplit } = split;
+
+    const shareCell = (item, person) => {
+        const share = item.shares[person.id];
+        if (share) {
+            const amount = formatPlainMinor(share.amount, split.decimals);
+            if (item.shareMode === 'amount') return `<td class="py-2 px-4 text-center">${amount}</td>`;
+            const part = item.shareMode === 'percent' ? formatPercent(share.quantity) : `${share.quantity}×`;
+            return `<td class="py-2 px-4 text-center">${part} = ${amount}</td>`;
         }
-        totalBillSubtotal += item.price;
-    });
+        return '<td class="py-2 px-4 text-center">-</td>';
+    };
+
+    // Per-person summary figures: one column (transposed) or row each
+    const summaryFields = [
+        { label: 'Subtotal', amount: person => person.subtotal },
+        { label: 'Tax', amount: person => person.tax },
+        { label: 'Tip', amount: person => person.tip },
+        ...split.adjustments.map(adjustment => ({ label: adjustment.name, amount: person => person.adjustments[adjustment.id] || 0 })),
+        { label: 'Total', amount: person => person.total }
+    ];
 
     let tableHTML;
 
@@ -520,11 +1874,8 @@ function calculateAndRenderSplit() {
                     <thead>
                         <tr class="border-b">
                             <th class="py-2 px-4">Person</th>
-                            ${state.items.map(item => `<th class="py-2 px-4 text-center">${item.name}<br><span class="text-xs text-gray-600">($${item.price.toFixed(2)})</span></th>`).join('')}
-                            <th class="py-2 px-4 text-center border-l-2 border-gray-400">Subtotal</th>
-                            <th class="py-2 px-4 text-center">Tax</th>
-                            <th class="py-2 px-4 text-center">Tip</th>
-                            <th class="py-2 px-4 text-center">Total</th>
+                            ${split.items.map(item => `<th class="py-2 px-4 text-center">${escapeHTML(item.name)}<br><span class="text-xs text-gray-600">(${formatSignedMinor(item.price)})</span></th>`).join('')}
+                            ${summaryFields.map((field, index) => `<th class="py-2 px-4 text-center ${index === 0 ? 'border-l-2 border-gray-400' : ''}">${escapeHTML(field.label)}</th>`).join('')}
                         </tr>
                     </thead>
                     <tbody>
@@ -532,31 +1883,14 @@ function calculateAndRenderSplit() {
 
         // Person rows
         personTotals.forEach(person => {
-            const personTax = person.subtotal * taxRate;
-            const personTip = person.subtotal * tipRate;
-            const personTotal = person.subtotal + personTax + personTip;
-
             tableHTML += `
                 <tr class="border-b">
-                    <td class="py-2 px-4 font-medium">${person.name}</td>
-                    ${state.items.map(item => {
-                        const totalQuantities = Object.values(item.personQuantities || {}).reduce((sum, qty) => {
-                            const numQty = parseFloat(qty) || 0;
-                            return sum + numQty;
-                        }, 0);
-                        const pricePerUnit = totalQuantities > 0 ? item.price / totalQuantities : 0;
-                        const personQuantity = item.personQuantities?.[person.id];
-                        const numPersonQuantity = parseFloat(personQuantity) || 0;
-                        if (personQuantity && numPersonQuantity > 0) {
-                            const personAmount = numPersonQuantity * pricePerUnit;
-                            return `<td class="py-2 px-4 text-center">${numPersonQuantity}× = ${personAmount.toFixed(2)}</td>`;
-                        }
-                        return '<td class="py-2 px-4 text-center">-</td>';
+                    <td class="py-2 px-4 font-medium">${escapeHTML(person.name)}</td>
+                    ${split.items.map(item => shareCell(item, person)).join('')}
+                    ${summaryFields.map((field, index) => {
+                        const cellClass = index === 0 ? 'border-l-2 border-gray-400' : index === summaryFields.length - 1 ? 'font-bold' : '';
+                        return `<td class="py-2 px-4 text-center ${cellClass}">${formatPlainMinor(field.amount(person), split.decimals)}</td>`;
                     }).join('')}
-                    <td class="py-2 px-4 text-center border-l-2 border-gray-400">${person.subtotal.toFixed(2)}</td>
-                    <td class="py-2 px-4 text-center">${personTax.toFixed(2)}</td>
-                    <td class="py-2 px-4 text-center">${personTip.toFixed(2)}</td>
-                    <td class="py-2 px-4 text-center font-bold">${personTotal.toFixed(2)}</td>
                 </tr>
             `;
         });
@@ -565,28 +1899,9 @@ function calculateAndRenderSplit() {
         tableHTML += `
             <tr class="border-t-2 border-gray-400 summary-row">
                 <td class="py-2 px-4 font-semibold">Item Total</td>
-                ${state.items.map(item => {
-                    let itemTotal = 0;
-                    const totalQuantities = Object.values(item.personQuantities || {}).reduce((sum, qty) => {
-                        const numQty = parseFloat(qty) || 0;
-                        return sum + numQty;
-                    }, 0);
-                    const pricePerUnit = totalQuantities > 0 ? item.price / totalQuantities : 0;
-
-                    personTotals.forEach(person => {
-                        const personQuantity = item.personQuantities?.[person.id];
-                        const numPersonQuantity = parseFloat(personQuantity) || 0;
-                        if (numPersonQuantity > 0) {
-                            itemTotal += numPersonQuantity * pricePerUnit;
-                        }
-                    });
-
-                    return `<td class="py-2 px-4 text-center font-semibold">${itemTotal.toFixed(2)}</td>`;
-                }).join('')}
-                <td class="py-2 px-4 text-center border-l-2 border-gray-400 font-semibold">${totalBillSubtotal.toFixed(2)}</td>
-                <td class="py-2 px-4 text-center"></td>
-                <td class="py-2 px-4 text-center"></td>
-                <td class="py-2 px-4 text-center"></td>
+                ${split.items.map(item => `<td class="py-2 px-4 text-center font-semibold">${formatPlainMinor(item.allocated, split.decimals)}</td>`).join('')}
+                <td class="py-2 px-4 text-center border-l-2 border-gray-400 font-semibold">${formatPlainMinor(split.bill.subtotal, split.decimals)}</td>
+                ${summaryFields.slice(1).map(() => '<td class="py-2 px-4 text-center"></td>').join('')}
             </tr>
         `;
 
@@ -599,7 +1914,7 @@ function calculateAndRenderSplit() {
                     <thead>
                         <tr class="border-b">
                             <th class="py-2 px-4">Item</th>
-                            ${personTotals.map(person => `<th class="py-2 px-4 text-center">${person.name}</th>`).join('')}
+                            ${personTotals.map(person => `<th class="py-2 px-4 text-center">${escapeHTML(person.name)}</th>`).join('')}
                             <th class="py-2 px-4 text-center border-l-2 border-gray-400">Item Total</th>
                         </tr>
                     </thead>
@@ -607,97 +1922,238 @@ function calculateAndRenderSplit() {
         `;
 
         // Item rows
-        state.items.forEach(item => {
-            const totalQuantities = Object.values(item.personQuantities || {}).reduce((sum, qty) => {
-                const numQty = parseFloat(qty) || 0;
-                return sum + numQty;
-            }, 0);
-            const pricePerUnit = totalQuantities > 0 ? item.price / totalQuantities : 0;
-
-            let itemTotal = 0;
+        split.items.forEach(item => {
             tableHTML += `
                 <tr class="border-b">
-                    <td class="py-2 px-4 font-medium">${item.name}<br><span class="text-sm text-gray-600">($${item.price.toFixed(2)})</span></td>
-                    ${personTotals.map(person => {
-                        const personQuantity = item.personQuantities?.[person.id];
-                        const numPersonQuantity = parseFloat(personQuantity) || 0;
-                        if (personQuantity && numPersonQuantity > 0) {
-                            const personAmount = numPersonQuantity * pricePerUnit;
-                            itemTotal += personAmount;
-                            return `<td class="py-2 px-4 text-center">${numPersonQuantity}× = ${personAmount.toFixed(2)}</td>`;
-                        }
-                        return '<td class="py-2 px-4 text-center">-</td>';
-                    }).join('')}
-                    <td class="py-2 px-4 text-center border-l-2 border-gray-400 font-semibold">${itemTotal.toFixed(2)}</td>
+                    <td class="py-2 px-4 font-medium">${escapeHTML(item.name)}<br><span class="text-sm text-gray-600">(${formatSignedMinor(item.price)})</span></td>
+                    ${personTotals.map(person => shareCell(item, person)).join('')}
+                    <td class="py-2 px-4 text-center border-l-2 border-gray-400 font-semibold">${formatPlainMinor(item.allocated, split.decimals)}</td>
                 </tr>
             `;
         });
 
         // Summary rows
-        let grandTotal = 0;
-        ['Subtotal', 'Tax', 'Tip', 'Total'].forEach((summaryType, index) => {
-            const isTotal = summaryType === 'Total';
+        summaryFields.forEach((field, index) => {
+            const isTotal = index === summaryFields.length - 1;
             const borderClass = index === 0 ? 'border-t-2 border-gray-400 border-b summary-row' :
                                isTotal ? 'border-t-2 border-gray-400 summary-row' : 'border-b summary-row';
+            const cellClass = isTotal ? 'font-bold' : '';
 
-            tableHTML += `<tr class="${borderClass}"><td class="py-2 px-4 font-semibold">${summaryType}</td>`;
+            tableHTML += `<tr class="${borderClass}"><td class="py-2 px-4 font-semibold">${escapeHTML(field.label)}</td>`;
 
             let rowTotal = 0;
             personTotals.forEach(person => {
-                const personTax = person.subtotal * taxRate;
-                const personTip = person.subtotal * tipRate;
-                const personTotal = person.subtotal + personTax + personTip;
-
-                let value;
-                switch(summaryType) {
-                    case 'Subtotal': value = person.subtotal; break;
-                    case 'Tax': value = personTax; break;
-                    case 'Tip': value = personTip; break;
-                    case 'Total':
-                        value = personTotal;
-                        grandTotal += personTotal;
-                        break;
-                }
-                rowTotal += value;
-
-                const cellClass = isTotal ? 'font-bold' : '';
-                tableHTML += `<td class="py-2 px-4 text-center ${cellClass}">${value.toFixed(2)}</td>`;
+                rowTotal += field.amount(person);
+                tableHTML += `<td class="py-2 px-4 text-center ${cellClass}">${formatPlainMinor(field.amount(person), split.decimals)}</td>`;
             });
 
-            const cellClass = isTotal ? 'font-bold' : '';
-            tableHTML += `<td class="py-2 px-4 text-center border-l-2 border-gray-400 ${cellClass}">${rowTotal.toFixed(2)}</td>`;
+            tableHTML += `<td class="py-2 px-4 text-center border-l-2 border-gray-400 ${cellClass}">${formatPlainMinor(rowTotal, split.decimals)}</td>`;
             tableHTML += '</tr>';
         });
 
         tableHTML += '</tbody></table></div>';
     }
 
-    // Bill summary
-    const totalTax = totalBillSubtotal * taxRate;
-    const totalTip = totalBillSubtotal * tipRate;
-    let grandTotal = 0;
-    personTotals.forEach(person => {
-        const personTax = person.subtotal * taxRate;
-        const personTip = person.subtotal * tipRate;
-        grandTotal += person.subtotal + personTax + personTip;
-    });
+    // Group subtotals: the summary figures added up over each group's members
+    const groupRows = state.groups
+        .map(group => ({ group, members: personTotals.filter(p => group.personIds.includes(p.id)) }))
+        .filter(({ members }) => members.length > 0);
+    if (groupRows.length > 0) {
+        tableHTML += `
+            <div class="overflow-x-auto mt-6">
+                <table class="w-full text-left border-collapse min-w-max">
+                    <thead>
+                        <tr class="border-b">
+                            <th class="py-2 px-4">Group</th>
+                            ${summaryFields.map(field => `<th class="py-2 px-4 text-center">${escapeHTML(field.label)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${groupRows.map(({ group, members }) => `
+                            <tr class="border-b">
+                                <td class="py-2 px-4 font-medium">${escapeHTML(group.name)}<br><span class="text-xs text-gray-600">${escapeHTML(members.map(p => p.name).join(', '))}</span></td>
+                                ${summaryFields.map((field, index) => {
+                                    const amount = members.reduce((sum, person) => sum + field.amount(person), 0);
+                                    return `<td class="py-2 px-4 text-center ${index === summaryFields.length - 1 ? 'font-bold' : ''}">${formatPlainMinor(amount, split.decimals)}</td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
 
+    // Rounding note: who absorbed the leftover cents
+    const absorbed = {}; // { personId: { minor, labels } }
+    split.rounding.forEach(({ personId, label }) => {
+        absorbed[personId] = absorbed[personId] || { minor: 0, labels: [] };
+        absorbed[personId].minor++;
+        if (!absorbed[personId].labels.includes(label)) absorbed[personId].labels.push(label);
+    });
+    const roundingHTML = split.rounding.length > 0 ? `
+        <p class="mt-3 text-xs text-gray-500">
+            Rounding (${ROUNDING_METHODS[split.roundingMethod]}):
+            ${personTotals.filter(p => absorbed[p.id]).map(p =>
+                `${escapeHTML(p.name)} +${formatSignedMinor(absorbed[p.id].minor)} (${escapeHTML(absorbed[p.id].labels.join(', '))})`
+            ).join('; ')}
+        </p>
+    ` : '';
+
+    // Bill summary, with tax broken down by rate once items use the named rates
+    const taxLines = split.taxes.filter(t => t.subtotal > 0);
+    const showTaxBreakdown = taxLines.some(t => t.id !== null);
+    const tipDetails = [
+        tipMode === 'fixed' ? `fixed, ${TIP_SPLITS[tipSplit].toLowerCase()}` : `${formatPercent(tipRate * 100)}${tipMode === 'post-tax' ? ' incl. tax' : ''}`,
+        ...personTotals.filter(p => state.tipExempt.includes(p.id)).map(p => `not ${escapeHTML(p.name)}`)
+    ];
+    const tipLabel = `Tip (${tipDetails.join(', ')})`;
     const summaryHTML = `
         <div class="mt-6 p-4 bg-gray-100 rounded-lg w-full">
             <h3 class="font-bold text-lg">Bill Summary</h3>
             <div class="mt-2 space-y-1">
-                <div class="flex justify-between"><span>Subtotal</span> <span>$${totalBillSubtotal.toFixed(2)}</span></div>
-                <div class="flex justify-between"><span>Tax (${(taxRate*100).toFixed(0)}%)</span> <span>$${totalTax.toFixed(2)}</span></div>
-                <div class="flex justify-between"><span>Tip (${(tipRate*100).toFixed(0)}%)</span> <span>$${totalTip.toFixed(2)}</span></div>
-                <div class="flex justify-between font-bold text-xl mt-2 pt-2 border-t"><span>Grand Total</span> <span>$${grandTotal.toFixed(2)}</span></div>
+                <div class="flex justify-between"><span>Subtotal</span> <span>${formatSignedMinor(split.bill.subtotal)}</span></div>
+                ${showTaxBreakdown ? taxLines.map(t =>
+                    `<div class="flex justify-between"><span>Tax – ${escapeHTML(t.name)} (${formatPercent(t.rate * 100)} of ${formatSignedMinor(t.subtotal)})</span> <span>${formatSignedMinor(t.tax)}</span></div>`
+                ).join('') : `<div class="flex justify-between"><span>Tax (${formatPercent(taxRate * 100)})</span> <span>${formatSignedMinor(split.bill.tax)}</span></div>`}
+                <div class="flex justify-between"><span>${tipLabel}</span> <span>${formatSignedMinor(split.bill.tip)}</span></div>
+                ${split.adjustments.map(adjustment =>
+                    `<div class="flex justify-between"><span>${escapeHTML(adjustment.name)} (${describeAdjustment(adjustment)})</span> <span>${formatSignedMinor(adjustment.amount)}</span></div>`
+                ).join('')}
+                <div class="flex justify-between font-bold text-xl mt-2 pt-2 border-t"><span>Grand Total</span> <span>${formatSignedMinor(split.grandTotal)}</span></div>
+            </div>
+        </div>
+    `;
+
+    // Reconciliation: items nobody (fully) pays for, and what that leaves unpaid
+    const reconciliation = reconcileSplit(split);
+    let reconciliationHTML = '';
+    if (reconciliation.items.length > 0 || reconciliation.gap !== 0) {
+        const targets = reconciliationTargets(split);
+        const describeItem = item => {
+            if (item.status === 'unassigned') return `nobody shares it (${formatSignedMinor(item.price)})`;
+            if (item.status === 'over') return `${formatSignedMinor(-item.missing)} more than its price is assigned`;
+            return `${formatSignedMinor(item.missing)} of ${formatSignedMinor(item.price)} is not assigned`;
+        };
+        const buttonClass = 'text-sm bg-amber-600 text-white px-3 py-1 rounded hover:bg-amber-700';
+        const canResolve = reconciliation.items.some(item => item.status !== 'over');
+        const resolveButtonsHTML = canResolve ? `
+            <div class="mt-3 flex flex-wrap gap-2">
+                <button class="${buttonClass}" data-action="resolve-unallocated" data-target="everyone">Split Among Everyone</button>
+                ${targets.payer.length > 0 ? `<button class="${buttonClass}" title="They paid the most" data-action="resolve-unallocated" data-target="payer">Give to ${escapeHTML(targets.payer[0].name)}</button>` : ''}
+                ${targets.diners.length > 0 && targets.diners.length < targets.everyone.length ? `<button class="${buttonClass}" title="${escapeHTML(targets.diners.map(p => p.name).join(', '))}" data-action="resolve-unallocated" data-target="diners">Split Among People With Items</button>` : ''}
+            </div>
+        ` : '';
+
+        reconciliationHTML = `
+            <div class="mb-6 p-4 bg-amber-50 border border-amber-300 rounded-lg w-full">
+                <h3 class="font-bold text-lg text-amber-800">The Split Doesn't Add Up</h3>
+                <p class="mt-1 text-sm text-amber-800">
+                    ${describeGap(reconciliation)}
+                    The bill comes to ${formatSignedMinor(reconciliation.billTotal)}; people pay ${formatSignedMinor(split.grandTotal)}.
+                </p>
+                ${reconciliation.items.length > 0 ? `
+                    <ul class="mt-2 text-sm list-disc pl-5">
+                        ${reconciliation.items.map(item => `<li><span class="font-medium">${escapeHTML(item.name)}</span>: ${describeItem(item)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                ${resolveButtonsHTML}
+            </div>
+        `;
+    }
+
+    // Settle up: transfers that square what people paid with what they owe
+    const { transfers, paidTotal } = computeSettlement(split);
+    const nameOf = personId => escapeHTML(personTotals.find(p => p.id === personId).name);
+    let settleUpBody;
+    if (paidTotal === 0) {
+        settleUpBody = '<p class="text-sm text-gray-500">Record who paid under "Who Paid" to see who owes whom.</p>';
+    } else if (transfers.length === 0) {
+        settleUpBody = '<p class="text-sm text-gray-600">Everyone is even.</p>';
+    } else {
+        settleUpBody = transfers.map(t => {
+            const converted = convertTransfer(t);
+            const convertedHTML = !converted ? '' : converted.minor !== null
+                ? ` <span class="text-gray-500">(${formatSignedMinor(converted.minor, converted.currency)})</span>`
+                : ` <span class="text-xs text-amber-700">(set the ${escapeHTML(converted.currency)} rate under "Who Paid")</span>`;
+            const { paymentHandle } = state.people.find(p => p.id === t.to);
+            const handleHTML = paymentHandle ? ` <span class="text-xs text-gray-500">(${escapeHTML(paymentHandle)})</span>` : '';
+            return `<div class="flex justify-between"><span>${nameOf(t.from)} pays ${nameOf(t.to)}${handleHTML}</span> <span>${formatSignedMinor(t.amount)}${convertedHTML}</span></div>`;
+        }).join('');
+    }
+    const paymentGap = paidTotal - split.grandTotal;
+    const settleUpHTML = `
+        <div class="mt-6 p-4 bg-gray-100 rounded-lg w-full">
+            <h3 class="font-bold text-lg">Settle Up</h3>
+            <div class="mt-2 space-y-1">${settleUpBody}</div>
+            ${paidTotal > 0 && paymentGap !== 0 ? `
+                <p class="mt-2 text-xs text-amber-700">
+                    Payments add up to ${formatSignedMinor(paidTotal)} but the split totals ${formatSignedMinor(split.grandTotal)}
+                    (${formatSignedMinor(Math.abs(paymentGap))} ${paymentGap > 0 ? 'over' : 'short'}).
+                </p>
+            ` : ''}
+        </div>
+    `;
+
+    // Personal receipts, left out of the exported image
+    const receiptsHTML = `
+        <div class="mt-6 p-4 bg-gray-100 rounded-lg w-full" data-html2canvas-ignore>
+            <h3 class="font-bold text-lg">Personal Receipts</h3>
+            <div class="mt-2 flex flex-wrap gap-2">
+                ${personTotals.map(person => `<button class="text-sm bg-white border border-gray-300 rounded px-3 py-1 hover:bg-gray-50" data-action="show-receipt" data-person="${escapeHTML(person.id)}">🧾 ${escapeHTML(person.name)}</button>`).join('')}
             </div>
         </div>
     `;
 
-    dom.resultsSection.innerHTML = tableHTML + summaryHTML;
+    const paymentRequestsHTML = paidTotal > 0 && transfers.length > 0 ? renderPaymentRequests(transfers) : '';
+
+    dom.resultsSection.innerHTML = reconciliationHTML + tableHTML + roundingHTML + summaryHTML + settleUpHTML + paymentRequestsHTML + receiptsHTML;
 }
 
 // --- UTILITIES ---
+// Text safe to put inside HTML markup or a quoted attribute
+function escapeHTML(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, ch => entities[ch]);
+}
+
+// "$5.00" or "-$5.00", in the open bill's currency unless told otherwise
+function formatSignedMinor(minor, currency = state.currency) {
+    return formatMoney(minor, currency, ui.locale);
+}
+
+// "1,234.50" or "1.234,50", without a currency symbol
+function formatPlainMinor(minor, decimals = currencyDecimals(state.currency)) {
+    return formatNumber(minor / 10 ** decimals, ui.locale, { decimals });
+}
+
+// "8.875%" or "8,875 %"
+function formatPercent(percent) {
+    return new Intl.NumberFormat(ui.locale || undefined, { style: 'percent', maximumFractionDigits: 3 }).format(percent / 100);
+}
+
+// An amount in the open bill's currency, in its minor units
+function toBillMinor(amount) {
+    return toMinor(amount, currencyDecimals(state.currency));
+}
+
+// A number typed in the chosen number format (or the US one). NaN if unreadable.
+function readNumber(text) {
+    return parseNumber(text, ui.locale);
+}
+
+// A number for an input field in the chosen format, without thousands separators
+function inputNumber(value) {
+    return value === undefined || value === null || value === '' ? '' : formatNumber(value, ui.locale, { grouping: false });
+}
+
+function setLocale(locale) {
+    ui.locale = LOCALES[locale] !== undefined ? locale : '';
+    localStorage.setItem(LOCALE_STORAGE_KEY, ui.locale);
+    syncConfigInputs();
+    render();
+}
+
 function showToast(message, type = 'info') {
     const toast = document.createElement('div');
     const bgColor = type === 'success' ? 'bg-green-500' : type === 'error' ? 'bg-red-500' : 'bg-gray-800';
@@ -710,276 +2166,672 @@ function showToast(message, type = 'info') {
 // --- STORAGE ---
 function saveState() {
     try {
-        localStorage.setItem('lunchSplitterState', JSON.stringify(state));
+        storeBillState(library, state);
+        localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+        saveHistory();
     } catch (error) {
         console.error("Error saving state:", error);
         showToast('Error saving data.', 'error');
     }
 }
 
+// Moves histories saved all under one key to a key per bill.
+function splitLegacyHistories() {
+    const saved = localStorage.getItem(LEGACY_HISTORY_STORAGE_KEY);
+    if (saved === null) return;
+
+    Object.entries(JSON.parse(saved)).forEach(([billId, history]) => {
+        localStorage.setItem(HISTORY_STORAGE_PREFIX + billId, JSON.stringify(migrateHistory(history)));
+    });
+    localStorage.removeItem(LEGACY_HISTORY_STORAGE_KEY);
+}
+
+function saveHistory() {
+    localStorage.setItem(HISTORY_STORAGE_PREFIX + library.activeBillId, JSON.stringify(undoHistory));
+}
+
+// Loads the history of the open bill.
+function loadHistory() {
+    try {
+        splitLegacyHistories();
+        const saved = localStorage.getItem(HISTORY_STORAGE_PREFIX + library.activeBillId);
+        Object.assign(undoHistory, migrateHistory(saved ? JSON.parse(saved) : null));
+    } catch (error) {
+        console.error("Error loading history:", error);
+        Object.assign(undoHistory, createHistory());
+    }
+}
+
+function forgetHistory(billId) {
+    localStorage.removeItem(HISTORY_STORAGE_PREFIX + billId);
+}
+
 // --- URL SHARING ---
-function generateShareableURL() {
+async function generateShareableURL() {
     try {
         const url = new URL(window.location.origin + window.location.pathname);
+        url.search = (await encodeShareParams(state)).toString();
+        return url.toString();
+    } catch (error) {
+        console.error("Error generating shareable URL:", error);
+        return null;
+    }
+}
+
+async function copyShareLink() {
+    if (state.people.length === 0 && state.items.length === 0) {
+        showToast('Please add people and items first before sharing.', 'error');
+        return;
+    }
+
+    const shareURL = await generateShareableURL();
+    if (!shareURL) {
+        showToast('Failed to generate share link.', 'error');
+        return;
+    }
+
+    navigator.clipboard.writeText(shareURL)
+        .then(() => {
+            showToast('Share link copied to clipboard!', 'success');
+        })
+        .catch((error) => {
+            console.error('Failed to copy link:', error);
+            // Fallback: show the URL in a prompt
+            prompt('Copy this link to share:', shareURL);
+        });
+}
+
+async function loadStateFromURL() {
+    try {
+        return await decodeShareParams(window.location.search);
+    } catch (error) {
+        console.error("Error loading from URL:", error);
+        if (error.errors) {
+            showShareLinkErrors(error.errors);
+        } else {
+            showToast('Error loading data from URL.', 'error');
+        }
+    }
+    return null;
+}
+
+// A link whose bill fails the Import JSON checks: list the problems the same way
+function showShareLinkErrors(errors) {
+    const content = `
+        <div class="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 max-h-40 overflow-auto">
+            ${importErrorsHTML('The shared bill does not fit the bill format:', errors)}
+        </div>
+        <div class="mt-4 flex justify-end">
+            <button id="close-share-errors-btn" class="btn bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg">Close</button>
+        </div>
+    `;
+
+    const modal = createModal('Shared Link', content);
+    modal.querySelector('#close-share-errors-btn').addEventListener('click', () => {
+        modal.remove();
+    });
+}
+
+async function loadState() {
+    try {
+        // Check both URL and localStorage
+        const urlState = await loadStateFromURL();
+        const savedLibrary = localStorage.getItem(LIBRARY_STORAGE_KEY);
+        const legacyState = localStorage.getItem(LEGACY_STORAGE_KEY);
+
+        Object.assign(library, migrateLibrary(
+            savedLibrary ? JSON.parse(savedLibrary) : null,
+            legacyState ? JSON.parse(legacyState) : null
+        ));
+
+        // A shared link opens as a new bill instead of overwriting a saved one
+        if (urlState) {
+            const sharedBill = addBill(library, { title: 'Shared bill' }, linkPeople(library, migrateState(urlState)));
+            library.activeBillId = sharedBill.id;
+        }
+
+        Object.assign(state, migrateState(getActiveBill(library).state));
+        loadHistory();
+        syncConfigInputs();
+
+        if (urlState || (!savedLibrary && legacyState)) {
+            saveState();
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+        }
+
+        // Clear URL params if loaded from URL to keep URL clean
+        if (urlState) {
+            window.history.replaceState({}, '', window.location.pathname);
+            showToast('Bill loaded from shared link!', 'success');
+        } else if (savedLibrary || legacyState) {
+            showToast('Data loaded from previous session.', 'info');
+        }
+    } catch (error) {
+        console.error("Error loading state:", error);
+        showToast('Error loading data.', 'error');
+    }
+}
+
+function clearState() {
+    try {
+        commitChange('Clear bill', () => {
+            Object.assign(state, createDefaultState());
+        });
+
+        dom.personNameInput.value = '';
+        dom.itemNameInput.value = '';
+        dom.itemPriceInput.value = '';
+        syncConfigInputs();
+
+        // Clear URL params
+        window.history.replaceState({}, '', window.location.pathname);
+
+        render();
+        saveState();
+        showToast('Data cleared successfully!', 'success');
+    } catch (error) {
+        console.error("Error clearing state:", error);
+        showToast('Error clearing data.', 'error');
+    }
+}
+
+// --- BILL LIBRARY ---
+function renderCurrentBill() {
+    const bill = getActiveBill(library);
+    if (!bill) return;
+
+    dom.currentBillLabel.textContent = [bill.title, bill.restaurant, bill.date].filter(Boolean).join(' · ');
+}
+
+function toggleBillsSidebar(open) {
+    dom.billsSidebar.classList.toggle('hidden', !open);
+    if (open) renderBills();
+}
+
+function renderBills() {
+    const bills = listBills(library, { includeArchived: ui.showArchivedBills });
+
+    dom.billsListDiv.innerHTML = bills.map(bill => {
+        const isActive = bill.id === library.activeBillId;
+        const split = computeSplit(bill.state);
+        const details = [bill.date, bill.restaurant, `${bill.state.people.length} people`, formatSignedMinor(split.grandTotal, split.currency)];
+
+        return `
+            <div class="p-3 rounded-lg border ${isActive ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200'} ${bill.archived ? 'opacity-60' : ''}">
+                <button class="text-left w-full" data-action="switch-bill" data-bill="${escapeHTML(bill.id)}">
+                    <p class="font-semibold">${escapeHTML(bill.title)}${bill.archived ? ' <span class="text-xs text-gray-500">(archived)</span>' : ''}</p>
+                    <p class="text-xs text-gray-500">${escapeHTML(details.filter(Boolean).join(' · '))}</p>
+                </button>
+                <div class="flex gap-3 mt-2 text-xs">
+                    <button class="text-blue-500 hover:text-blue-700" data-action="edit-bill" data-bill="${escapeHTML(bill.id)}">Rename</button>
+                    <button class="text-blue-500 hover:text-blue-700" data-action="duplicate-bill" data-bill="${escapeHTML(bill.id)}">Duplicate</button>
+                    <button class="text-gray-500 hover:text-gray-700" title="Archived bills with payments count towards the ledger" data-action="archive-bill" data-bill="${escapeHTML(bill.id)}">${bill.archived ? 'Unarchive' : 'Archive'}</button>
+                    <button class="text-red-500 hover:text-red-700" data-action="delete-bill" data-bill="${escapeHTML(bill.id)}">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('') || '<p class="text-gray-500 text-sm">No bills yet.</p>';
+}
+
+// Opens another bill. Callers save the open bill first.
+function openBill(billId) {
+    library.activeBillId = billId;
+    Object.assign(state, migrateState(getActiveBill(library).state));
+    loadHistory();
+
+    dom.personNameInput.value = '';
+    dom.itemNameInput.value = '';
+    dom.itemPriceInput.value = '';
+    syncConfigInputs();
+
+    render();
+    renderBills();
+    saveState();
+}
+
+function switchBill(billId) {
+    if (billId === library.activeBillId || !findBill(library, billId)) return;
+
+    saveState();
+    openBill(billId);
+}
+
+function handleNewBill() {
+    saveState();
+    const bill = addBill(library);
+    openBill(bill.id);
+    showToast('Started a new bill.', 'success');
+}
+
+function handleDuplicateBill(billId) {
+    saveState();
+    const copy = duplicateBill(library, billId);
+    if (!copy) return;
+
+    openBill(copy.id);
+    showToast(`Duplicated "${findBill(library, billId).title}".`, 'success');
+}
+
+function handleArchiveBill(billId) {
+    const bill = findBill(library, billId);
+    if (!bill) return;
+
+    saveState();
+    const wasActive = billId === library.activeBillId;
+    setBillArchived(library, billId, !bill.archived);
+    if (wasActive && library.activeBillId !== billId) {
+        openBill(library.activeBillId);
+    } else {
+        renderBills();
+        saveState();
+    }
+    showToast(bill.archived ? `Archived "${bill.title}".` : `Restored "${bill.title}".`, 'success');
+}
+
+function handleDeleteBill(billId) {
+    const bill = findBill(library, billId);
+    if (!bill || !confirm(`Delete "${bill.title}"? This cannot be undone.`)) return;
+
+    saveState();
+    const wasActive = billId === library.activeBillId;
+    deleteBill(library, billId);
+    forgetHistory(billId);
+    if (wasActive) {
+        openBill(library.activeBillId);
+    } else {
+        renderBills();
+        saveState();
+    }
+    showToast(`Deleted "${bill.title}".`, 'success');
+}
+
+function editBillDetails(billId) {
+    const bill = findBill(library, billId);
+    if (!bill) return;
+
+    const content = `
+        <div class="space-y-4">
+            <div>
+                <label for="bill-title-input" class="block text-sm font-medium text-gray-700 mb-1">Title</label>
+                <input type="text" id="bill-title-input" class="input-field" value="${escapeHTML(bill.title)}">
+            </div>
+            <div>
+                <label for="bill-restaurant-input" class="block text-sm font-medium text-gray-700 mb-1">Restaurant</label>
+                <input type="text" id="bill-restaurant-input" class="input-field" value="${escapeHTML(bill.restaurant)}" placeholder="Optional">
+            </div>
+            <div>
+                <label for="bill-date-input" class="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                <input type="date" id="bill-date-input" class="input-field" value="${escapeHTML(bill.date)}">
+            </div>
+        </div>
+        <div class="mt-4 flex gap-2 justify-end">
+            <button id="save-bill-details-btn" class="btn btn-primary">Save</button>
+        </div>
+    `;
+
+    const modal = createModal('Bill Details', content);
+    const titleInput = modal.querySelector('#bill-title-input');
+    titleInput.focus();
+    titleInput.select();
+
+    const saveDetails = () => {
+        updateBillDetails(library, billId, {
+            title: titleInput.value,
+            restaurant: modal.querySelector('#bill-restaurant-input').value,
+            date: modal.querySelector('#bill-date-input').value
+        });
+        renderCurrentBill();
+        renderBills();
+        saveState();
+        modal.remove();
+    };
+
+    modal.querySelector('#save-bill-details-btn').addEventListener('click', saveDetails);
+    titleInput.addEventListener('keyup', (e) => e.key === 'Enter' && saveDetails());
+}
+
+// --- GROUP LEDGER ---
+function renderLedger(currency) {
+    const ledger = computeLedger(library, currency);
+    const nameOf = uid => escapeHTML((ledger.members.find(m => m.uid === uid) || { name: 'Unknown' }).name);
+    const formatAmount = minor => formatSignedMinor(minor, currency);
+
+    // Bills in different currencies are never added up; each has its own ledger
+    const currencies = ledgerCurrencies(library);
+    const currencySelectHTML = currencies.length > 1 ? `
+        <select id="ledger-currency" class="input-field py-1 w-auto mb-4">
+            ${currencies.map(code => `<option value="${escapeHTML(code)}" ${code === currency ? 'selected' : ''}>${escapeHTML(code)} – ${currencyOf(code).name}</option>`).join('')}
+        </select>
+    ` : '';
+
+    if (ledger.members.length === 0) {
+        return '<p class="text-gray-500 text-sm">Nothing here yet. Record who paid on a bill and archive it once it is done to start the ledger.</p>';
+    }
+
+    const balancesHTML = ledger.members.map(member => `
+        <div class="flex justify-between">
+            <span>${escapeHTML(member.name)}</span>
+            <span class="${member.balance > 0 ? 'text-green-700' : member.balance < 0 ? 'text-red-700' : 'text-gray-500'}">
+                ${member.balance > 0 ? `is up ${formatAmount(member.balance)}` : member.balance < 0 ? `is down ${formatAmount(-member.balance)}` : 'even'}
+            </span>
+        </div>
+    `).join('');
+
+    const transfersHTML = ledger.transfers.map((t, idx) => `
+        <div class="flex justify-between items-center gap-2">
+            <span>${nameOf(t.from)} pays ${nameOf(t.to)} ${formatAmount(t.amount)}</span>
+            <button class="text-xs bg-green-600 text-white px-2 py-1 rounded hover:bg-green-700" data-ledger-transfer="${idx}">Record payment</button>
+        </div>
+    `).join('') || '<p class="text-sm text-gray-600">Everyone is even.</p>';
+
+    // Preselect the person furthest down paying the person furthest up
+    const memberOptions = selectedUid => ledger.members.map(m =>
+        `<option value="${escapeHTML(m.uid)}" ${m.uid === selectedUid ? 'selected' : ''}>${escapeHTML(m.name)}</option>`
+    ).join('');
+    const settlementsHTML = library.settlements.filter(s => (s.currency || DEFAULT_CURRENCY) === currency).reverse().map(s => `
+        <li class="flex justify-between items-center text-sm">
+            <span>${escapeHTML(s.date)} · ${nameOf(s.from)} paid ${nameOf(s.to)} ${formatAmount(toMinor(s.amount, currencyDecimals(currency)))}</span>
+            <button class="text-red-500 hover:text-red-700 font-bold" data-remove-settlement="${escapeHTML(s.id)}">&times;</button>
+        </li>
+    `).join('');
+
+    const unbalancedHTML = ledger.unbalancedBills.length > 0 ? `
+        <p class="mt-2 text-xs text-amber-700">
+            Payments don't match the total on: ${ledger.unbalancedBills.map(b => `${escapeHTML(b.title)} (${formatAmount(Math.abs(b.gap))} ${b.gap > 0 ? 'over' : 'short'})`).join(', ')}.
+        </p>
+    ` : '';
+
+    return `
+        ${currencySelectHTML}
+        <p class="mb-4 text-gray-600">Running balances from ${ledger.billCount} archived ${ledger.billCount === 1 ? 'bill' : 'bills'} and the payments recorded below.</p>
+        <h4 class="font-semibold mb-2">Balances</h4>
+        <div class="space-y-1">${balancesHTML}</div>
+        ${unbalancedHTML}
+        <h4 class="font-semibold mt-6 mb-2">Suggested settlements</h4>
+        <div class="space-y-2">${transfersHTML}</div>
+        <h4 class="font-semibold mt-6 mb-2">Record a payment</h4>
+        <div class="flex flex-wrap items-center gap-2 text-sm">
+            <select id="settlement-from" class="input-field py-1 w-auto">${memberOptions(ledger.members[ledger.members.length - 1].uid)}</select>
+            <span>paid</span>
+            <select id="settlement-to" class="input-field py-1 w-auto">${memberOptions(ledger.members[0].uid)}</select>
+            <input type="text" inputmode="decimal" id="settlement-amount" class="input-field py-1 w-28" placeholder="${formatPlainMinor(0, currencyDecimals(currency))}">
+            <button id="record-settlement-btn" class="btn btn-primary py-1">Record</button>
+        </div>
+        ${settlementsHTML ? `
+            <h4 class="font-semibold mt-6 mb-2">Recorded payments</h4>
+            <ul class="space-y-1">${settlementsHTML}</ul>
+        ` : ''}
+    `;
+}
+
+function showLedgerModal() {
+    saveState();
+    const modal = createModal('Group Ledger', '<div id="ledger-body"></div>');
+    const body = modal.querySelector('#ledger-body');
+    const currencies = ledgerCurrencies(library);
+    let currency = currencies.includes(state.currency) ? state.currency : currencies[0];
+    body.innerHTML = renderLedger(currency);
+
+    const addSettlement = (settlement) => {
+        try {
+            recordSettlement(library, { ...settlement, currency });
+            saveState();
+            body.innerHTML = renderLedger(currency);
+            showToast('Payment recorded.', 'success');
+        } catch (error) {
+            console.error('Error recording payment:', error);
+            showToast('Pick two different people and an amount.', 'error');
+        }
+    };
 
-        // People: comma-separated names
-        if (state.people.length > 0) {
-            url.searchParams.set('p', state.people.map(p => p.name).join(','));
+    body.addEventListener('click', (e) => {
+        const transferBtn = e.target.closest('[data-ledger-transfer]');
+        if (transferBtn) {
+            const transfer = computeLedger(library, currency).transfers[parseInt(transferBtn.dataset.ledgerTransfer)];
+            addSettlement({ from: transfer.from, to: transfer.to, amount: transfer.amount / 10 ** currencyDecimals(currency) });
+            return;
         }
 
-        // Items: format "name:price" separated by semicolons
-        if (state.items.length > 0) {
-            const itemsStr = state.items.map(item => `${item.name}:${item.price}`).join(';');
-            url.searchParams.set('i', itemsStr);
+        const removeBtn = e.target.closest('[data-remove-settlement]');
+        if (removeBtn) {
+            removeSettlement(library, parseInt(removeBtn.dataset.removeSettlement));
+            saveState();
+            body.innerHTML = renderLedger(currency);
+            return;
         }
 
-        // Quantities: format "itemIndex-personIndex:quantity" separated by semicolons
-        const quantities = [];
-        state.items.forEach((item, itemIdx) => {
-            if (item.personQuantities) {
-                state.people.forEach((person, personIdx) => {
-                    const qty = item.personQuantities[person.id];
-                    if (qty) {
-                        quantities.push(`${itemIdx}-${personIdx}:${qty}`);
-                    }
-                });
-            }
-        });
-        if (quantities.length > 0) {
-            url.searchParams.set('q', quantities.join(';'));
+        if (e.target.id === 'record-settlement-btn') {
+            addSettlement({
+                from: body.querySelector('#settlement-from').value,
+                to: body.querySelector('#settlement-to').value,
+                amount: readNumber(body.querySelector('#settlement-amount').value) || 0
+            });
         }
+    });
 
-        // Tax and tip
-        if (state.tax) url.searchParams.set('tax', state.tax);
-        if (state.tip) url.searchParams.set('tip', state.tip);
-
-        return url.toString();
-    } catch (error) {
-        console.error("Error generating shareable URL:", error);
-        return null;
-    }
+    body.addEventListener('change', (e) => {
+        if (e.target.id !== 'ledger-currency') return;
+        currency = e.target.value;
+        body.innerHTML = renderLedger(currency);
+    });
 }
 
-function copyShareLink() {
-    if (state.people.length === 0 && state.items.length === 0) {
-        showToast('Please add people and items first before sharing.', 'error');
-        return;
+// --- RECEIPT IMPORT ---
+// Receipt text is parsed into a preview the user checks before anything is added.
+function renderReceiptPreview(receipt) {
+    if (receipt.items.length === 0) {
+        return '<p class="text-sm text-red-600">No items found. Each item line needs a price at the end, like "2 x Pad Thai 12.50".</p>';
     }
 
-    const shareURL = generateShareableURL();
-    if (!shareURL) {
-        showToast('Failed to generate share link.', 'error');
-        return;
-    }
+    const rowsHTML = receipt.items.map((item, idx) => `
+        <tr class="border-b ${item.doubtful ? 'bg-amber-50' : ''}" data-receipt-row="${idx}" ${item.doubtful ? 'title="This line may have been misread"' : ''}>
+            <td class="py-1 pr-2"><input type="checkbox" data-receipt-field="include" checked></td>
+            <td class="py-1 pr-2"><input type="text" class="input-field text-sm py-1 px-2" data-receipt-field="name"></td>
+            <td class="py-1 pr-2"><input type="text" inputmode="decimal" class="input-field text-sm py-1 px-2 w-16" data-receipt-field="quantity"></td>
+            <td class="py-1"><input type="text" inputmode="decimal" class="input-field text-sm py-1 px-2 w-24" data-receipt-field="price"></td>
+        </tr>
+    `).join('');
 
-    navigator.clipboard.writeText(shareURL)
-        .then(() => {
-            showToast('Share link copied to clipboard!', 'success');
-        })
-        .catch((error) => {
-            console.error('Failed to copy link:', error);
-            // Fallback: show the URL in a prompt
-            prompt('Copy this link to share:', shareURL);
-        });
+    const itemsTotal = receipt.items.reduce((sum, item) => sum + toBillMinor(item.price), 0);
+    const subtotalNote = receipt.subtotal !== null && toBillMinor(receipt.subtotal) !== itemsTotal ? `
+        <p class="mt-2 text-xs text-amber-700">
+            The items add up to ${formatSignedMinor(itemsTotal)} but the receipt's subtotal is ${formatSignedMinor(toBillMinor(receipt.subtotal))}. Check for missed or misread lines.
+        </p>
+    ` : '';
+    const doubtfulNote = receipt.items.some(item => item.doubtful) ? `
+        <p class="mt-2 text-xs text-amber-700">Highlighted rows may have been misread. Check them against the receipt.</p>
+    ` : '';
+    const ignoredNote = receipt.ignored.length > 0 ? `
+        <details class="mt-2 text-xs text-gray-500">
+            <summary class="cursor-pointer">Skipped ${receipt.ignored.length} ${receipt.ignored.length === 1 ? 'line' : 'lines'} without a price</summary>
+            <ul class="mt-1 font-mono" data-receipt-ignored></ul>
+        </details>
+    ` : '';
+
+    // Tax becomes the default rate (as a share of the subtotal), tip a fixed amount
+    const taxBase = receipt.subtotal !== null ? toBillMinor(receipt.subtotal) : itemsTotal;
+    const taxPercent = receipt.tax !== null && taxBase > 0 ? Math.round(toBillMinor(receipt.tax) / taxBase * 100000) / 1000 : null;
+    const summaryHTML = [
+        taxPercent !== null ? `
+            <label class="flex items-center gap-2 text-sm">
+                <input type="checkbox" data-receipt-tax="${taxPercent}" checked>
+                Set the default tax to ${formatPercent(taxPercent)} (${formatSignedMinor(toBillMinor(receipt.tax))} on the receipt)
+            </label>
+        ` : '',
+        receipt.tip !== null && receipt.tip > 0 ? `
+            <label class="flex items-center gap-2 text-sm">
+                <input type="checkbox" data-receipt-tip="${receipt.tip}" checked>
+                Set a fixed tip of ${formatSignedMinor(toBillMinor(receipt.tip))}
+            </label>
+        ` : ''
+    ].join('');
+
+    return `
+        <table class="w-full text-left">
+            <thead>
+                <tr class="text-xs text-gray-500">
+                    <th class="pr-2">Add</th>
+                    <th class="pr-2">Item</th>
+                    <th class="pr-2">Qty</th>
+                    <th>Price</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+        ${doubtfulNote}
+        ${subtotalNote}
+        ${ignoredNote}
+        ${summaryHTML ? `<div class="mt-4 space-y-1">${summaryHTML}</div>` : ''}
+        <div class="mt-4 flex justify-end">
+            <button id="add-receipt-items-btn" class="btn btn-primary">Add Items</button>
+        </div>
+    `;
 }
 
-function loadStateFromURL() {
-    try {
-        const urlParams = new URLSearchParams(window.location.search);
+// `lines` are lines read from a photo ([{ text, confidence }]), shown for review.
+function showImportReceiptModal(lines = null) {
+    const content = `
+        <p class="mb-4 text-gray-600">Paste the text of a receipt, one line per item, like "2 x Pad Thai 12.50" or "Burger ..... 9.99".</p>
+        <textarea id="receipt-textarea" class="w-full h-48 p-3 border rounded-lg font-mono text-sm" placeholder="Paste receipt text here..."></textarea>
+        <div class="mt-4 flex gap-2 justify-end">
+            <button id="parse-receipt-btn" class="btn bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg">Read Receipt</button>
+        </div>
+        <div id="receipt-preview" class="mt-6"></div>
+    `;
 
-        // Check for old base64 format first (backwards compatibility)
-        const oldData = urlParams.get('data');
-        if (oldData) {
-            const decompressed = JSON.parse(decodeURIComponent(atob(oldData)));
-            return decompressed;
-        }
+    const modal = createModal('Import Receipt', content);
+    const textarea = modal.querySelector('#receipt-textarea');
+    const preview = modal.querySelector('#receipt-preview');
+    textarea.focus();
 
-        // Check for new readable format
-        const peopleParam = urlParams.get('p');
-        const itemsParam = urlParams.get('i');
+    const showPreview = (receipt) => {
+        preview.innerHTML = renderReceiptPreview(receipt);
 
-        if (!peopleParam && !itemsParam) {
-            return null; // No data in URL
-        }
+        // Values are set here so names with quotes stay intact
+        receipt.items.forEach((item, idx) => {
+            const row = preview.querySelector(`[data-receipt-row="${idx}"]`);
+            row.querySelector('[data-receipt-field="name"]').value = item.name;
+            row.querySelector('[data-receipt-field="quantity"]').value = inputNumber(item.quantity);
+            row.querySelector('[data-receipt-field="price"]').value = inputNumber(item.price);
+        });
+        preview.querySelector('[data-receipt-ignored]')?.append(...receipt.ignored.map(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            return li;
+        }));
+    };
 
-        const newState = {
-            people: [],
-            items: [],
-            nextPersonId: 0,
-            nextItemId: 0,
-            tax: parseFloat(urlParams.get('tax')) || 0,
-            tip: parseFloat(urlParams.get('tip')) || 10
-        };
+    modal.querySelector('#parse-receipt-btn').addEventListener('click', () => showPreview(parseReceiptText(textarea.value)));
+    if (lines) {
+        textarea.value = lines.map(line => line.text).join('\n');
+        showPreview(parseReceiptText(lines));
+    }
 
-        // Parse people
-        if (peopleParam) {
-            newState.people = peopleParam.split(',').map((name, idx) => ({
-                id: idx,
-                name: name.trim()
+    preview.addEventListener('click', (e) => {
+        if (e.target.id !== 'add-receipt-items-btn') return;
+
+        const rows = [...preview.querySelectorAll('[data-receipt-row]')]
+            .filter(row => row.querySelector('[data-receipt-field="include"]').checked)
+            .map(row => ({
+                name: row.querySelector('[data-receipt-field="name"]').value.trim(),
+                quantity: readNumber(row.querySelector('[data-receipt-field="quantity"]').value),
+                price: readNumber(row.querySelector('[data-receipt-field="price"]').value)
             }));
-            newState.nextPersonId = newState.people.length;
+        if (rows.some(row => !row.name || isNaN(row.price) || row.price === 0)) {
+            showToast('Every item needs a name and a price.', 'error');
+            return;
         }
-
-        // Parse items
-        if (itemsParam) {
-            newState.items = itemsParam.split(';').map((itemStr, idx) => {
-                const [name, price] = itemStr.split(':');
-                return {
-                    id: idx,
-                    name: name.trim(),
-                    price: parseFloat(price) || 0,
-                    personQuantities: {}
-                };
-            });
-            newState.nextItemId = newState.items.length;
+        if (rows.some(row => !(row.quantity > 0))) {
+            showToast('Every item needs a quantity above zero.', 'error');
+            return;
         }
 
-        // Parse quantities
-        const quantitiesParam = urlParams.get('q');
-        if (quantitiesParam && newState.items.length > 0 && newState.people.length > 0) {
-            quantitiesParam.split(';').forEach(qtyStr => {
-                const [indices, qty] = qtyStr.split(':');
-                const [itemIdx, personIdx] = indices.split('-').map(Number);
+        const taxInput = preview.querySelector('[data-receipt-tax]');
+        const tipInput = preview.querySelector('[data-receipt-tip]');
+        const tax = taxInput?.checked ? parseFloat(taxInput.dataset.receiptTax) : null;
+        const tip = tipInput?.checked ? parseFloat(tipInput.dataset.receiptTip) : null;
+        if (rows.length === 0 && tax === null && tip === null) {
+            showToast('Nothing selected to add.', 'error');
+            return;
+        }
 
-                if (newState.items[itemIdx] && newState.people[personIdx]) {
-                    const personId = newState.people[personIdx].id;
-                    newState.items[itemIdx].personQuantities[personId] = parseFloat(qty);
+        commitChange(`Import ${rows.length} ${rows.length === 1 ? 'item' : 'items'} from a receipt`, () => {
+            rows.forEach(row => {
+                // Names stay unique, like items added by hand
+                let name = row.name;
+                for (let n = 2; state.items.some(i => i.name.toLowerCase() === name.toLowerCase()); n++) {
+                    name = `${row.name} (${n})`;
                 }
+                const item = { id: state.nextItemId++, name, price: row.price, personQuantities: {} };
+                if (row.quantity > 1) item.receiptQuantity = row.quantity; // Units to hand out
+                state.items.push(item);
             });
-        }
+            if (tax !== null) state.tax = tax;
+            if (tip !== null) {
+                state.tipMode = 'fixed';
+                state.tipAmount = tip;
+            }
+        });
 
-        return newState;
-    } catch (error) {
-        console.error("Error loading from URL:", error);
-        showToast('Error loading data from URL.', 'error');
-    }
-    return null;
+        syncConfigInputs();
+        render();
+        saveState();
+        showToast(`Added ${rows.length} ${rows.length === 1 ? 'item' : 'items'} from the receipt.`, 'success');
+        modal.remove();
+    });
 }
 
-function loadState() {
-    try {
-        // Check both URL and localStorage
-        const urlState = loadStateFromURL();
-        const saved = localStorage.getItem('lunchSplitterState');
-        const localStorageState = saved ? JSON.parse(saved) : null;
-
-        let loadedState = null;
-        let fromURL = false;
-
-        // If both exist, ask user which to use
-        if (urlState && localStorageState) {
-            const useURLData = confirm(
-                'You have both shared link data and saved data.\n\n' +
-                'Click OK to load data from the shared link (this will overwrite your saved data).\n' +
-                'Click Cancel to keep your current saved data.'
-            );
-
-            if (useURLData) {
-                loadedState = urlState;
-                fromURL = true;
-            } else {
-                loadedState = localStorageState;
-                // Clear URL params since user chose to keep localStorage
-                window.history.replaceState({}, '', window.location.pathname);
-            }
-        } else if (urlState) {
-            loadedState = urlState;
-            fromURL = true;
-        } else if (localStorageState) {
-            loadedState = localStorageState;
-        }
-
-        if (loadedState) {
-            // Migrate old formats to new format (personQuantities)
-            const migratedItems = (loadedState.items || []).map(item => {
-                // Migrate from sharedBy (checkbox format) to personQuantities
-                if (item.sharedBy && !item.personQuantities && !item.personAmounts) {
-                    const personQuantities = {};
-                    item.sharedBy.forEach(personId => {
-                        personQuantities[personId] = 1; // 1 quantity each
-                    });
-                    return { ...item, personQuantities, sharedBy: undefined };
-                }
-                // Migrate from personAmounts (amount format) to personQuantities
-                if (item.personAmounts && !item.personQuantities) {
-                    const personQuantities = {};
-                    // For backwards compatibility, assume equal quantities if amounts were equal
-                    const amounts = Object.values(item.personAmounts);
-                    const allEqualAmounts = amounts.length > 0 && amounts.every(amt => Math.abs(amt - amounts[0]) < 0.01);
-                    
-                    if (allEqualAmounts) {
-                        Object.keys(item.personAmounts).forEach(personId => {
-                            personQuantities[personId] = 1;
-                        });
-                    } else {
-                        // Convert amounts to quantities (this is approximate)
-                        const totalAmount = amounts.reduce((sum, amt) => sum + amt, 0);
-                        Object.entries(item.personAmounts).forEach(([personId, amount]) => {
-                            personQuantities[personId] = totalAmount > 0 ? (amount / totalAmount) * amounts.length : 1;
-                        });
-                    }
-                    return { ...item, personQuantities, personAmounts: undefined };
-                }
-                return item;
-            });
+// --- RECEIPT PHOTOS ---
+// Text is read on the device by Tesseract, compiled to WebAssembly and served
+// with its English model from vendor/tesseract; the photo is never uploaded.
+const OCR_PATH = 'vendor/tesseract/';
+let ocrWorker = null; // Started by the first scan and kept for the next ones
+
+function startOCRWorker() {
+    const base = new URL(OCR_PATH, document.baseURI).href;
+    // The SIMD build is faster; browsers without WebAssembly SIMD get the plain one
+    const simd = WebAssembly.validate(new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11]));
+    return Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+        workerPath: `${base}worker.min.js`,
+        workerBlobURL: false,
+        corePath: `${base}${simd ? 'tesseract-core-simd-lstm.wasm.js' : 'tesseract-core-lstm.wasm.js'}`,
+        langPath: base
+    });
+}
 
-            Object.assign(state, {
-                people: loadedState.people || [],
-                items: migratedItems,
-                nextPersonId: loadedState.nextPersonId || 0,
-                nextItemId: loadedState.nextItemId || 0,
-                tax: loadedState.tax !== undefined ? loadedState.tax : 0,
-                tip: loadedState.tip !== undefined ? loadedState.tip : 10,
-                isTransposed: loadedState.isTransposed || false,
-                undoStack: fromURL ? [] : (loadedState.undoStack || []) // Reset undo stack if from URL
-            });
-            
-            // Sync HTML inputs
-            dom.taxInput.value = state.tax;
-            dom.tipInput.value = state.tip;
-
-            // Clear URL params if loaded from URL to keep URL clean
-            if (fromURL) {
-                window.history.replaceState({}, '', window.location.pathname);
-                showToast('Bill loaded from shared link!', 'success');
-            } else {
-                showToast('Data loaded from previous session.', 'info');
-            }
-        }
-    } catch (error) {
-        console.error("Error loading state:", error);
-        showToast('Error loading data.', 'error');
+async function recognizeReceiptLines(file) {
+    if (!ocrWorker) {
+        ocrWorker = startOCRWorker();
+        ocrWorker.catch(() => { ocrWorker = null; }); // Try again on the next scan
     }
+    const worker = await ocrWorker;
+    const { data } = await worker.recognize(file, {}, { blocks: true });
+    return groupTextLines(recognizedWords(data.blocks));
 }
 
-function clearState() {
-    try {
-        localStorage.removeItem('lunchSplitterState');
-        Object.assign(state, {
-            people: [],
-            items: [],
-            nextPersonId: 0,
-            nextItemId: 0,
-            tax: 0,
-            tip: 10,
-            isTransposed: false,
-            undoStack: []
-        });
-
-        dom.personNameInput.value = '';
-        dom.itemNameInput.value = '';
-        dom.itemPriceInput.value = '';
-        dom.taxInput.value = 0;
-        dom.tipInput.value = 10;
-
-        // Clear URL params
-        window.history.replaceState({}, '', window.location.pathname);
+async function handleReceiptPhoto() {
+    const file = dom.receiptPhotoInput.files[0];
+    dom.receiptPhotoInput.value = ''; // The same photo can be picked again
+    if (!file) return;
+    if (typeof Tesseract === 'undefined' || typeof WebAssembly === 'undefined') {
+        showToast('This browser can\'t read text from photos. Paste the receipt text instead.', 'error');
+        return;
+    }
 
-        render();
-        showToast('Data cleared successfully!', 'success');
+    try {
+        dom.scanReceiptBtn.disabled = true;
+        showToast('Reading the receipt...', 'info');
+        const lines = await recognizeReceiptLines(file);
+        if (lines.length === 0) {
+            showToast('No text found in the photo. Try a sharper, well-lit picture.', 'error');
+            return;
+        }
+        showImportReceiptModal(lines);
     } catch (error) {
-        console.error("Error clearing state:", error);
-        showToast('Error clearing data.', 'error');
+        console.error('Error reading receipt photo:', error);
+        showToast('Failed to read the receipt photo.', 'error');
+    } finally {
+        dom.scanReceiptBtn.disabled = false;
     }
 }
 
@@ -990,8 +2842,8 @@ function createModal(title, content, onClose) {
     modal.innerHTML = `
         <div class="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] flex flex-col">
             <div class="flex justify-between items-center p-6 border-b">
-                <h3 class="text-xl font-bold">${title}</h3>
-                <button class="text-gray-500 hover:text-gray-700 text-2xl" onclick="this.closest('.fixed').remove()">×</button>
+                <h3 class="text-xl font-bold">${escapeHTML(title)}</h3>
+                <button class="text-gray-500 hover:text-gray-700 text-2xl" data-modal-close>×</button>
             </div>
             <div class="p-6 overflow-auto flex-1">
                 ${content}
@@ -999,6 +2851,8 @@ function createModal(title, content, onClose) {
         </div>
     `;
 
+    modal.querySelector('[data-modal-close]').addEventListener('click', () => modal.remove());
+
     // Close on background click
     modal.addEventListener('click', (e) => {
         if (e.target === modal) {
@@ -1012,12 +2866,40 @@ function createModal(title, content, onClose) {
 }
 
 // --- JSON IMPORT/EXPORT WITH POPUP ---
+// A heading and the list of field problems from `validateImportedState`
+function importErrorsHTML(heading, messages = []) {
+    return `
+        <p class="font-semibold">${escapeHTML(heading)}</p>
+        ${messages.length > 0 ? `<ul class="list-disc ml-5 mt-1 font-mono text-xs">${messages.map(m => `<li>${escapeHTML(m)}</li>`).join('')}</ul>` : ''}
+    `;
+}
+
 function showExportJSONModal() {
+    if (!confirmReconciledExport()) return;
+
     try {
-        const dataStr = JSON.stringify(state, null, 2);
+        // The settle-up transfers are derived data, exported for reading only
+        const settlement = computeSettlement();
+        const nameOf = personId => state.people.find(p => p.id === personId).name;
+        const dataStr = JSON.stringify({
+            ...toExportPayload(state),
+            settleUp: settlement.transfers.map(t => {
+                const converted = convertTransfer(t);
+                return {
+                    from: nameOf(t.from),
+                    to: nameOf(t.to),
+                    amount: t.amount / 10 ** currencyDecimals(state.currency),
+                    currency: state.currency,
+                    ...(converted && converted.minor !== null ? {
+                        settleAmount: converted.minor / 10 ** currencyDecimals(converted.currency),
+                        settleCurrency: converted.currency
+                    } : {})
+                };
+            })
+        }, null, 2);
         const content = `
             <p class="mb-4 text-gray-600">Copy the JSON below to save your data:</p>
-            <textarea id="export-json-textarea" class="w-full h-96 p-3 border rounded-lg font-mono text-sm" readonly>${dataStr}</textarea>
+            <textarea id="export-json-textarea" class="w-full h-96 p-3 border rounded-lg font-mono text-sm" readonly>${escapeHTML(dataStr)}</textarea>
             <div class="mt-4 flex gap-2 justify-end">
                 <button id="copy-json-btn" class="btn bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg">Copy to Clipboard</button>
                 <button id="download-json-btn" class="btn bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg">Download File</button>
@@ -1066,6 +2948,13 @@ function showImportJSONModal() {
     const content = `
         <p class="mb-4 text-gray-600">Paste your JSON data below to import:</p>
         <textarea id="import-json-textarea" class="w-full h-96 p-3 border rounded-lg font-mono text-sm" placeholder="Paste JSON here..."></textarea>
+        <div id="import-json-errors" class="hidden mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 max-h-40 overflow-auto"></div>
+        <div class="mt-3 flex flex-col gap-1 text-sm">
+            <label class="flex items-center gap-2"><input type="radio" name="import-json-mode" value="replace" checked> Replace this bill</label>
+            <label class="flex items-center gap-2" title="People with the same name are taken to be the same person; items whose name is taken get a number">
+                <input type="radio" name="import-json-mode" value="merge"> Merge into this bill
+            </label>
+        </div>
         <div class="mt-4 flex gap-2 justify-end">
             <button id="cancel-import-btn" class="btn bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg">Cancel</button>
             <button id="import-json-btn-modal" class="btn bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg">Import</button>
@@ -1075,8 +2964,14 @@ function showImportJSONModal() {
     const modal = createModal('Import JSON', content);
 
     const textarea = modal.querySelector('#import-json-textarea');
+    const errorsDiv = modal.querySelector('#import-json-errors');
     textarea.focus();
 
+    const showErrors = (heading, messages = []) => {
+        errorsDiv.innerHTML = importErrorsHTML(heading, messages);
+        errorsDiv.classList.remove('hidden');
+    };
+
     // Cancel button
     modal.querySelector('#cancel-import-btn').addEventListener('click', () => {
         modal.remove();
@@ -1084,45 +2979,421 @@ function showImportJSONModal() {
 
     // Import button
     modal.querySelector('#import-json-btn-modal').addEventListener('click', () => {
+        const jsonText = textarea.value.trim();
+        if (!jsonText) {
+            showToast('Please paste JSON data first.', 'error');
+            return;
+        }
+
+        let imported;
         try {
-            const jsonText = textarea.value.trim();
-            if (!jsonText) {
-                showToast('Please paste JSON data first.', 'error');
-                return;
+            imported = linkPeople(library, parseImportedState(jsonText));
+        } catch (error) {
+            console.error('Error importing JSON:', error);
+            if (error instanceof SyntaxError) {
+                showErrors(`This is not valid JSON: ${error.message}`);
+            } else {
+                showErrors('The data does not fit the bill format:', error.errors || [error.message]);
             }
+            return;
+        }
 
-            const imported = JSON.parse(jsonText);
-
-            // Validate the structure
-            if (!imported.people || !imported.items ||
-                typeof imported.nextPersonId !== 'number' ||
-                typeof imported.nextItemId !== 'number') {
-                throw new Error('Invalid data structure');
+        try {
+            if (modal.querySelector('input[name="import-json-mode"]:checked').value === 'merge') {
+                let added;
+                commitChange('Merge JSON', () => {
+                    added = mergeImportedState(state, imported);
+                });
+                showToast(`Merged ${added.items} item${added.items === 1 ? '' : 's'} and ${added.people} new ${added.people === 1 ? 'person' : 'people'}.`, 'success');
+            } else {
+                commitChange('Import JSON', () => {
+                    Object.assign(state, imported);
+                });
+                showToast('Data imported successfully!', 'success');
             }
 
-            // Merge the imported data into state
-            Object.assign(state, {
-                people: imported.people || [],
-                items: imported.items || [],
-                nextPersonId: imported.nextPersonId || 0,
-                nextItemId: imported.nextItemId || 0,
-                tax: imported.tax !== undefined ? imported.tax : 0,
-                tip: imported.tip !== undefined ? imported.tip : 10,
-                isTransposed: imported.isTransposed || false,
-                undoStack: [] // Reset undo stack on import
-            });
-
             // Update UI
-            dom.taxInput.value = state.tax;
-            dom.tipInput.value = state.tip;
+            syncConfigInputs();
 
             render();
             saveState();
-            showToast('Data imported successfully!', 'success');
             modal.remove();
         } catch (error) {
             console.error('Error importing JSON:', error);
-            showToast('Failed to import data. Please check the JSON format.', 'error');
+            showErrors(error.message);
+        }
+    });
+}
+
+// --- PERSONAL RECEIPTS ---
+function activeStatement(personId) {
+    const bill = getActiveBill(library) || {};
+    return personStatement(computeSplit(state), personId, {
+        title: bill.title,
+        date: bill.date,
+        restaurant: bill.restaurant,
+        paid: toBillMinor(state.payments[personId] || 0)
+    });
+}
+
+function renderPersonReceipt(statement) {
+    const row = (label, minor, className = '') =>
+        `<tr class="${className}"><td>${escapeHTML(label)}</td><td class="text-right">${formatSignedMinor(minor)}</td></tr>`;
+    const detail = line => {
+        if (line.unit !== null && line.quantity !== 1) return `${line.quantity} × ${formatSignedMinor(line.unit)}`;
+        if (line.mode === 'percent') return `${formatPercent(line.quantity)} of the item`;
+        return '';
+    };
+    const balance = statement.paid - statement.total;
+
+    return `
+        <div class="person-receipt max-w-sm mx-auto font-mono text-sm">
+            <div class="text-center">
+                <p class="font-bold text-base">${escapeHTML(statement.title || 'Receipt')}</p>
+                ${statement.restaurant ? `<p>${escapeHTML(statement.restaurant)}</p>` : ''}
+                ${statement.date ? `<p>${escapeHTML(statement.date)}</p>` : ''}
+            </div>
+            <p class="mt-3 pb-1 border-b border-dashed border-gray-400 font-semibold">For: ${escapeHTML(statement.name)}</p>
+            <table>
+                <tbody>
+                    ${statement.lines.map(line => `
+                        <tr>
+                            <td>${escapeHTML(line.name)}${detail(line) ? `<br><span class="text-xs text-gray-600">${detail(line)}</span>` : ''}</td>
+                            <td class="text-right align-top">${formatSignedMinor(line.amount)}</td>
+                        </tr>
+                    `).join('') || '<tr><td class="text-gray-500">No items</td><td></td></tr>'}
+                    ${row('Subtotal', statement.subtotal, 'receipt-rule')}
+                    ${row('Tax', statement.tax)}
+                    ${row('Tip', statement.tip)}
+                    ${statement.adjustments.map(adjustment => row(adjustment.name, adjustment.amount)).join('')}
+                    ${row('Total', statement.total, 'receipt-rule font-bold text-base')}
+                    ${statement.paid > 0 ? row('Paid', statement.paid) : ''}
+                    ${statement.paid > 0 && balance !== 0 ? row(balance > 0 ? 'To get back' : 'Still to pay', Math.abs(balance), 'font-semibold') : ''}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Prints only the receipt: the print stylesheet hides everything else while
+// body has the printing-receipt class.
+function printPersonReceipt(statement) {
+    document.getElementById('print-area')?.remove();
+    const printArea = document.createElement('div');
+    printArea.id = 'print-area';
+    printArea.innerHTML = renderPersonReceipt(statement);
+    document.body.appendChild(printArea);
+    document.body.classList.add('printing-receipt');
+
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing-receipt');
+        printArea.remove();
+    }, { once: true });
+    window.print();
+}
+
+function showPersonReceiptModal(personId) {
+    const statement = activeStatement(personId);
+    if (!statement) return;
+
+    const content = `
+        ${renderPersonReceipt(statement)}
+        <div class="mt-6 flex gap-2 justify-end">
+            <button id="print-receipt-btn" class="btn bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg">Print</button>
+            <button id="download-receipt-pdf-btn" class="btn bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg">Download PDF</button>
+        </div>
+    `;
+    const modal = createModal(`Receipt for ${statement.name}`, content);
+
+    modal.querySelector('#print-receipt-btn').addEventListener('click', () => printPersonReceipt(statement));
+    modal.querySelector('#download-receipt-pdf-btn').addEventListener('click', () => {
+        try {
+            const pdf = statementPDF(statementLines(statement, minor => formatPlainMinor(minor, statement.decimals)));
+            const slug = `${statement.name}-${statement.date}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            downloadFile(pdf, 'application/pdf', `receipt-${slug || 'lunch'}.pdf`);
+            showToast('Receipt PDF downloaded!', 'success');
+        } catch (error) {
+            console.error('Error creating receipt PDF:', error);
+            showToast('Failed to create the receipt PDF.', 'error');
+        }
+    });
+}
+
+// --- PAYMENT REQUESTS ---
+// What the payer of `transfer` sends: { amount, currency, decimals } in the
+// currency they settle in, or null while its exchange rate is missing.
+function transferPayment(transfer) {
+    const converted = convertTransfer(transfer);
+    if (!converted) return { amount: transfer.amount, currency: state.currency, decimals: currencyDecimals(state.currency) };
+    if (converted.minor === null) return null;
+    return { amount: converted.minor, currency: converted.currency, decimals: currencyDecimals(converted.currency) };
+}
+
+// One settle-up transfer as a request to pay, with its link (or bank payload)
+// and QR code, or what is missing to make one.
+function renderPaymentRequest(transfer, paymentTemplate) {
+    const payer = state.people.find(p => p.id === transfer.from);
+    const payee = state.people.find(p => p.id === transfer.to);
+    const payment = transferPayment(transfer);
+    const amountHTML = payment ? formatSignedMinor(payment.amount, payment.currency) : formatSignedMinor(transfer.amount);
+    const title = `<p class="font-medium">${escapeHTML(payer.name)} pays ${escapeHTML(payee.name)} ${amountHTML}</p>`;
+    const note = text => `<p class="text-xs text-amber-700">${text}</p>`;
+
+    if (!payee.paymentHandle) {
+        return `
+            <div class="p-3 bg-white rounded-lg">
+                ${title}
+                <input type="text" class="input-field py-1 mt-1 w-56 text-sm" placeholder="${escapeHTML(payee.name)}'s payment handle"
+                       data-action="payment-handle" data-person="${escapeHTML(payee.id)}" data-html2canvas-ignore>
+            </div>
+        `;
+    }
+    if (!payment) return `<div class="p-3 bg-white rounded-lg">${title}${note(`Set the ${escapeHTML(convertTransfer(transfer).currency)} rate under "Who Paid".`)}</div>`;
+    if (!acceptsCurrency(paymentTemplate, payment.currency)) {
+        return `<div class="p-3 bg-white rounded-lg">${title}${note(`${escapeHTML(paymentTemplate.name)} only takes ${escapeHTML(paymentTemplate.currencies.join(', '))}.`)}</div>`;
+    }
+
+    const bill = getActiveBill(library) || {};
+    const request = fillPaymentTemplate(paymentTemplate.template, {
+        ...payment,
+        handle: payee.paymentHandle,
+        payee: payee.name,
+        payer: payer.name,
+        note: [bill.title, bill.date].filter(Boolean).join(' ')
+    });
+
+    let qrHTML;
+    try {
+        const svg = qrSVG(encodeQR(request));
+        qrHTML = `<img class="w-32 h-32" src="data:image/svg+xml,${encodeURIComponent(svg)}" alt="QR code for ${escapeHTML(payer.name)} to pay ${escapeHTML(payee.name)}">`;
+    } catch (error) {
+        console.error('Error drawing payment QR code:', error);
+        qrHTML = note('Too long for a QR code.');
+    }
+    const requestHTML = isPaymentLink(request)
+        ? `<a href="${escapeHTML(request)}" class="text-sm text-blue-600 hover:underline break-all" target="_blank" rel="noopener noreferrer">${escapeHTML(request)}</a>`
+        : `<pre class="text-xs text-gray-600 whitespace-pre-wrap break-all">${escapeHTML(request)}</pre>`;
+
+    return `
+        <div class="p-3 bg-white rounded-lg flex flex-wrap items-center gap-4">
+            ${qrHTML}
+            <div class="flex-1 min-w-0">
+                ${title}
+                <div class="mt-1">${requestHTML}</div>
+                <button class="mt-2 text-xs bg-white border border-gray-300 rounded px-2 py-1 hover:bg-gray-50" data-action="copy-payment-request" data-request="${escapeHTML(request)}" data-html2canvas-ignore>Copy</button>
+            </div>
+        </div>
+    `;
+}
+
+// A request per settle-up transfer in the chosen template. The exported image
+// leaves the card out unless its QR codes were asked for.
+function renderPaymentRequests(transfers) {
+    const paymentTemplate = findPaymentTemplate(library, library.paymentTemplateId);
+    const options = listPaymentTemplates(library).map(t =>
+        `<option value="${escapeHTML(t.id)}" ${t === paymentTemplate ? 'selected' : ''}>${escapeHTML(t.name)}</option>`
+    ).join('');
+
+    return `
+        <div class="mt-6 p-4 bg-gray-100 rounded-lg w-full" ${library.paymentQRInImage ? '' : 'data-html2canvas-ignore'}>
+            <h3 class="font-bold text-lg">Payment Requests</h3>
+            <div class="mt-2 flex flex-wrap items-center gap-2 text-sm" data-html2canvas-ignore>
+                <select class="input-field py-1 w-auto" title="How people pay" data-action="payment-template">
+                    <option value="" ${paymentTemplate ? '' : 'selected'}>Choose how to pay…</option>
+                    ${options}
+                </select>
+                <button class="text-sm bg-white border border-gray-300 rounded px-3 py-1 hover:bg-gray-50" data-action="manage-payment-templates">Templates…</button>
+                <label class="flex items-center gap-1">
+                    <input type="checkbox" ${library.paymentQRInImage ? 'checked' : ''} data-action="payment-qr-in-image"> Include QR codes in the exported image
+                </label>
+            </div>
+            <div class="mt-3 space-y-2">
+                ${paymentTemplate
+                    ? transfers.map(t => renderPaymentRequest(t, paymentTemplate)).join('')
+                    : '<p class="text-sm text-gray-500">Choose a payment app or your own template to get a link and QR code for each payment.</p>'}
+            </div>
+        </div>
+    `;
+}
+
+function setPaymentTemplate(templateId) {
+    const paymentTemplate = findPaymentTemplate(library, templateId);
+    library.paymentTemplateId = paymentTemplate ? paymentTemplate.id : null;
+    calculateAndRenderSplit();
+    saveState();
+}
+
+function setPaymentQRInImage(include) {
+    library.paymentQRInImage = include;
+    calculateAndRenderSplit();
+    saveState();
+}
+
+function setPaymentHandle(personId, handle) {
+    const person = state.people.find(p => p.id === personId);
+    if (!person || !handle.trim()) return;
+
+    commitChange(`Set ${person.name}'s payment handle`, () => {
+        person.paymentHandle = handle.trim();
+    });
+    calculateAndRenderSplit();
+    saveState();
+}
+
+function copyPaymentRequest(request) {
+    navigator.clipboard.writeText(request)
+        .then(() => showToast('Payment request copied to clipboard!', 'success'))
+        .catch((error) => {
+            console.error('Failed to copy payment request:', error);
+            showToast('Failed to copy to clipboard.', 'error');
+        });
+}
+
+function renderPaymentTemplates() {
+    const presetsHTML = listPaymentTemplates(library).filter(t => typeof t.id === 'string').map(t => `
+        <div class="p-3 border border-gray-200 rounded-lg">
+            <span class="font-medium">${escapeHTML(t.name)}</span>
+            ${t.currencies ? `<span class="text-xs text-gray-500">(${escapeHTML(t.currencies.join(', '))} only)</span>` : ''}
+            <pre class="mt-1 text-xs text-gray-600 whitespace-pre-wrap break-all">${escapeHTML(t.template)}</pre>
+        </div>
+    `).join('');
+
+    const customHTML = library.paymentTemplates.map(t => `
+        <div class="p-3 border border-gray-200 rounded-lg">
+            <div class="flex items-center gap-2">
+                <input type="text" class="input-field py-1 flex-1" value="${escapeHTML(t.name)}" data-template-field="name" data-template-id="${t.id}">
+                <button class="text-red-500 hover:text-red-700 font-bold" title="Delete this template" data-template-remove="${t.id}">&times;</button>
+            </div>
+            <textarea class="mt-2 w-full p-2 border rounded-lg font-mono text-xs" rows="2" data-template-field="template" data-template-id="${t.id}">${escapeHTML(t.template)}</textarea>
+        </div>
+    `).join('');
+
+    return `
+        <p class="mb-4 text-gray-600">
+            A template is a pay link or a bank QR payload. These placeholders are filled in for each payment:
+            ${PLACEHOLDERS.map(name => `<code>{${name}}</code>`).join(' ')}.
+            <code>{handle}</code> is the payee's payment handle, <code>{note}</code> the bill's title and date.
+        </p>
+        <h4 class="font-semibold mb-2">Your Templates</h4>
+        <div class="space-y-2">${customHTML || '<p class="text-gray-500 text-sm">None yet.</p>'}</div>
+        <div class="mt-2 flex flex-col gap-2">
+            <input type="text" id="payment-template-name" class="input-field py-1" placeholder="Name (e.g. Bank app)">
+            <textarea id="payment-template-text" class="w-full p-2 border rounded-lg font-mono text-xs" rows="2" placeholder="https://pay.example.com/{handle}?amount={amount}&currency={currency}"></textarea>
+            <button id="payment-template-add-btn" class="btn btn-secondary py-1 self-end">Add Template</button>
+        </div>
+        <h4 class="font-semibold mt-6 mb-2">Built In</h4>
+        <div class="space-y-2">${presetsHTML}</div>
+    `;
+}
+
+function showPaymentTemplatesModal() {
+    const modal = createModal('Payment Templates', '<div id="payment-templates-body"></div>');
+    const body = modal.querySelector('#payment-templates-body');
+    body.innerHTML = renderPaymentTemplates();
+
+    const refresh = () => {
+        saveState();
+        body.innerHTML = renderPaymentTemplates();
+        calculateAndRenderSplit();
+    };
+
+    body.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('[data-template-remove]');
+        if (removeBtn) {
+            removePaymentTemplate(library, parseInt(removeBtn.dataset.templateRemove));
+            refresh();
+            return;
+        }
+
+        if (e.target.id === 'payment-template-add-btn') {
+            try {
+                const added = savePaymentTemplate(library, {
+                    name: body.querySelector('#payment-template-name').value,
+                    template: body.querySelector('#payment-template-text').value
+                });
+                library.paymentTemplateId = added.id;
+                showToast(`${added.name} added.`, 'success');
+                refresh();
+            } catch (error) {
+                showToast(error.message, 'error');
+            }
+        }
+    });
+
+    body.addEventListener('change', (e) => {
+        const saved = library.paymentTemplates.find(t => t.id === parseInt(e.target.dataset.templateId));
+        if (!saved) return;
+
+        try {
+            savePaymentTemplate(library, { ...saved, [e.target.dataset.templateField]: e.target.value });
+            refresh();
+        } catch (error) {
+            showToast(error.message, 'error');
+            e.target.value = saved[e.target.dataset.templateField];
+        }
+    });
+}
+
+// --- SPREADSHEET EXPORT ---
+function downloadFile(data, type, filename) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// CSV of one table layout, or an XLSX workbook with both (the chosen one first)
+function showExportSheetModal() {
+    if (state.people.length === 0) {
+        showToast('Please add people and items first before exporting.', 'error');
+        return;
+    }
+    if (!confirmReconciledExport()) return;
+
+    const content = `
+        <p class="mb-4 text-gray-600">Download the split table with the amounts shown on screen, in ${escapeHTML(state.currency)}.</p>
+        <div class="flex flex-col gap-1 text-sm mb-2">
+            <label class="flex items-center gap-2"><input type="radio" name="sheet-layout" value="items" ${state.isTransposed ? '' : 'checked'}> Items × people</label>
+            <label class="flex items-center gap-2"><input type="radio" name="sheet-layout" value="people" ${state.isTransposed ? 'checked' : ''}> People × items, with subtotal, tax, tip and total columns</label>
+        </div>
+        <p class="text-xs text-gray-500">The XLSX workbook has both layouts, the chosen one on the first sheet.</p>
+        <div class="mt-4 flex gap-2 justify-end">
+            <button id="download-csv-btn" class="btn bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg">Download CSV</button>
+            <button id="download-xlsx-btn" class="btn bg-green-700 hover:bg-green-800 text-white px-4 py-2 rounded-lg">Download XLSX</button>
+        </div>
+    `;
+
+    const modal = createModal('Export Spreadsheet', content);
+    const filename = `lunch-split-${new Date().toISOString().slice(0, 10)}`;
+    const layouts = () => {
+        const split = computeSplit(state);
+        const transposed = modal.querySelector('input[name="sheet-layout"]:checked').value === 'people';
+        return { decimals: split.decimals, sheets: [splitSheet(split, transposed), splitSheet(split, !transposed)] };
+    };
+
+    modal.querySelector('#download-csv-btn').addEventListener('click', () => {
+        try {
+            const { decimals, sheets } = layouts();
+            downloadFile('\ufeff' + toCSV(sheets[0].rows, decimals, ui.locale), 'text/csv;charset=utf-8', `${filename}.csv`); // The BOM tells Excel it is UTF-8
+            showToast('CSV file downloaded!', 'success');
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            showToast('Failed to export CSV.', 'error');
+        }
+    });
+
+    modal.querySelector('#download-xlsx-btn').addEventListener('click', () => {
+        try {
+            const { decimals, sheets } = layouts();
+            downloadFile(toXLSX(sheets, decimals), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', `${filename}.xlsx`);
+            showToast('XLSX file downloaded!', 'success');
+        } catch (error) {
+            console.error('Error exporting XLSX:', error);
+            showToast('Failed to export XLSX.', 'error');
         }
     });
 }
@@ -1134,6 +3405,7 @@ async function exportSummaryAsImage() {
             showToast('Please add people and items first before exporting.', 'error');
             return;
         }
+        if (!confirmReconciledExport()) return;
 
         // Handle overflow containers
         const overflowContainers = cardElement.querySelectorAll('.overflow-x-auto');
@@ -1148,16 +3420,18 @@ async function exportSummaryAsImage() {
         await new Promise(resolve => setTimeout(resolve, 100));
 
         // Match widths for better export
-        const summaryCard = cardElement.querySelector('.bg-gray-100');
+        const summaryCards = cardElement.querySelectorAll('.bg-gray-100');
         const table = cardElement.querySelector('table');
-        let originalSummaryWidth = null;
-        
-        if (summaryCard && table) {
-            originalSummaryWidth = summaryCard.style.width;
+        const originalSummaryWidths = [];
+
+        if (table) {
             const tableWidth = table.scrollWidth;
-            summaryCard.style.width = tableWidth + 'px';
-            summaryCard.style.minWidth = tableWidth + 'px';
-            summaryCard.style.maxWidth = tableWidth + 'px';
+            summaryCards.forEach((summaryCard, index) => {
+                originalSummaryWidths[index] = summaryCard.style.width;
+                summaryCard.style.width = tableWidth + 'px';
+                summaryCard.style.minWidth = tableWidth + 'px';
+                summaryCard.style.maxWidth = tableWidth + 'px';
+            });
         }
 
         const canvas = await html2canvas(cardElement, {
@@ -1181,11 +3455,11 @@ async function exportSummaryAsImage() {
             container.style.width = '';
         });
         
-        if (summaryCard) {
-            summaryCard.style.width = originalSummaryWidth || '';
+        summaryCards.forEach((summaryCard, index) => {
+            summaryCard.style.width = originalSummaryWidths[index] || '';
             summaryCard.style.minWidth = '';
             summaryCard.style.maxWidth = '';
-        }
+        });
 
         // Download
         const link = document.createElement('a');
@@ -0,0 +1,59 @@
+// --- SETTLE UP ---
+// DOM-free helpers that turn what everybody paid and owes into transfers.
+// Loaded with a <script> tag it defines `window.LunchSettle`; under Node it is
+// a CommonJS module. All amounts are in minor units.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./split.js'));
+    } else {
+        root.LunchSettle = factory(root.LunchSplit);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LunchSplit) {
+    'use strict';
+
+    const { toMinor } = LunchSplit;
+
+    // What each person paid against their share of the split.
+    // Returns [{ id, name, paid, owes, balance }]; a positive balance is owed money.
+    function computeBalances(split, payments = {}) {
+        return split.people.map(person => {
+            const paid = toMinor(payments[person.id], split.decimals);
+            return { id: person.id, name: person.name, paid, owes: person.total, balance: paid - person.total };
+        });
+    }
+
+    // Settles `balances` ([{ id, balance }]) with as few transfers as it can find:
+    // people whose balances cancel exactly pay each other first, then the largest
+    // debtor pays the largest creditor until everyone is even. That never takes
+    // more than one transfer fewer than the number of people involved.
+    // Returns [{ from, to, amount }] using the balances' ids.
+    function settleUp(balances) {
+        const debtors = balances.filter(b => b.balance < 0).map(b => ({ id: b.id, amount: -b.balance }));
+        const creditors = balances.filter(b => b.balance > 0).map(b => ({ id: b.id, amount: b.balance }));
+        const transfers = [];
+        const pay = (debtor, creditor, amount) => {
+            transfers.push({ from: debtor.id, to: creditor.id, amount });
+            debtor.amount -= amount;
+            creditor.amount -= amount;
+        };
+
+        debtors.forEach(debtor => {
+            const match = creditors.find(creditor => creditor.amount === debtor.amount);
+            if (match) pay(debtor, match, debtor.amount);
+        });
+
+        for (;;) {
+            const debtor = debtors.reduce((best, d) => (d.amount > (best ? best.amount : 0) ? d : best), null);
+            const creditor = creditors.reduce((best, c) => (c.amount > (best ? best.amount : 0) ? c : best), null);
+            if (!debtor || !creditor) break;
+            pay(debtor, creditor, Math.min(debtor.amount, creditor.amount));
+        }
+
+        return transfers;
+    }
+
+    return {
+        computeBalances,
+        settleUp
+    };
+});
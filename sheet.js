@@ -0,0 +1,246 @@
+// --- SPREADSHEET EXPORT ---
+// DOM-free helpers that lay the split out as the two tables the page shows
+// (items × people, and people × items with the summary columns) and write
+// them as CSV or as a small XLSX workbook. Loaded with a <script> tag it
+// defines `window.LunchSheet`; under Node it is a CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./locale.js'));
+    } else {
+        root.LunchSheet = factory(root.LunchLocale);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LunchLocale) {
+    'use strict';
+
+    const { decimalSeparator, formatNumber } = LunchLocale;
+
+    // --- TABLES ---
+    // The per-person figures, in the order of the results table
+    function summaryFields(split) {
+        return [
+            { label: 'Subtotal', amount: person => person.subtotal },
+            { label: 'Tax', amount: person => person.tax },
+            { label: 'Tip', amount: person => person.tip },
+            ...split.adjustments.map(adjustment => ({ label: adjustment.name, amount: person => person.adjustments[adjustment.id] || 0 })),
+            { label: 'Total', amount: person => person.total }
+        ];
+    }
+
+    // One layout of a computeSplit() result as { name, rows, boldRows }. Cells
+    // are text, amounts in major units (12.5 for $12.50), or '' when empty.
+    // `transposed` gives people as rows, like the Transpose Table view.
+    function splitSheet(split, transposed = false) {
+        const money = minor => minor / 10 ** split.decimals;
+        const shareOf = (item, person) => item.shares[person.id] ? money(item.shares[person.id].amount) : '';
+        const fields = summaryFields(split);
+
+        if (transposed) {
+            const rows = [
+                ['Person', ...split.items.map(item => item.name), ...fields.map(field => field.label)],
+                ['Price', ...split.items.map(item => money(item.price)), ...fields.map(() => '')],
+                ...split.people.map(person => [
+                    person.name,
+                    ...split.items.map(item => shareOf(item, person)),
+                    ...fields.map(field => money(field.amount(person)))
+                ]),
+                ['Item Total', ...split.items.map(item => money(item.allocated)), money(split.bill.subtotal), ...fields.slice(1).map(() => '')]
+            ];
+            return { name: 'People by item', rows, boldRows: [0, rows.length - 1] };
+        }
+
+        const rows = [
+            ['Item', 'Price', ...split.people.map(person => person.name), 'Item Total'],
+            ...split.items.map(item => [
+                item.name,
+                money(item.price),
+                ...split.people.map(person => shareOf(item, person)),
+                money(item.allocated)
+            ]),
+            ...fields.map(field => [
+                field.label,
+                '',
+                ...split.people.map(person => money(field.amount(person))),
+                money(split.people.reduce((sum, person) => sum + field.amount(person), 0))
+            ])
+        ];
+        return { name: 'Items by person', rows, boldRows: [0, rows.length - 1] };
+    }
+
+    // --- CSV ---
+    // Text a spreadsheet would run as a formula gets a leading apostrophe.
+    function csvCell(value, { decimals, locale, delimiter }) {
+        if (typeof value === 'number') return formatNumber(value, locale, { decimals, grouping: false });
+
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // RFC 4180 CSV with CRLF line endings. Amounts get `decimals` places and
+    // are written the way `locale` writes numbers (see locale.js); where that
+    // is with a decimal comma, cells are separated by semicolons, as
+    // spreadsheet apps in those locales expect.
+    function toCSV(rows, decimals = 2, locale = 'en-US') {
+        const delimiter = decimalSeparator(locale) === ',' ? ';' : ',';
+        return rows.map(row => row.map(cell => csvCell(cell, { decimals, locale, delimiter })).join(delimiter)).join('\r\n') + '\r\n';
+    }
+
+    // --- XLSX ---
+    // A workbook is a zip of XML parts. Entries are stored uncompressed,
+    // which every spreadsheet app reads.
+    const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        bytes.forEach(byte => {
+            crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        });
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // Builds a zip archive from [{ name, data: Uint8Array }].
+    function zipFiles(files) {
+        const encoder = new TextEncoder();
+        const DOS_DATE = (1 << 5) | 1; // 1980-01-01, so the same data gives the same file
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        const header = (signature, fields) => {
+            const bytes = new Uint8Array(4 + fields.reduce((sum, [size]) => sum + size, 0));
+            const view = new DataView(bytes.buffer);
+            view.setUint32(0, signature, true);
+            let at = 4;
+            fields.forEach(([size, value]) => {
+                if (size === 2) view.setUint16(at, value, true);
+                else view.setUint32(at, value, true);
+                at += size;
+            });
+            return bytes;
+        };
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = crc32(file.data);
+            const size = file.data.length;
+            // version, flags (UTF-8 names), method (stored), time, date, crc, sizes, name length, extra length
+            const common = [[2, 20], [2, 0x0800], [2, 0], [2, 0], [2, DOS_DATE], [4, crc], [4, size], [4, size], [2, name.length], [2, 0]];
+
+            chunks.push(header(0x04034b50, common), name, file.data);
+            central.push(header(0x02014b50, [[2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), name);
+            offset += 30 + name.length + size;
+        });
+
+        const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = header(0x06054b50, [[2, 0], [2, 0], [2, files.length], [2, files.length], [4, centralSize], [4, offset], [2, 0]]);
+
+        const all = [...chunks, ...central, end];
+        const zip = new Uint8Array(all.reduce((sum, chunk) => sum + chunk.length, 0));
+        let at = 0;
+        all.forEach(chunk => {
+            zip.set(chunk, at);
+            at += chunk.length;
+        });
+        return zip;
+    }
+
+    const escapeXML = text => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch])
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''); // Not allowed in XML at all
+
+    // "A", "B", ... "Z", "AA", ...
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    // Cell styles in styles.xml: 0 text, 1 bold text, 2 amount, 3 bold amount
+    function sheetXML({ rows, boldRows = [] }) {
+        const rowsXML = rows.map((row, rowIdx) => {
+            const bold = boldRows.includes(rowIdx) ? 1 : 0;
+            const cells = row.map((cell, colIdx) => {
+                const ref = columnName(colIdx) + (rowIdx + 1);
+                if (cell === '' || cell === null || cell === undefined) return '';
+                if (typeof cell === 'number') return `<c r="${ref}" s="${2 + bold}"><v>${cell}</v></c>`;
+                return `<c r="${ref}" s="${bold}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(cell)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIdx + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane xSplit="1" ySplit="1" topLeftCell="B2" state="frozen"/></sheetView></sheetViews>' +
+            `<sheetData>${rowsXML}</sheetData></worksheet>`;
+    }
+
+    function stylesXML(decimals) {
+        const format = decimals > 0 ? `#,##0.${'0'.repeat(decimals)}` : '#,##0';
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<numFmts count="1"><numFmt numFmtId="164" formatCode="${format}"/></numFmts>` +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="4">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+            '</cellXfs></styleSheet>';
+    }
+
+    // An .xlsx file with one worksheet per entry of `sheets` ([{ name, rows, boldRows }]).
+    function toXLSX(sheets, decimals = 2) {
+        const encoder = new TextEncoder();
+        const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+        const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const sheetName = (name, idx) => name.replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31) || `Sheet${idx + 1}`;
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                text: xml + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheets.map((_, idx) => `<Override PartName="/xl/worksheets/sheet${idx + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                text: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    `<Relationship Id="rId1" Type="${REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+            },
+            {
+                name: 'xl/workbook.xml',
+                text: xml + `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${REL}"><sheets>` +
+                    sheets.map((sheet, idx) => `<sheet name="${escapeXML(sheetName(sheet.name, idx))}" sheetId="${idx + 1}" r:id="rId${idx + 1}"/>`).join('') +
+                    '</sheets></workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                text: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheets.map((_, idx) => `<Relationship Id="rId${idx + 1}" Type="${REL}/worksheet" Target="worksheets/sheet${idx + 1}.xml"/>`).join('') +
+                    `<Relationship Id="rId${sheets.length + 1}" Type="${REL}/styles" Target="styles.xml"/></Relationships>`
+            },
+            { name: 'xl/styles.xml', text: stylesXML(decimals) },
+            ...sheets.map((sheet, idx) => ({ name: `xl/worksheets/sheet${idx + 1}.xml`, text: sheetXML(sheet) }))
+        ];
+
+        return zipFiles(files.map(file => ({ name: file.name, data: encoder.encode(file.text) })));
+    }
+
+    return {
+        splitSheet,
+        toCSV,
+        toXLSX
+    };
+});
@@ -0,0 +1,38 @@
+// Simple signal implementation
+window.signals = {
+    signal: function(initialValue) {
+        let value = initialValue;
+        const subscribers = new Set();
+        
+        return {
+            get value() {
+                if (window._currentEffect) {
+                    subscribers.add(window._currentEffect);
+                }
+                return value;
+            },
+            set value(newValue) {
+                if (value !== newValue) {
+                    value = newValue;
+                    subscribers.forEach(fn => fn());
+                }
+            }
+        };
+    },
+    effect: function(fn) {
+        const execute = () => {
+            window._currentEffect = execute;
+            fn();
+            window._currentEffect = null;
+        };
+        execute();
+        return execute;
+    },
+    computed: function(fn) {
+        const sig = window.signals.signal();
+        window.signals.effect(() => {
+            sig.value = fn();
+        });
+        return sig;
+    }
+};
@@ -0,0 +1,397 @@
+// --- SPLIT ENGINE ---
+// Pure bill math with no DOM access. Loaded with a <script> tag it defines
+// `window.LunchSplit`; under Node it is a CommonJS module:
+//     const { computeSplit } = require('./split.js');
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency.js'));
+    } else {
+        root.LunchSplit = factory(root.LunchCurrency);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LunchCurrency) {
+    'use strict';
+
+    const { DEFAULT_CURRENCY, currencyDecimals } = LunchCurrency;
+
+    // --- MONEY (integer minor units) ---
+    // All split math runs on whole cents (or whatever the bill currency's smallest
+    // unit is, see `decimals`) so that every per-person figure adds up exactly to
+    // the totals shown in the Bill Summary.
+    const ROUNDING_METHODS = {
+        'largest-remainder': 'Largest remainder',
+        'largest-share': 'Largest share absorbs',
+        'in-order': 'In list order'
+    };
+    const DEFAULT_ROUNDING_METHOD = 'largest-remainder';
+
+    // How the tip is worked out. The percentage modes use `state.tip`, the fixed
+    // mode `state.tipAmount` split the way `state.tipSplit` says.
+    const TIP_MODES = {
+        'pre-tax': 'Percent of subtotal',
+        'post-tax': 'Percent of subtotal + tax',
+        'fixed': 'Fixed amount'
+    };
+    const DEFAULT_TIP_MODE = 'pre-tax';
+    const TIP_SPLITS = {
+        'proportional': 'In proportion to subtotals',
+        'even': 'Evenly'
+    };
+    const DEFAULT_TIP_SPLIT = 'proportional';
+
+    // Bill-level adjustments (coupons, service charges, delivery fees) are a
+    // percentage of the subtotal or a fixed amount, negative for discounts. They
+    // are added after tax and tip, shared the way `distribution` says:
+    const ADJUSTMENT_DISTRIBUTIONS = {
+        'proportional': 'In proportion to subtotals',
+        'equal': 'Equally per person',
+        'selected': 'Equally among selected people' // a percentage is of their subtotals only
+    };
+
+    function toMinor(amount, decimals = 2) {
+        return Math.round((parseFloat(amount) || 0) * 10 ** decimals);
+    }
+
+    function formatMinor(minor, decimals = 2) {
+        return (minor / 10 ** decimals).toFixed(decimals);
+    }
+
+    // Splits `total` minor units across `weights` so the shares sum to exactly `total`.
+    // Returns { shares, leftover } where `leftover` lists the index of every share that
+    // received one of the cents left after flooring (an index repeats if it got several).
+    function allocateMinor(total, weights, method = DEFAULT_ROUNDING_METHOD) {
+        const shares = weights.map(() => 0);
+        const leftover = [];
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total === 0 || weightSum <= 0) return { shares, leftover };
+
+        if (total < 0) {
+            const positive = allocateMinor(-total, weights, method);
+            return { shares: positive.shares.map(share => -share), leftover: positive.leftover };
+        }
+
+        const exact = weights.map(weight => (total * weight) / weightSum);
+        exact.forEach((value, idx) => {
+            shares[idx] = Math.floor(value + 1e-9);
+        });
+
+        const candidates = weights.map((weight, idx) => idx).filter(idx => weights[idx] > 0);
+        let order;
+        switch (method) {
+            case 'largest-share': {
+                const largest = candidates.reduce((best, idx) => weights[idx] > weights[best] ? idx : best, candidates[0]);
+                order = [largest];
+                break;
+            }
+            case 'in-order':
+                order = candidates;
+                break;
+            default:
+                order = [...candidates].sort((a, b) =>
+                    (exact[b] - shares[b]) - (exact[a] - shares[a]) || a - b
+                );
+        }
+
+        let remaining = total - shares.reduce((sum, share) => sum + share, 0);
+        for (let i = 0; remaining > 0; i = (i + 1) % order.length) {
+            shares[order[i]]++;
+            leftover.push(order[i]);
+            remaining--;
+        }
+
+        return { shares, leftover };
+    }
+
+    // How an item's price is shared (`item.shareMode`, quantities when missing):
+    //     quantity: in proportion to `personQuantities`
+    //     amount:   `personShares` holds exact amounts; people whose share is null
+    //               split what is left equally
+    //     percent:  `personShares` holds percentages of the price. Under 100% the
+    //               rest stays unassigned, over 100% they are scaled down to the price.
+    const SHARE_MODES = {
+        'quantity': 'Quantities',
+        'amount': 'Exact amounts',
+        'percent': 'Percentages'
+    };
+    const DEFAULT_SHARE_MODE = 'quantity';
+
+    function quantityOf(item, personId) {
+        return parseFloat(item.personQuantities?.[personId]) || 0;
+    }
+
+    function shareModeOf(item) {
+        return SHARE_MODES[item.shareMode] ? item.shareMode : DEFAULT_SHARE_MODE;
+    }
+
+    // Shares `price` minor units of `item` between `people`. Returns
+    // { sharers, quantities, allocation } where `quantities` are the units (or
+    // percentages, or null for amounts) shown next to each sharer's share.
+    function allocateItem(item, people, price, roundingMethod, decimals) {
+        const mode = shareModeOf(item);
+        const shares = item.personShares || {};
+
+        if (mode === 'percent') {
+            const sharers = people.filter(p => (parseFloat(shares[p.id]) || 0) > 0);
+            const percents = sharers.map(p => parseFloat(shares[p.id]));
+            const total = percents.reduce((sum, percent) => sum + percent, 0);
+            const assigned = Math.round(price * Math.min(total, 100) / 100);
+            return { sharers, quantities: percents, allocation: allocateMinor(assigned, percents, roundingMethod) };
+        }
+
+        if (mode === 'amount') {
+            const sharers = people.filter(p => p.id in shares);
+            const fixed = sharers.map(p => (shares[p.id] === null ? null : toMinor(shares[p.id], decimals)));
+            const remainder = price - fixed.reduce((sum, amount) => sum + (amount || 0), 0);
+            const restWeights = fixed.map(amount => (amount === null ? 1 : 0));
+            const rest = (price >= 0 ? remainder > 0 : remainder < 0)
+                ? allocateMinor(remainder, restWeights, roundingMethod)
+                : { shares: restWeights.map(() => 0), leftover: [] };
+            const allocation = {
+                shares: fixed.map((amount, idx) => (amount === null ? rest.shares[idx] : amount)),
+                leftover: rest.leftover
+            };
+            return { sharers, quantities: sharers.map(() => null), allocation };
+        }
+
+        const sharers = people.filter(p => quantityOf(item, p.id) > 0);
+        const quantities = sharers.map(p => quantityOf(item, p.id));
+        return { sharers, quantities, allocation: allocateMinor(price, quantities, roundingMethod) };
+    }
+
+    // The default rate (`state.tax`) plus the named rates items can be taxed at.
+    function taxCategories(state) {
+        return [
+            { id: null, name: 'Default', rate: state.tax / 100 || 0 },
+            ...(state.taxRates || []).map(r => ({ id: r.id, name: r.name, rate: r.rate / 100 || 0 }))
+        ];
+    }
+
+    // --- SPLIT ---
+    // Works out every person's share of the bill. All amounts are in minor units.
+    //
+    // Returns {
+    //     people:   [{ id, name, subtotal, tax, tip, adjustments: { adjustmentId: amount }, total,
+    //                  lines: [{ itemId, name, quantity, amount }] }],
+    //     items:    [{ id, name, price, parentId, shareMode, totalQuantity, allocated, shares: { personId: { quantity, amount } } }],
+    //     bill:     { subtotal, tax, tip },  // whole bill, including items nobody is assigned to
+    //     taxes:    [{ id, name, rate, subtotal, tax }],  // whole-bill tax per rate; id null is the default
+    //     adjustments: [{ id, name, type, value, distribution, amount }],
+    //     grandTotal,                        // sum of the people's totals
+    //     rounding: [{ personId, label }],   // one entry per leftover cent, naming who absorbed it
+    //     currency, decimals,                // the bill currency and its decimal places
+    //     taxRate, tipRate, tipMode, tipSplit, roundingMethod
+    // }
+    //
+    // An item with a `parentId` (usually a negative discount line such as "BOGO")
+    // is shared by the parent's people in the parent's proportions, at its tax rate.
+    // `totalQuantity` is the sum of the units, or of the percentages in percent mode.
+    //
+    // People listed in `state.tipExempt` pay no tip; their part of it is shared
+    // by everyone else, so the tip itself does not shrink.
+    function computeSplit(state) {
+        const roundingMethod = ROUNDING_METHODS[state.roundingMethod] ? state.roundingMethod : DEFAULT_ROUNDING_METHOD;
+        const currency = state.currency || DEFAULT_CURRENCY;
+        const decimals = currencyDecimals(currency);
+        const categories = taxCategories(state);
+        const taxRate = categories[0].rate;
+        const tipRate = state.tip / 100 || 0;
+        const tipMode = TIP_MODES[state.tipMode] ? state.tipMode : DEFAULT_TIP_MODE;
+        const tipSplit = TIP_SPLITS[state.tipSplit] ? state.tipSplit : DEFAULT_TIP_SPLIT;
+
+        const people = (state.people || []).map(p => ({
+            id: p.id,
+            name: p.name,
+            subtotal: 0,
+            tax: 0,
+            tip: 0,
+            adjustments: {},
+            total: 0,
+            lines: []
+        }));
+        const rounding = [];
+        const recordLeftover = (allocation, recipients, label) => {
+            allocation.leftover.forEach(idx => rounding.push({ personId: recipients[idx].id, label }));
+        };
+
+        // Per tax category: the whole bill's subtotal and each person's subtotal
+        const taxable = categories.map(() => ({ subtotal: 0, people: people.map(() => 0) }));
+
+        const items = (state.items || []).map(item => {
+            const parent = item.parentId !== undefined && item.parentId !== null
+                ? (state.items || []).find(i => i.id === item.parentId && i !== item)
+                : null;
+            const sharedLike = parent || item;
+            const price = toMinor(item.price, decimals);
+            let { sharers, quantities, allocation } = allocateItem(sharedLike, people, toMinor(sharedLike.price, decimals), roundingMethod, decimals);
+            if (parent) {
+                // In proportion to the parent's units, or to its amounts in the other modes
+                const weights = shareModeOf(parent) === 'quantity' ? quantities : allocation.shares.map(Math.abs);
+                allocation = allocateMinor(price, weights, roundingMethod);
+            }
+            recordLeftover(allocation, sharers, item.name);
+
+            const categoryIdx = Math.max(0, categories.findIndex(c => c.id !== null && c.id === sharedLike.taxRateId));
+            taxable[categoryIdx].subtotal += price;
+
+            const shares = {};
+            sharers.forEach((person, idx) => {
+                const line = { itemId: item.id, name: item.name, quantity: quantities[idx], amount: allocation.shares[idx] };
+                shares[person.id] = { quantity: line.quantity, amount: line.amount };
+                person.lines.push(line);
+                person.subtotal += line.amount;
+                taxable[categoryIdx].people[people.indexOf(person)] += line.amount;
+            });
+
+            return {
+                id: item.id,
+                name: item.name,
+                price,
+                parentId: parent ? parent.id : null,
+                shareMode: shareModeOf(sharedLike),
+                totalQuantity: quantities.reduce((sum, qty) => sum + (qty || 0), 0),
+                allocated: allocation.shares.reduce((sum, share) => sum + share, 0),
+                shares
+            };
+        });
+
+        // Each person pays each rate on the items they shared in that category
+        categories.forEach((category, idx) => {
+            const subtotals = taxable[idx].people;
+            const assigned = subtotals.reduce((sum, subtotal) => sum + subtotal, 0);
+            const allocation = allocateMinor(Math.round(assigned * category.rate), subtotals, roundingMethod);
+            people.forEach((person, personIdx) => {
+                person.tax += allocation.shares[personIdx];
+            });
+            recordLeftover(allocation, people, category.id === null ? 'Tax' : `Tax (${category.name})`);
+        });
+
+        // Tip: a percentage of each person's subtotal (plus tax), or a fixed amount
+        const tipBases = people.map(p => (tipMode === 'post-tax' ? p.subtotal + p.tax : p.subtotal));
+        const tipPool = tipMode === 'fixed'
+            ? toMinor(state.tipAmount, decimals)
+            : Math.round(tipBases.reduce((sum, base) => sum + base, 0) * tipRate);
+        const tipWeights = tipMode === 'fixed' && tipSplit === 'even'
+            ? people.map(p => (p.subtotal > 0 ? 1 : 0))
+            : tipBases;
+        const exempt = (state.tipExempt || []).map(Number);
+        const tippers = tipWeights.map((weight, idx) => (exempt.includes(people[idx].id) ? 0 : weight));
+        const hasTippers = tippers.some(weight => weight > 0);
+        const tipAllocation = allocateMinor(tipPool, hasTippers ? tippers : tipWeights, roundingMethod);
+        people.forEach((person, idx) => {
+            person.tip = tipAllocation.shares[idx];
+            person.total = person.subtotal + person.tax + person.tip;
+        });
+        recordLeftover(tipAllocation, people, 'Tip');
+
+        const adjustments = (state.adjustments || []).map(adjustment => {
+            const selected = (adjustment.personIds || []).map(Number);
+            const appliesTo = adjustment.distribution === 'selected'
+                ? people.filter(p => selected.includes(p.id))
+                : people;
+            const base = appliesTo.reduce((sum, p) => sum + p.subtotal, 0);
+            const amount = adjustment.type === 'percent'
+                ? Math.round(base * (parseFloat(adjustment.value) || 0) / 100)
+                : toMinor(adjustment.value, decimals);
+            const weights = people.map(p => {
+                if (!appliesTo.includes(p)) return 0;
+                return adjustment.distribution === 'proportional' ? p.subtotal : 1;
+            });
+
+            const allocation = allocateMinor(amount, weights, roundingMethod);
+            people.forEach((person, idx) => {
+                if (weights[idx] === 0) return;
+                person.adjustments[adjustment.id] = allocation.shares[idx];
+                person.total += allocation.shares[idx];
+            });
+            recordLeftover(allocation, people, adjustment.name);
+
+            return {
+                id: adjustment.id,
+                name: adjustment.name,
+                type: adjustment.type,
+                value: adjustment.value,
+                distribution: adjustment.distribution,
+                amount: allocation.shares.reduce((sum, share) => sum + share, 0)
+            };
+        });
+
+        const billSubtotal = items.reduce((sum, item) => sum + item.price, 0);
+        const taxes = categories.map((category, idx) => ({
+            ...category,
+            subtotal: taxable[idx].subtotal,
+            tax: Math.round(taxable[idx].subtotal * category.rate)
+        }));
+        const billTax = taxes.reduce((sum, t) => sum + t.tax, 0);
+        const billTip = tipMode === 'fixed'
+            ? tipPool
+            : Math.round((tipMode === 'post-tax' ? billSubtotal + billTax : billSubtotal) * tipRate);
+
+        return {
+            people,
+            items,
+            bill: {
+                subtotal: billSubtotal,
+                tax: billTax,
+                tip: billTip
+            },
+            taxes,
+            adjustments,
+            grandTotal: people.reduce((sum, p) => sum + p.total, 0),
+            rounding,
+            currency,
+            decimals,
+            taxRate,
+            tipRate,
+            tipMode,
+            tipSplit,
+            roundingMethod
+        };
+    }
+
+    // --- RECONCILIATION ---
+    // Compares what the people pay with the whole bill. Returns {
+    //     items:   [{ id, name, price, allocated, missing, status }],  // items not paid for exactly
+    //     billTotal,  // subtotal, tax and tip of every item, plus the adjustments
+    //     gap         // billTotal - grandTotal: positive when nobody pays part of the bill
+    // }
+    // `status` is 'unassigned' (nobody shares it), 'partial' or 'over' (exact
+    // amounts above the price); `missing` is price - allocated.
+    function reconcileSplit(split) {
+        const items = split.items
+            .filter(item => item.allocated !== item.price)
+            .map(item => {
+                let status = 'partial';
+                if (item.allocated === 0) status = 'unassigned';
+                else if (Math.abs(item.allocated) > Math.abs(item.price)) status = 'over';
+                return {
+                    id: item.id,
+                    name: item.name,
+                    price: item.price,
+                    allocated: item.allocated,
+                    missing: item.price - item.allocated,
+                    status
+                };
+            });
+        const billTotal = split.bill.subtotal + split.bill.tax + split.bill.tip +
+            split.adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+
+        return { items, billTotal, gap: billTotal - split.grandTotal };
+    }
+
+    return {
+        ROUNDING_METHODS,
+        DEFAULT_ROUNDING_METHOD,
+        TIP_MODES,
+        DEFAULT_TIP_MODE,
+        TIP_SPLITS,
+        DEFAULT_TIP_SPLIT,
+        ADJUSTMENT_DISTRIBUTIONS,
+        SHARE_MODES,
+        DEFAULT_SHARE_MODE,
+        toMinor,
+        formatMinor,
+        allocateMinor,
+        shareModeOf,
+        computeSplit,
+        reconcileSplit
+    };
+});
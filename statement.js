@@ -0,0 +1,179 @@
+// --- PERSONAL RECEIPTS ---
+// DOM-free helpers for one person's receipt of a bill: what they had, their
+// tax, tip and total, laid out as text lines and written as a one-file PDF.
+// Loaded with a <script> tag it defines `window.LunchStatement`; under Node it
+// is a CommonJS module. Amounts are in minor units.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LunchStatement = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // The receipt of `personId` from a computeSplit() result, or null. `details`
+    // is the bill's { title, date, restaurant } and what the person `paid`.
+    // Lines are [{ name, mode, quantity, unit, amount }]; `unit` is what one
+    // unit cost them and is only set for items shared by quantity.
+    function personStatement(split, personId, details = {}) {
+        const person = split.people.find(p => p.id === personId);
+        if (!person) return null;
+
+        return {
+            name: person.name,
+            title: details.title || '',
+            date: details.date || '',
+            restaurant: details.restaurant || '',
+            currency: split.currency,
+            decimals: split.decimals,
+            lines: person.lines.map(line => {
+                const item = split.items.find(i => i.id === line.itemId);
+                const mode = item ? item.shareMode : 'quantity';
+                const unit = mode === 'quantity' && line.quantity ? Math.round(line.amount / line.quantity) : null;
+                return { name: line.name, mode, quantity: line.quantity, unit, amount: line.amount };
+            }),
+            subtotal: person.subtotal,
+            tax: person.tax,
+            tip: person.tip,
+            adjustments: split.adjustments
+                .filter(adjustment => person.adjustments[adjustment.id])
+                .map(adjustment => ({ name: adjustment.name, amount: person.adjustments[adjustment.id] })),
+            total: person.total,
+            paid: details.paid || 0
+        };
+    }
+
+    // --- TEXT LAYOUT ---
+    const WIDTH = 48; // Characters per line
+
+    function columns(left, right = '') {
+        const room = WIDTH - right.length - 1;
+        const text = left.length > room ? left.slice(0, room - 1) + '…' : left;
+        return right ? text + ' '.repeat(WIDTH - text.length - right.length) + right : text;
+    }
+
+    const centered = text => {
+        const line = text.length > WIDTH ? text.slice(0, WIDTH - 1) + '…' : text;
+        return ' '.repeat(Math.floor((WIDTH - line.length) / 2)) + line;
+    };
+
+    // The receipt as fixed-width lines ([{ text, bold }]). `money` formats an
+    // amount in minor units ("12.50"); the currency is named once at the top.
+    function statementLines(statement, money) {
+        const lines = [];
+        const add = (text, bold = false) => lines.push({ text, bold });
+        const rule = char => add(char.repeat(WIDTH));
+
+        add(centered(statement.title || 'Receipt'), true);
+        if (statement.restaurant) add(centered(statement.restaurant));
+        if (statement.date) add(centered(statement.date));
+        add(centered(`Amounts in ${statement.currency}`));
+        rule('-');
+        add(columns(`For: ${statement.name}`), true);
+        rule('-');
+
+        statement.lines.forEach(line => {
+            add(columns(line.name, money(line.amount)));
+            if (line.unit !== null && line.quantity !== 1) {
+                add(`  ${line.quantity} × ${money(line.unit)}`);
+            } else if (line.mode === 'percent') {
+                add(`  ${line.quantity}% of the item`);
+            }
+        });
+        if (statement.lines.length === 0) add('  (no items)');
+
+        rule('-');
+        add(columns('Subtotal', money(statement.subtotal)));
+        add(columns('Tax', money(statement.tax)));
+        add(columns('Tip', money(statement.tip)));
+        statement.adjustments.forEach(adjustment => add(columns(adjustment.name, money(adjustment.amount))));
+        rule('=');
+        add(columns('TOTAL', money(statement.total)), true);
+
+        if (statement.paid > 0) {
+            const balance = statement.paid - statement.total;
+            add(columns('Paid', money(statement.paid)));
+            if (balance !== 0) add(columns(balance > 0 ? 'To get back' : 'Still to pay', money(Math.abs(balance))), true);
+        }
+        return lines;
+    }
+
+    // --- PDF ---
+    // The built-in Courier fonts need no embedding, and monospace keeps the
+    // columns straight. They only cover the Windows-1252 characters; anything
+    // else prints as "?" (the browser's Print to PDF handles every script).
+    const WIN_ANSI = {
+        '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89,
+        'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+        '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+    };
+
+    function pdfString(text) {
+        const bytes = [...text.normalize('NFC')].map(ch => {
+            const code = ch.codePointAt(0);
+            if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) return code;
+            if (ch === '\u202f' || ch === '\u2009') return 0x20; // Narrow spaces some locales group digits with
+            return WIN_ANSI[ch] || 0x3f;
+        });
+        return '(' + bytes.map(byte => {
+            const ch = String.fromCharCode(byte);
+            return ch === '(' || ch === ')' || ch === '\\' ? '\\' + ch : ch;
+        }).join('') + ')';
+    }
+
+    // A PDF of `lines` ([{ text, bold }]) on A4 pages, as bytes.
+    function statementPDF(lines) {
+        const PAGE_WIDTH = 595;
+        const PAGE_HEIGHT = 842;
+        const FONT_SIZE = 10;
+        const LEADING = 14;
+        const MARGIN = 60;
+        const perPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LEADING);
+        const left = Math.round((PAGE_WIDTH - WIDTH * FONT_SIZE * 0.6) / 2); // Courier glyphs are 0.6 em wide
+
+        const pages = [];
+        for (let start = 0; start < Math.max(lines.length, 1); start += perPage) {
+            pages.push(lines.slice(start, start + perPage));
+        }
+
+        // Objects 1-4 are the catalog, page tree and fonts; each page adds a page and its content
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${pages.map((_, idx) => `${5 + idx * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>'
+        ];
+        pages.forEach((pageLines, idx) => {
+            const text = pageLines.map((line, lineIdx) =>
+                `/${line.bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf 1 0 0 1 ${left} ${PAGE_HEIGHT - MARGIN - lineIdx * LEADING} Tm ${pdfString(line.text)} Tj`
+            ).join('\n');
+            const stream = `BT\n${text}\nET`;
+            objects.push(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + idx * 2} 0 R >>`,
+                `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+            );
+        });
+
+        // Every character is one byte from here on, so lengths are byte offsets
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((body, idx) => {
+            const offset = pdf.length;
+            pdf += `${idx + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+            offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+            `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Uint8Array.from(pdf, ch => ch.charCodeAt(0));
+    }
+
+    return {
+        personStatement,
+        statementLines,
+        statementPDF
+    };
+});
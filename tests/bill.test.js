@@ -0,0 +1,584 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createDefaultState, migrateState, parseImportedState, validateImportedState, toExportPayload, mergeImportedState,
+    encodeShareParams, decodeShareParams, removePerson, removeGroup, removeItem, removeAdjustment, removeTaxRate,
+    assignUnallocated, discountParent, itemProblem, hasBillAmounts, fitsCurrency, switchBillCurrency
+} = require('../bill.js');
+const { computeSplit, reconcileSplit } = require('../split.js');
+
+function makeState(overrides = {}) {
+    return {
+        ...createDefaultState(),
+        people: [
+            { id: 0, name: 'Alice' },
+            { id: 1, name: 'Bob' }
+        ],
+        items: [
+            { id: 0, name: 'Pizza', price: 18.5, personQuantities: { 0: 2, 1: 1 } },
+            { id: 1, name: 'Soda', price: 3, personQuantities: { 1: 1 } }
+        ],
+        nextPersonId: 2,
+        nextItemId: 2,
+        tax: 8,
+        tip: 15,
+        ...overrides
+    };
+}
+
+async function roundTrip(state) {
+    return migrateState(await decodeShareParams('?' + (await encodeShareParams(state)).toString()));
+}
+
+// --- MIGRATIONS ---
+test('migrateState fills in defaults for missing fields', () => {
+    const migrated = migrateState({ people: [{ id: 0, name: 'Alice' }] });
+
+    assert.deepEqual(migrated, { ...createDefaultState(), people: [{ id: 0, name: 'Alice' }] });
+});
+
+test('migrateState converts sharedBy checkboxes to quantities', () => {
+    const migrated = migrateState({ items: [{ id: 0, name: 'Pizza', price: 10, sharedBy: [0, 2] }] });
+
+    assert.deepEqual(migrated.items[0].personQuantities, { 0: 1, 2: 1 });
+    assert.equal(migrated.items[0].sharedBy, undefined);
+});
+
+test('migrateState converts equal personAmounts to one unit each', () => {
+    const migrated = migrateState({
+        items: [{ id: 0, name: 'Pizza', price: 10, personAmounts: { 0: 5, 1: 5 } }]
+    });
+
+    assert.deepEqual(migrated.items[0].personQuantities, { 0: 1, 1: 1 });
+    assert.equal(migrated.items[0].personAmounts, undefined);
+});
+
+test('migrateState converts unequal personAmounts to proportional quantities', () => {
+    const migrated = migrateState({
+        items: [{ id: 0, name: 'Pizza', price: 12, personAmounts: { 0: 9, 1: 3 } }]
+    });
+
+    assert.deepEqual(migrated.items[0].personQuantities, { 0: 1.5, 1: 0.5 });
+});
+
+test('migrateState keeps items already in the quantity format', () => {
+    const item = { id: 0, name: 'Pizza', price: 10, personQuantities: { 0: 3 }, personAmounts: { 0: 10 } };
+
+    assert.equal(migrateState({ items: [item] }).items[0], item);
+});
+
+// --- SHARE LINKS ---
+test('share links round-trip people, items, quantities, tax and tip', async () => {
+    const state = makeState();
+    const restored = await roundTrip(state);
+
+    assert.deepEqual(restored.people, state.people);
+    assert.deepEqual(restored.items, state.items);
+    assert.equal(restored.tax, 8);
+    assert.equal(restored.tip, 15);
+    assert.deepEqual(computeSplit(restored), computeSplit(state));
+});
+
+test('share links leave view preferences behind', async () => {
+    const restored = await roundTrip(makeState({ isTransposed: true }));
+
+    assert.equal(restored.isTransposed, false);
+});
+
+test('share links keep the rounding method', async () => {
+    assert.equal((await roundTrip(makeState({ roundingMethod: 'in-order' }))).roundingMethod, 'in-order');
+});
+
+test('share links keep the currency, settlement currencies and exchange rates', async () => {
+    const restored = await roundTrip(makeState({
+        currency: 'GBP',
+        settlementCurrencies: { 1: 'EUR' },
+        exchangeRates: { EUR: 1.17 }
+    }));
+
+    assert.equal(restored.currency, 'GBP');
+    assert.deepEqual(restored.settlementCurrencies, { 1: 'EUR' });
+    assert.deepEqual(restored.exchangeRates, { EUR: 1.17 });
+});
+
+test('share links survive names containing separators', async () => {
+    const state = makeState({
+        people: [{ id: 0, name: 'Smith, J' }, { id: 1, name: 'Zoë & "Bob"' }],
+        items: [{ id: 0, name: 'Fish: Grilled; Large', price: 21, personQuantities: { 0: 1, 1: 1 } }]
+    });
+    const restored = await roundTrip(state);
+
+    assert.deepEqual(restored.people, state.people);
+    assert.deepEqual(restored.items, state.items);
+});
+
+test('share links keep a zero tax and tip', async () => {
+    const restored = await roundTrip(makeState({ tax: 0, tip: 0 }));
+
+    assert.equal(restored.tax, 0);
+    assert.equal(restored.tip, 0);
+});
+
+test('share links are versioned and compress big bills', async () => {
+    const people = Array.from({ length: 12 }, (_, idx) => ({ id: idx, name: `Person ${idx}` }));
+    const items = Array.from({ length: 30 }, (_, idx) => ({
+        id: idx,
+        name: `Dish number ${idx}`,
+        price: 10 + idx,
+        personQuantities: Object.fromEntries(people.map(p => [p.id, 1]))
+    }));
+    const params = await encodeShareParams(makeState({ people, items }));
+
+    assert.equal(params.get('v'), '2');
+    assert.ok(params.has('z'));
+    assert.ok(params.toString().length < JSON.stringify(items).length / 4);
+    assert.deepEqual((await decodeShareParams('?' + params.toString())).items, items);
+});
+
+test('small share links may skip compression', async () => {
+    const params = new URLSearchParams({ v: '2', s: Buffer.from('{"people":[],"items":[],"tip":0}').toString('base64url') });
+
+    assert.deepEqual(await decodeShareParams('?' + params.toString()), { people: [], items: [], tip: 0, nextPersonId: 0, nextItemId: 0 });
+});
+
+test('share links without a bill decode to null', async () => {
+    assert.equal(await decodeShareParams(''), null);
+    assert.equal(await decodeShareParams('?utm_source=chat'), null);
+    assert.equal(await decodeShareParams('?v=2'), null);
+});
+
+test('malformed or unknown share links are rejected', async () => {
+    await assert.rejects(decodeShareParams('?v=3&s=e30'), /Unsupported share link version/);
+    await assert.rejects(decodeShareParams('?v=2&s=e30'), /people: expected a list/);
+    await assert.rejects(decodeShareParams('?v=2&z=bm90IGRlZmxhdGU'));
+});
+
+test('share links go through the same field checks as Import JSON', async () => {
+    const bill = { ...makeState(), tip: '15' };
+    bill.items[0].personQuantities = { 0: 2, 7: 1 };
+    const params = await encodeShareParams(bill);
+
+    await assert.rejects(decodeShareParams('?' + params.toString()), error => {
+        assert.deepEqual(error.errors, ['items[0].personQuantities.7: no person has id 7', 'tip: expected a number, got "15"']);
+        return true;
+    });
+});
+
+test('unversioned p/i/q links still decode', async () => {
+    const restored = migrateState(await decodeShareParams('?p=Alice,Bob&i=Pizza:18.5;Soda:3&q=0-0:2;0-1:1;1-1:1&tax=8&r=in-order'));
+
+    assert.deepEqual(restored.people, [{ id: 0, name: 'Alice' }, { id: 1, name: 'Bob' }]);
+    assert.deepEqual(restored.items, [
+        { id: 0, name: 'Pizza', price: 18.5, personQuantities: { 0: 2, 1: 1 } },
+        { id: 1, name: 'Soda', price: 3, personQuantities: { 1: 1 } }
+    ]);
+    assert.equal(restored.tax, 8);
+    assert.equal(restored.tip, 10);
+    assert.equal(restored.roundingMethod, 'in-order');
+});
+
+test('legacy ?data= links decode and migrate', async () => {
+    const legacy = {
+        people: [{ id: 0, name: 'Alice' }, { id: 1, name: 'Bob' }],
+        items: [{ id: 0, name: 'Pizza', price: 10, sharedBy: [0, 1] }],
+        nextPersonId: 2,
+        nextItemId: 1,
+        tax: 5,
+        tip: 10
+    };
+    const data = Buffer.from(encodeURIComponent(JSON.stringify(legacy)), 'binary').toString('base64');
+    const restored = migrateState(await decodeShareParams('?data=' + encodeURIComponent(data)));
+
+    assert.deepEqual(restored.people, legacy.people);
+    assert.deepEqual(restored.items[0].personQuantities, { 0: 1, 1: 1 });
+    assert.equal(restored.tax, 5);
+});
+
+test('legacy links without id counters or with stray separators still decode', async () => {
+    // The bill as the first version of the app put it in `data=`
+    const legacy = { people: [{ id: 0, name: 'Alice' }, { id: 3, name: 'Bob' }], items: [{ id: 4, name: 'Pizza', price: 20 }], tax: 0, tip: 10 };
+    const data = Buffer.from(encodeURIComponent(JSON.stringify(legacy)), 'binary').toString('base64');
+    const restored = await decodeShareParams('?data=' + encodeURIComponent(data));
+
+    assert.equal(restored.nextPersonId, 4);
+    assert.equal(restored.nextItemId, 5);
+
+    const trailing = await decodeShareParams('?p=Alice,,Bob,&i=Pizza:20;;Soda:3&q=0-0:1;0-1:2;2-2:1;0-3:1');
+    assert.deepEqual(trailing.people, [{ id: 0, name: 'Alice' }, { id: 2, name: 'Bob' }]);
+    assert.deepEqual(trailing.items.map(i => [i.name, i.personQuantities]), [['Pizza', { 0: 1 }], ['Soda', { 2: 1 }]]);
+});
+
+test('malformed legacy links throw', async () => {
+    await assert.rejects(decodeShareParams('?data=not-base64!'));
+});
+
+// --- JSON IMPORT ---
+test('parseImportedState accepts exported state', () => {
+    const state = makeState();
+
+    assert.deepEqual(parseImportedState(JSON.stringify(state)), state);
+});
+
+test('parseImportedState fills in optional fields', () => {
+    const imported = parseImportedState('{"people":[],"items":[],"nextPersonId":0,"nextItemId":0}');
+
+    assert.deepEqual(imported, createDefaultState());
+});
+
+test('parseImportedState rejects invalid input', () => {
+    assert.throws(() => parseImportedState('not json'), SyntaxError);
+    assert.throws(() => parseImportedState('null'), /Invalid data structure/);
+    assert.throws(() => parseImportedState('{"people":[],"items":[]}'), /Invalid data structure/);
+    assert.throws(() => parseImportedState('{"people":[],"nextPersonId":0,"nextItemId":0}'), /Invalid data structure/);
+});
+
+test('parseImportedState reads its own exports and migrates older items', () => {
+    const state = makeState();
+    const exported = JSON.stringify({ ...toExportPayload(state), settleUp: [] });
+    const legacy = { ...state, items: [{ id: 0, name: 'Pizza', price: 10, sharedBy: [0, 1] }], nextItemId: 1 };
+
+    assert.deepEqual(parseImportedState(exported), state);
+    assert.deepEqual(parseImportedState(JSON.stringify(legacy)).items[0].personQuantities, { 0: 1, 1: 1 });
+});
+
+test('validateImportedState names every field that is wrong', () => {
+    const errors = validateImportedState({
+        ...makeState(),
+        items: [
+            { id: 0, name: 'Pizza', price: '18.50', personQuantities: { 0: 1, 7: 1 } },
+            { id: 0, name: 'Soda', price: 3, parentId: 4 }
+        ],
+        tipMode: 'lots',
+        payments: { 9: 5 }
+    });
+
+    assert.deepEqual(errors, [
+        'items[0].price: expected a number, got "18.50"',
+        'items[0].personQuantities.7: no person has id 7',
+        'items[1].id: 0 is used twice',
+        'items[1].parentId: no item has id 4',
+        'tipMode: expected one of pre-tax, post-tax, fixed, got "lots"',
+        'payments.9: no person has id 9'
+    ]);
+});
+
+test('Import JSON and share links report the same field errors', async () => {
+    const bill = { ...makeState(), tip: '15', people: [{ id: 0, name: '' }, { id: 1, name: 'Bob' }] };
+    const expected = ['people[0].name: expected a name, got ""', 'tip: expected a number, got "15"'];
+
+    assert.throws(() => parseImportedState(JSON.stringify(bill)), error => {
+        assert.deepEqual(error.errors, expected);
+        assert.equal(error.message, `Invalid data structure: ${expected.join('; ')}`);
+        return true;
+    });
+    await assert.rejects(decodeShareParams('?' + (await encodeShareParams(bill)).toString()), error => {
+        assert.deepEqual(error.errors, expected);
+        return true;
+    });
+});
+
+test('parseImportedState rejects files from a newer schema', () => {
+    const newer = JSON.stringify({ ...makeState(), schemaVersion: 99 });
+
+    assert.throws(() => parseImportedState(newer), error => /newer version/.test(error.errors[0]));
+});
+
+// --- MERGING ---
+test('mergeImportedState re-maps ids and matches people by name', () => {
+    const state = makeState({ payments: { 0: 10 } });
+    const imported = migrateState({
+        people: [{ id: 0, name: 'Carol' }, { id: 1, name: 'alice' }],
+        items: [
+            { id: 0, name: 'pizza', price: 12, personQuantities: { 0: 1, 1: 1 } },
+            { id: 1, name: 'Coupon', price: -2, parentId: 0, personQuantities: {} }
+        ],
+        nextPersonId: 2,
+        nextItemId: 2,
+        groups: [{ id: 0, name: 'Table', personIds: [0, 1] }],
+        payments: { 1: 5, 0: 7 }
+    });
+
+    const added = mergeImportedState(state, imported);
+
+    assert.deepEqual(added, { people: 1, items: 2 });
+    assert.deepEqual(state.people.map(p => [p.id, p.name]), [[0, 'Alice'], [1, 'Bob'], [2, 'Carol']]);
+    assert.deepEqual(state.items.slice(2).map(i => [i.id, i.name, i.parentId]), [[2, 'pizza (2)', undefined], [3, 'Coupon', 2]]);
+    assert.deepEqual(state.items[2].personQuantities, { 2: 1, 0: 1 });
+    assert.deepEqual(state.groups, [{ id: 0, name: 'Table', personIds: [2, 0] }]);
+    assert.deepEqual(state.payments, { 0: 15, 2: 7 });
+    assert.equal(state.nextItemId, 4);
+});
+
+test('mergeImportedState keeps both sides when ids and names clash', () => {
+    const state = makeState({
+        items: [
+            { id: 0, name: 'Pizza', price: 18.5, personQuantities: { 0: 2, 1: 1 } },
+            { id: 1, name: 'Pizza (2)', price: 9, personQuantities: { 1: 1 } }
+        ],
+        taxRates: [{ id: 0, name: 'Food', rate: 7 }],
+        nextTaxRateId: 1,
+        groups: [{ id: 0, name: 'Table', personIds: [0] }],
+        nextGroupId: 1,
+        adjustments: [{ id: 0, name: 'Voucher', type: 'fixed', value: -5, distribution: 'even', personIds: [0] }],
+        nextAdjustmentId: 1
+    });
+    const imported = parseImportedState(JSON.stringify({
+        people: [{ id: 0, name: 'BOB' }, { id: 1, name: 'Dana' }],
+        items: [
+            { id: 0, name: 'pizza', price: 20, taxRateId: 0, shareMode: 'amount', personShares: { 0: 5, 1: null }, personQuantities: {} },
+            { id: 1, name: 'Pizza', price: -4, parentId: 0, personQuantities: {} }
+        ],
+        nextPersonId: 2,
+        nextItemId: 2,
+        taxRates: [{ id: 0, name: 'Drinks', rate: 19 }],
+        nextTaxRateId: 1,
+        groups: [{ id: 0, name: 'table', personIds: [1] }, { id: 1, name: 'Bar', personIds: [0, 1] }],
+        nextGroupId: 2,
+        adjustments: [{ id: 0, name: 'Voucher', type: 'fixed', value: -3, distribution: 'selected', personIds: [1] }],
+        nextAdjustmentId: 1
+    }));
+
+    assert.deepEqual(mergeImportedState(state, imported), { people: 1, items: 2 });
+
+    assert.deepEqual(state.people.map(p => [p.id, p.name]), [[0, 'Alice'], [1, 'Bob'], [2, 'Dana']]);
+    assert.deepEqual(state.items.map(i => [i.id, i.name, i.parentId, i.taxRateId]), [
+        [0, 'Pizza', undefined, undefined],
+        [1, 'Pizza (2)', undefined, undefined],
+        [2, 'pizza (3)', undefined, 1],
+        [3, 'Pizza (4)', 2, undefined]
+    ]);
+    assert.deepEqual(state.items[2].personShares, { 1: 5, 2: null });
+    assert.deepEqual(state.taxRates, [{ id: 0, name: 'Food', rate: 7 }, { id: 1, name: 'Drinks', rate: 19 }]);
+    assert.deepEqual(state.groups, [{ id: 0, name: 'Table', personIds: [0, 2] }, { id: 1, name: 'Bar', personIds: [1, 2] }]);
+    assert.deepEqual(state.adjustments.map(a => [a.id, a.name, a.value, a.personIds]), [[0, 'Voucher', -5, [0]], [1, 'Voucher', -3, [2]]]);
+    assert.deepEqual(
+        [state.nextPersonId, state.nextItemId, state.nextTaxRateId, state.nextGroupId, state.nextAdjustmentId],
+        [3, 4, 2, 2, 2]
+    );
+});
+
+test('mergeImportedState refuses a bill in another currency', () => {
+    const state = makeState();
+
+    assert.throws(() => mergeImportedState(state, { ...makeState(), currency: 'EUR' }), /EUR/);
+    assert.equal(state.items.length, 2);
+});
+
+// --- CURRENCY SWITCH ---
+test('switchBillCurrency converts every amount at the rate and rebases exchange rates', () => {
+    const state = makeState({
+        items: [
+            { id: 0, name: 'Wine', price: 30.5, shareMode: 'amount', personShares: { 0: 20.25, 1: null }, personQuantities: {} },
+            { id: 1, name: 'Pasta', price: 12.99, shareMode: 'percent', personShares: { 0: 60, 1: 40 }, personQuantities: {} }
+        ],
+        adjustments: [
+            { id: 0, name: 'Voucher', type: 'fixed', value: -5.5, distribution: 'even', personIds: [0, 1] },
+            { id: 1, name: 'Service', type: 'percent', value: 10, distribution: 'even', personIds: [0, 1] }
+        ],
+        tipAmount: 4.75,
+        payments: { 0: 40.01 },
+        exchangeRates: { JPY: 150, EUR: 0.9 },
+        settlementCurrencies: { 0: 'JPY', 1: 'EUR' }
+    });
+
+    switchBillCurrency(state, 'JPY', 150);
+
+    assert.equal(state.currency, 'JPY');
+    assert.deepEqual(state.items.map(i => i.price), [4575, 1949]);
+    assert.deepEqual(state.items.map(i => i.personShares), [{ 0: 3038, 1: null }, { 0: 60, 1: 40 }]);
+    assert.deepEqual(state.adjustments.map(a => a.value), [-825, 10]);
+    assert.equal(state.tipAmount, 713);
+    assert.deepEqual(state.payments, { 0: 6002 });
+    assert.deepEqual(state.exchangeRates, { EUR: 0.006, USD: 1 / 150 });
+    assert.deepEqual(state.settlementCurrencies, { 1: 'EUR' });
+});
+
+test('switching currency without a rate keeps amounts only when they fit', () => {
+    const state = makeState({ items: [{ id: 0, name: 'Soup', price: 1200, personQuantities: {} }] });
+
+    assert.equal(hasBillAmounts(state), true);
+    assert.equal(hasBillAmounts(makeState({ items: [] })), false);
+    assert.equal(fitsCurrency(state, 'JPY'), true);
+    assert.equal(fitsCurrency({ ...state, tipAmount: 0.5 }, 'JPY'), false);
+    assert.equal(fitsCurrency({ ...state, tipAmount: 0.1 + 0.2 }, 'USD'), true);
+
+    switchBillCurrency(state, 'JPY');
+    switchBillCurrency(state, 'USD');
+    assert.equal(state.items[0].price, 1200);
+    assert.throws(() => switchBillCurrency(state, 'JPY', 0), /rate/);
+    assert.throws(() => switchBillCurrency(state, 'XYZ'), /XYZ/);
+});
+
+// --- ITEM CHECKS ---
+function makeDiscountState() {
+    return makeState({
+        items: [
+            { id: 0, name: 'Pizza', price: 18.5, personQuantities: { 0: 2, 1: 1 } },
+            { id: 1, name: 'Soda', price: 3, personQuantities: { 1: 1 } },
+            { id: 2, name: 'Pizza coupon', price: -5, parentId: 0, personQuantities: {} }
+        ],
+        nextItemId: 3
+    });
+}
+
+test('new items need a name, a non-zero price and a name nobody uses', () => {
+    const state = makeDiscountState();
+
+    assert.equal(itemProblem(state, { name: 'Wings', price: 9 }), null);
+    assert.equal(itemProblem(state, { name: 'Refund', price: -2 }), null);
+    assert.match(itemProblem(state, { name: '', price: 9 }), /valid item name/);
+    assert.match(itemProblem(state, { name: 'Wings', price: 0 }), /valid item name/);
+    assert.match(itemProblem(state, { name: 'Wings', price: NaN }), /valid item name/);
+    assert.match(itemProblem(state, { name: 'soda', price: 2 }), /already been added/);
+});
+
+test('only discounts are linked, and only to items that are not linked themselves', () => {
+    const state = makeDiscountState();
+
+    assert.equal(discountParent(state, -2, '1'), state.items[1]);
+    assert.equal(discountParent(state, 2, '1'), null);
+    assert.equal(discountParent(state, -2, ''), null);
+    assert.equal(discountParent(state, -2, '2'), null);
+    assert.equal(discountParent(state, -2, '0', state.items[0]), null);
+});
+
+test('editing a negative item linked to a parent', () => {
+    const state = makeDiscountState();
+    const coupon = state.items[2];
+    const parent = discountParent(state, -6, '0', coupon);
+
+    assert.equal(parent, state.items[0]);
+    assert.equal(itemProblem(state, { name: 'Pizza coupon', price: -6, parent }, coupon), null);
+    assert.equal(itemProblem(state, { name: 'PIZZA COUPON', price: -18.5, parent }, coupon), null);
+    assert.match(itemProblem(state, { name: 'Soda', price: -6, parent }, coupon), /already been added/);
+    assert.equal(itemProblem(state, { name: 'Pizza coupon', price: 4, parent: discountParent(state, 4, '0', coupon) }, coupon), null);
+});
+
+test('a discount larger than its parent is rejected', () => {
+    const state = makeDiscountState();
+    const pizza = state.items[0];
+
+    assert.match(itemProblem(state, { name: 'Big coupon', price: -20, parent: pizza }), /more than its price/);
+    assert.match(itemProblem(state, { name: 'Second coupon', price: -13.51, parent: pizza }), /more than its price/);
+    assert.equal(itemProblem(state, { name: 'Second coupon', price: -13.5, parent: pizza }), null);
+    assert.match(itemProblem(state, { name: 'Pizza coupon', price: -18.51, parent: pizza }, state.items[2]), /more than its price/);
+
+    assert.match(itemProblem(state, { name: 'Pizza', price: 4.99 }, pizza), /can't cost less than the discounts/);
+    assert.equal(itemProblem(state, { name: 'Pizza', price: 5 }, pizza), null);
+    assert.match(itemProblem(state, { name: 'Pizza', price: -1, parent: state.items[1] }, pizza), /can't be linked/);
+});
+
+// --- REMOVAL ---
+test('removing a person drops their quantities', () => {
+    const state = makeState();
+
+    assert.equal(removePerson(state, 1).name, 'Bob');
+    assert.deepEqual(state.people.map(p => p.name), ['Alice']);
+    assert.deepEqual(state.items.map(i => i.personQuantities), [{ 0: 2 }, {}]);
+});
+
+test('removing a person drops their exact or percentage shares', () => {
+    const state = makeState({
+        items: [{ id: 0, name: 'Wine', price: 30, shareMode: 'percent', personShares: { 0: 60, 1: 40 }, personQuantities: {} }]
+    });
+
+    removePerson(state, 1);
+    assert.deepEqual(state.items[0].personShares, { 0: 60 });
+});
+
+test('removing an item', () => {
+    const state = makeState();
+
+    assert.equal(removeItem(state, 0).name, 'Pizza');
+    assert.deepEqual(state.items.map(i => i.name), ['Soda']);
+});
+
+test('removing an item removes the discounts linked to it', () => {
+    const state = makeState();
+    state.items.push({ id: 2, name: 'Pizza promo', price: -5, parentId: 0, personQuantities: {} });
+
+    removeItem(state, 0);
+    assert.deepEqual(state.items.map(i => i.name), ['Soda']);
+});
+
+test('removing a person takes them off adjustments and settlement currencies', () => {
+    const state = makeState({
+        adjustments: [{ id: 0, name: 'Corkage', type: 'fixed', value: 4, distribution: 'selected', personIds: [0, 1] }],
+        nextAdjustmentId: 1
+    });
+
+    state.settlementCurrencies = { 1: 'EUR' };
+    removePerson(state, 1);
+    assert.deepEqual(state.adjustments[0].personIds, [0]);
+    assert.deepEqual(state.settlementCurrencies, {});
+    assert.equal(removeAdjustment(state, 0).name, 'Corkage');
+    assert.deepEqual(state.adjustments, []);
+});
+
+test('removing a person takes them out of groups, and groups can be removed', () => {
+    const state = makeState({ groups: [{ id: 0, name: 'Table A', personIds: [0, 1] }], nextGroupId: 1 });
+
+    removePerson(state, 0);
+    assert.deepEqual(state.groups[0].personIds, [1]);
+    assert.equal(removeGroup(state, 0).name, 'Table A');
+    assert.deepEqual(state.groups, []);
+    assert.equal(removeGroup(state, 0), null);
+});
+
+test('removing a tax rate moves its items back to the default rate', () => {
+    const state = makeState({ taxRates: [{ id: 0, name: 'Alcohol', rate: 20 }], nextTaxRateId: 1 });
+    state.items[1].taxRateId = 0;
+
+    assert.equal(removeTaxRate(state, 0).name, 'Alcohol');
+    assert.deepEqual(state.taxRates, []);
+    assert.equal('taxRateId' in state.items[1], false);
+});
+
+test('removing something that does not exist changes nothing', () => {
+    const state = makeState();
+
+    assert.equal(removePerson(state, 42), null);
+    assert.equal(removeItem(state, 42), null);
+    assert.equal(removeAdjustment(state, 42), null);
+    assert.equal(removeTaxRate(state, 42), null);
+    assert.deepEqual(state, makeState());
+});
+
+// --- RECONCILIATION ---
+test('assignUnallocated shares an unassigned item and keeps partial shares', () => {
+    const state = makeState({ people: [...makeState().people, { id: 2, name: 'Cara' }] });
+    state.items.push(
+        { id: 2, name: 'Wine', price: 30, personQuantities: {} },
+        { id: 3, name: 'Cake', price: 10, personQuantities: {}, shareMode: 'percent', personShares: { 0: 40 } },
+        { id: 4, name: 'Platter', price: 20, personQuantities: {}, shareMode: 'amount', personShares: { 0: 5 } }
+    );
+
+    [2, 3, 4].forEach(itemId => assignUnallocated(state, itemId, [0, 1, 2]));
+    assert.deepEqual(state.items[2].personQuantities, { 0: 1, 1: 1, 2: 1 });
+    assert.deepEqual(state.items[3].personShares, { 0: 60, 1: 20, 2: 20 });
+    assert.deepEqual(state.items[4].personShares, { 0: 5, 1: null, 2: null });
+    assert.deepEqual(reconcileSplit(computeSplit(state)).items, []);
+});
+
+test('assignUnallocated tops up exact amounts and leaves assigned items alone', () => {
+    const state = makeState();
+    state.items.push({ id: 2, name: 'Platter', price: 20, personQuantities: {}, shareMode: 'amount', personShares: { 0: 5 } });
+
+    assert.equal(assignUnallocated(state, 2, [0]).name, 'Platter');
+    assert.deepEqual(state.items[2].personShares, { 0: 20 });
+    assert.equal(assignUnallocated(state, 0, [1]), null);
+    assert.equal(assignUnallocated(state, 2, [42]), null);
+});
+
+test('assignUnallocated settles a linked discount through its parent', () => {
+    const state = makeState();
+    state.items.push(
+        { id: 2, name: 'Wine', price: 30, personQuantities: {} },
+        { id: 3, name: 'Wine promo', price: -5, parentId: 2, personQuantities: {} }
+    );
+
+    assert.equal(assignUnallocated(state, 3, [1]).name, 'Wine');
+    assert.deepEqual(state.items[2].personQuantities, { 1: 1 });
+});
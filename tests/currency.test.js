@@ -0,0 +1,25 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { currencyDecimals, formatMoney, convertMinor } = require('../currency.js');
+
+test('currencies have their own number of decimals', () => {
+    assert.equal(currencyDecimals('USD'), 2);
+    assert.equal(currencyDecimals('JPY'), 0);
+    assert.equal(currencyDecimals('KWD'), 3);
+    assert.equal(currencyDecimals('XYZ'), 2); // Unknown codes fall back to the default
+});
+
+test('formatMoney places the symbol and sign', () => {
+    assert.equal(formatMoney(1250, 'USD'), '$12.50');
+    assert.equal(formatMoney(-300, 'EUR'), '-€3.00');
+    assert.equal(formatMoney(1500, 'JPY'), '¥1500');
+    assert.equal(formatMoney(1250, 'KWD'), 'KWD 1.250');
+});
+
+test('convertMinor converts between currencies with different decimals', () => {
+    assert.equal(convertMinor(2260, 'USD', 'EUR', 0.92), 2079);
+    assert.equal(convertMinor(2260, 'USD', 'JPY', 151.3), 3419);
+    assert.equal(convertMinor(3000, 'JPY', 'KWD', 0.002), 6000);
+});
@@ -0,0 +1,191 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createHistory, migrateHistory, recordChange, undoChange, redoChange, goToChange
+} = require('../history.js');
+const { createDefaultState, removePerson } = require('../bill.js');
+
+function makeState() {
+    return {
+        ...createDefaultState(),
+        people: [{ id: 0, name: 'Alice' }, { id: 1, name: 'Bob' }],
+        items: [{ id: 0, name: 'Pizza', price: 20, personQuantities: { 0: 1, 1: 1 } }],
+        nextPersonId: 2,
+        nextItemId: 1
+    };
+}
+
+test('recordChange keeps only the fields that changed', () => {
+    const history = createHistory();
+    const state = makeState();
+
+    const entry = recordChange(history, state, 'Set tax to 8%', () => {
+        state.tax = 8;
+    });
+
+    assert.equal(entry.label, 'Set tax to 8%');
+    assert.deepEqual(entry.changes, [{ path: ['tax'], before: 0, after: 8 }]);
+    assert.equal(history.past.length, 1);
+});
+
+test('recordChange stores the changed values, not whole lists', () => {
+    const history = createHistory();
+    const state = makeState();
+    state.items.push(...Array.from({ length: 20 }, (_, i) => ({ id: i + 1, name: `Dish ${i}`, price: 10, personQuantities: {} })));
+
+    const edit = recordChange(history, state, 'Edit Dish 5', () => {
+        state.items[6].price = 12;
+        state.items[6].personQuantities[0] = 1;
+    });
+    assert.deepEqual(edit.changes, [
+        { path: ['items', 6, 'price'], before: 10, after: 12 },
+        { path: ['items', 6, 'personQuantities', '0'], before: undefined, after: 1 }
+    ]);
+
+    const removal = recordChange(history, state, 'Remove Dish 2', () => {
+        state.items.splice(3, 1);
+    });
+    assert.deepEqual(removal.changes, [
+        { path: ['items'], index: 3, removed: [{ id: 3, name: 'Dish 2', price: 10, personQuantities: {} }], inserted: [] }
+    ]);
+
+    const saved = migrateHistory(JSON.parse(JSON.stringify(history)));
+    undoChange(saved, state);
+    undoChange(saved, state);
+    assert.equal(state.items.length, 21);
+    assert.deepEqual(state.items[6], { id: 6, name: 'Dish 5', price: 10, personQuantities: {} });
+});
+
+test('recordChange skips changes that change nothing', () => {
+    const history = createHistory();
+    const state = makeState();
+
+    assert.equal(recordChange(history, state, 'Noop', () => {}), null);
+    assert.equal(history.past.length, 0);
+});
+
+test('view preferences are not recorded', () => {
+    const history = createHistory();
+    const state = makeState();
+
+    assert.equal(recordChange(history, state, 'Transpose', () => {
+        state.isTransposed = true;
+    }), null);
+});
+
+test('undo and redo move through the changes', () => {
+    const history = createHistory();
+    const state = makeState();
+    const original = makeState();
+
+    recordChange(history, state, 'Remove Bob', () => removePerson(state, 1));
+    recordChange(history, state, 'Edit Pizza', () => {
+        state.items[0].price = 25;
+    });
+    const edited = structuredClone(state);
+
+    assert.equal(undoChange(history, state).label, 'Edit Pizza');
+    assert.equal(undoChange(history, state).label, 'Remove Bob');
+    assert.deepEqual(state, original);
+    assert.equal(undoChange(history, state), null);
+
+    assert.equal(redoChange(history, state).label, 'Remove Bob');
+    assert.equal(redoChange(history, state).label, 'Edit Pizza');
+    assert.deepEqual(state, edited);
+    assert.equal(redoChange(history, state), null);
+});
+
+test('undone entries never share objects with the live state', () => {
+    const history = createHistory();
+    const state = makeState();
+
+    recordChange(history, state, 'Edit Pizza', () => {
+        state.items[0].price = 25;
+    });
+    undoChange(history, state);
+    state.items[0].price = 99;
+
+    assert.equal(history.future[0].changes[0].before, 20);
+});
+
+test('a new change clears the redo list', () => {
+    const history = createHistory();
+    const state = makeState();
+
+    recordChange(history, state, 'Set tip to 15%', () => {
+        state.tip = 15;
+    });
+    undoChange(history, state);
+    recordChange(history, state, 'Set tip to 20%', () => {
+        state.tip = 20;
+    });
+
+    assert.deepEqual(history.future, []);
+    assert.deepEqual(history.past.map(e => e.label), ['Set tip to 20%']);
+});
+
+test('history is bounded', () => {
+    const history = createHistory(3);
+    const state = makeState();
+
+    for (let tax = 1; tax <= 5; tax++) {
+        recordChange(history, state, `Set tax to ${tax}%`, () => {
+            state.tax = tax;
+        });
+    }
+
+    assert.deepEqual(history.past.map(e => e.changes[0].after), [3, 4, 5]);
+});
+
+test('goToChange jumps backwards and forwards', () => {
+    const history = createHistory();
+    const state = makeState();
+
+    [5, 10, 15].forEach(tax => recordChange(history, state, `Set tax to ${tax}%`, () => {
+        state.tax = tax;
+    }));
+
+    goToChange(history, state, 1);
+    assert.equal(state.tax, 5);
+    assert.equal(history.future.length, 2);
+
+    goToChange(history, state, 0);
+    assert.equal(state.tax, 0);
+
+    goToChange(history, state, 99);
+    assert.equal(state.tax, 15);
+});
+
+test('migrateHistory restores saved history and drops junk', () => {
+    const history = createHistory();
+    const state = makeState();
+    recordChange(history, state, 'Set tax to 5%', () => {
+        state.tax = 5;
+    });
+
+    assert.deepEqual(migrateHistory(JSON.parse(JSON.stringify(history))), history);
+    assert.deepEqual(migrateHistory(null), createHistory());
+    assert.deepEqual(migrateHistory({ past: 'nope' }), createHistory());
+});
+
+test('migrateHistory reads entries saved with whole fields', () => {
+    const state = makeState();
+    state.tax = 8;
+    const history = migrateHistory({ past: [{ label: 'Set tax to 8%', at: 1, before: { tax: 0 }, after: { tax: 8 } }], future: [] });
+
+    assert.deepEqual(history.past[0].changes, [{ path: ['tax'], before: 0, after: 8 }]);
+    undoChange(history, state);
+    assert.equal(state.tax, 0);
+});
+
+test('migrateHistory reads whole-field entries that saved only one side', () => {
+    const history = migrateHistory({
+        past: [{ label: 'Add Bob', at: 1, after: { nextPersonId: 2 } }],
+        future: [{ label: 'Clear tip', at: 2, before: { tipAmount: 5 } }]
+    });
+
+    assert.deepEqual(history.past[0].changes, [{ path: ['nextPersonId'], before: undefined, after: 2 }]);
+    assert.deepEqual(history.future[0].changes, [{ path: ['tipAmount'], before: 5, after: undefined }]);
+});
@@ -0,0 +1,101 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ledgerCurrencies, computeLedger, recordSettlement, removeSettlement } = require('../ledger.js');
+const { createLibrary, addBill } = require('../library.js');
+const { createDefaultState } = require('../bill.js');
+
+// A lunch where `payerName` paid for everyone and each of `names` had one $10 dish.
+function lunch(library, date, payerName, names, { archived = true, currency } = {}) {
+    const people = names.map((name, idx) => ({ id: idx, name, uid: name.toLowerCase() }));
+    const items = people.map(p => ({ id: p.id, name: 'Dish', price: 10, personQuantities: { [p.id]: 1 } }));
+    const payer = people.find(p => p.name === payerName);
+    const bill = addBill(library, { title: `Lunch ${date}`, date }, {
+        ...createDefaultState(),
+        tip: 0,
+        people,
+        items,
+        payments: { [payer.id]: names.length * 10 },
+        ...(currency ? { currency } : {})
+    });
+    bill.archived = archived;
+    return bill;
+}
+
+const balanceOf = (ledger, uid) => ledger.members.find(m => m.uid === uid).balance;
+
+test('balances add up across archived bills by identity', () => {
+    const library = createLibrary();
+    lunch(library, '2024-05-06', 'Alice', ['Alice', 'Bob', 'Cara']);
+    lunch(library, '2024-05-07', 'Bob', ['Cara', 'Bob']); // Different per-bill ids
+
+    const ledger = computeLedger(library);
+
+    assert.equal(ledger.billCount, 2);
+    assert.deepEqual(ledger.members.map(m => [m.name, m.balance]), [['Alice', 2000], ['Bob', 0], ['Cara', -2000]]);
+    assert.deepEqual(ledger.transfers, [{ from: 'cara', to: 'alice', amount: 2000 }]);
+    assert.deepEqual(ledger.unbalancedBills, []);
+});
+
+test('open bills and bills nobody paid stay out of the ledger', () => {
+    const library = createLibrary();
+    lunch(library, '2024-05-06', 'Alice', ['Alice', 'Bob'], { archived: false });
+    const unpaid = lunch(library, '2024-05-07', 'Alice', ['Alice', 'Bob']);
+    unpaid.state.payments = {};
+
+    assert.equal(computeLedger(library).billCount, 0);
+    assert.deepEqual(computeLedger(library).members, []);
+});
+
+test('a recorded settlement zeroes out the balance', () => {
+    const library = createLibrary();
+    lunch(library, '2024-05-06', 'Alice', ['Alice', 'Bob']);
+
+    const [transfer] = computeLedger(library).transfers;
+    recordSettlement(library, { ...transfer, amount: transfer.amount / 100, date: '2024-05-08' });
+
+    const ledger = computeLedger(library);
+    assert.equal(balanceOf(ledger, 'alice'), 0);
+    assert.equal(balanceOf(ledger, 'bob'), 0);
+    assert.deepEqual(ledger.transfers, []);
+
+    removeSettlement(library, library.settlements[0].id);
+    assert.equal(balanceOf(computeLedger(library), 'bob'), -1000);
+});
+
+test('the latest name is shown for a renamed person', () => {
+    const library = createLibrary();
+    lunch(library, '2024-05-06', 'Alice', ['Alice', 'Bob']);
+    const later = lunch(library, '2024-05-07', 'Alice', ['Alice', 'Bob']);
+    later.state.people[1].name = 'Robert';
+
+    assert.deepEqual(computeLedger(library).members.map(m => m.name), ['Alice', 'Robert']);
+});
+
+test('bills whose payments do not match their total are flagged', () => {
+    const library = createLibrary();
+    const bill = lunch(library, '2024-05-06', 'Alice', ['Alice', 'Bob']);
+    bill.state.payments = { 0: 25 };
+
+    assert.deepEqual(computeLedger(library).unbalancedBills, [{ id: bill.id, title: bill.title, gap: 500 }]);
+});
+
+test('settlements need two different people and a positive amount', () => {
+    const library = createLibrary();
+
+    assert.throws(() => recordSettlement(library, { from: 'bob', to: 'bob', amount: 5 }));
+    assert.throws(() => recordSettlement(library, { from: 'bob', to: 'alice', amount: 0 }));
+    assert.equal(library.settlements.length, 0);
+});
+
+test('each currency keeps its own ledger', () => {
+    const library = createLibrary();
+    lunch(library, '2024-05-06', 'Alice', ['Alice', 'Bob']);
+    lunch(library, '2024-05-07', 'Bob', ['Alice', 'Bob'], { currency: 'EUR' });
+    recordSettlement(library, { from: 'alice', to: 'bob', amount: 4, currency: 'EUR' });
+
+    assert.deepEqual(ledgerCurrencies(library), ['USD', 'EUR']);
+    assert.deepEqual(computeLedger(library).members.map(m => [m.name, m.balance]), [['Alice', 1000], ['Bob', -1000]]);
+    assert.deepEqual(computeLedger(library, 'EUR').members.map(m => [m.name, m.balance]), [['Bob', 600], ['Alice', -600]]);
+});
@@ -0,0 +1,118 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createLibrary, migrateLibrary, findBill, getActiveBill, listBills, addBill,
+    updateBillDetails, duplicateBill, setBillArchived, deleteBill, storeBillState,
+    findPersonUid, linkPeople
+} = require('../library.js');
+const { createDefaultState } = require('../bill.js');
+
+function makeLibrary() {
+    const library = createLibrary();
+    addBill(library, { title: 'Monday', date: '2024-05-06', restaurant: 'Thai Palace' });
+    addBill(library, { title: 'Tuesday', date: '2024-05-07' });
+    addBill(library, { title: 'Wednesday', date: '2024-05-08' });
+    library.activeBillId = 1;
+    return library;
+}
+
+test('migrateLibrary adopts the single saved state as the first bill', () => {
+    const legacy = { people: [{ id: 0, name: 'Alice' }], items: [], nextPersonId: 1, nextItemId: 0, tax: 5 };
+    const library = migrateLibrary(null, legacy);
+
+    assert.equal(library.bills.length, 1);
+    assert.equal(getActiveBill(library).title, 'Saved bill');
+    assert.deepEqual(getActiveBill(library).state.people.map(p => p.name), ['Alice']);
+    assert.equal(getActiveBill(library).state.tax, 5);
+});
+
+test('migrateLibrary starts an empty bill when nothing was saved', () => {
+    const library = migrateLibrary(null, null);
+
+    assert.equal(library.bills.length, 1);
+    assert.deepEqual(getActiveBill(library).state, createDefaultState());
+});
+
+test('migrateLibrary prefers the saved library over the old single state', () => {
+    const saved = JSON.parse(JSON.stringify(makeLibrary()));
+    const library = migrateLibrary(saved, { people: [{ id: 0, name: 'Ignored' }], items: [] });
+
+    assert.deepEqual(library.bills.map(b => b.title), ['Monday', 'Tuesday', 'Wednesday']);
+    assert.equal(library.activeBillId, 1);
+    assert.equal(library.nextBillId, 3);
+});
+
+test('listBills sorts newest first and hides archived bills', () => {
+    const library = makeLibrary();
+    setBillArchived(library, 2, true);
+
+    assert.deepEqual(listBills(library).map(b => b.title), ['Tuesday', 'Monday']);
+    assert.deepEqual(listBills(library, { includeArchived: true }).map(b => b.title), ['Wednesday', 'Tuesday', 'Monday']);
+});
+
+test('updateBillDetails renames but never blanks the title', () => {
+    const library = makeLibrary();
+    updateBillDetails(library, 0, { title: '  Team lunch ', restaurant: 'Noodle Bar' });
+    updateBillDetails(library, 0, { title: '   ' });
+
+    assert.equal(findBill(library, 0).title, 'Team lunch');
+    assert.equal(findBill(library, 0).restaurant, 'Noodle Bar');
+});
+
+test('duplicateBill copies the state without sharing it', () => {
+    const library = makeLibrary();
+    storeBillState(library, { ...createDefaultState(), people: [{ id: 0, name: 'Alice' }] });
+
+    const copy = duplicateBill(library, 1);
+    copy.state.people.push({ id: 1, name: 'Bob' });
+
+    assert.equal(copy.title, 'Tuesday (copy)');
+    assert.equal(findBill(library, 1).state.people.length, 1);
+    assert.equal(library.activeBillId, 1);
+});
+
+test('archiving or deleting the open bill opens another one', () => {
+    const library = makeLibrary();
+
+    setBillArchived(library, 1, true);
+    assert.equal(library.activeBillId, 2);
+
+    deleteBill(library, 2);
+    assert.equal(library.activeBillId, 0);
+
+    deleteBill(library, 0);
+    assert.equal(listBills(library).length, 1);
+    assert.equal(getActiveBill(library).title, 'Lunch');
+});
+
+test('migrateLibrary gives same-named people one identity across bills', () => {
+    const saved = {
+        bills: [
+            { id: 0, title: 'Monday', state: { people: [{ id: 0, name: 'Alice' }, { id: 1, name: 'Bob' }], items: [] } },
+            { id: 1, title: 'Tuesday', state: { people: [{ id: 0, name: 'bob ' }, { id: 1, name: 'Cara' }], items: [] } }
+        ],
+        activeBillId: 0
+    };
+    const library = migrateLibrary(saved);
+    const [monday, tuesday] = library.bills.map(b => b.state.people);
+
+    assert.ok(monday.every(p => p.uid));
+    assert.equal(tuesday[0].uid, monday[1].uid);
+    assert.notEqual(tuesday[1].uid, monday[0].uid);
+});
+
+test('linkPeople keeps known identities through renames and adopts strangers by name', () => {
+    const library = makeLibrary();
+    findBill(library, 0).state.people = [{ id: 0, name: 'Alice', uid: 'alice' }, { id: 1, name: 'Bob', uid: 'bob' }];
+
+    const renamed = linkPeople(library, { people: [{ id: 0, name: 'Alicia', uid: 'alice' }], items: [] });
+    const shared = linkPeople(library, { people: [{ id: 0, name: 'Bob', uid: 'someone-elses-bob' }, { id: 1, name: 'Dan' }], items: [] });
+
+    assert.equal(renamed.people[0].uid, 'alice');
+    assert.equal(shared.people[0].uid, 'bob');
+    assert.ok(shared.people[1].uid);
+    assert.equal(findPersonUid(library, 'ALICE'), 'alice');
+    assert.equal(findPersonUid(library, 'Dan'), null);
+});
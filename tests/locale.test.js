@@ -0,0 +1,45 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseNumber, formatNumber } = require('../locale.js');
+const { formatMoney } = require('../currency.js');
+
+test('parseNumber reads the locale decimal comma and the US decimal point', () => {
+    assert.equal(parseNumber('12,50', 'de-DE'), 12.5);
+    assert.equal(parseNumber('12.50', 'de-DE'), 12.5);
+    assert.equal(parseNumber('12,5', 'en-US'), 12.5);
+    assert.equal(parseNumber('-3,00', 'fr-FR'), -3);
+});
+
+test('parseNumber tells thousands separators from decimals', () => {
+    assert.equal(parseNumber('1.234,50', 'en-US'), 1234.5);
+    assert.equal(parseNumber('1,234.50', 'de-DE'), 1234.5);
+    assert.equal(parseNumber('1 234,50', 'fr-FR'), 1234.5);
+    assert.equal(parseNumber('1,234', 'en-US'), 1234);
+    assert.equal(parseNumber('1,234', 'de-DE'), 1.234);
+    assert.equal(parseNumber('1.234', 'de-DE'), 1234);
+});
+
+test('parseNumber never reads a zero integer part as thousands', () => {
+    assert.equal(parseNumber('0,500', 'en-US'), 0.5);
+    assert.equal(parseNumber('0.500', 'de-DE'), 0.5);
+    assert.equal(parseNumber('-0,250', 'en-US'), -0.25);
+    assert.equal(parseNumber('-0.250', 'de-DE'), -0.25);
+    assert.equal(parseNumber(',500', 'en-US'), 0.5);
+});
+
+test('parseNumber rejects text that is not a number', () => {
+    assert.ok(isNaN(parseNumber('', 'en-US')));
+    assert.ok(isNaN(parseNumber('12abc', 'en-US')));
+    assert.ok(isNaN(parseNumber(undefined, 'en-US')));
+});
+
+test('numbers and money are written the way the locale writes them', () => {
+    assert.equal(formatNumber(1234.5, 'de-DE', { decimals: 2 }), '1.234,50');
+    assert.equal(formatNumber(1234.5, 'en-US', { decimals: 2 }), '1,234.50');
+    assert.equal(formatNumber(12.5, 'de-DE', { grouping: false }), '12,5');
+    assert.equal(formatMoney(123450, 'EUR', 'de-DE'), '1.234,50\u00a0€'); // Intl keeps the symbol on the same line
+    assert.equal(formatMoney(-300, 'USD', 'en-US'), '-$3.00');
+    assert.equal(formatMoney(1250, 'KWD', 'en-US'), 'KWD\u00a01.250');
+});
@@ -0,0 +1,75 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    PAYMENT_PRESETS, templateProblems, isPaymentLink, listPaymentTemplates, findPaymentTemplate,
+    savePaymentTemplate, removePaymentTemplate, acceptsCurrency, fillPaymentTemplate
+} = require('../payment.js');
+const { createLibrary, migrateLibrary } = require('../library.js');
+
+const preset = id => PAYMENT_PRESETS.find(t => t.id === id);
+const payment = { handle: '@alice', payee: 'Alice', payer: 'Bob', amount: 1250, currency: 'USD', decimals: 2, note: 'Team lunch & co 2026-10-19' };
+
+test('fillPaymentTemplate fills in a link with URL-encoded values', () => {
+    assert.equal(fillPaymentTemplate(preset('paypal').template, payment), 'https://paypal.me/alice/12.50USD');
+    assert.equal(
+        fillPaymentTemplate(preset('venmo').template, payment),
+        'https://venmo.com/alice?txn=pay&amount=12.50&note=Team%20lunch%20%26%20co%202026-10-19'
+    );
+    assert.equal(
+        fillPaymentTemplate(preset('upi').template, { ...payment, handle: 'alice@okbank', amount: 50000, currency: 'INR' }),
+        'upi://pay?pa=alice@okbank&pn=Alice&am=500.00&cu=INR&tn=Team%20lunch%20%26%20co%202026-10-19'
+    );
+    assert.equal(fillPaymentTemplate('https://pay.example/{handle}/{amount}', { ...payment, amount: 1500, decimals: 0 }), 'https://pay.example/alice/1500');
+});
+
+test('fillPaymentTemplate keeps bank payloads as text without extra lines', () => {
+    const epc = fillPaymentTemplate(preset('epc').template, {
+        ...payment, handle: 'DE89 3704 0044 0532 0130 00', currency: 'EUR', note: 'Lunch\nsneaky line'
+    });
+    assert.equal(epc, 'BCD\n002\n1\nSCT\n\nAlice\nDE89370400440532013000\nEUR12.50\n\n\nLunch sneaky line');
+    assert.ok(!isPaymentLink(epc));
+    assert.ok(acceptsCurrency(preset('epc'), 'EUR'));
+    assert.ok(!acceptsCurrency(preset('epc'), 'USD'));
+    assert.ok(acceptsCurrency(preset('paypal'), 'JPY'));
+});
+
+test('templateProblems and isPaymentLink refuse unknown placeholders and script links', () => {
+    assert.deepEqual(templateProblems('https://pay.example/{handle}/{amount}'), []);
+    assert.deepEqual(templateProblems(' '), ['The template is empty']);
+    assert.deepEqual(templateProblems('https://pay.example/{user}?a={total}'), ['Unknown placeholder {user}, {total}']);
+    assert.deepEqual(templateProblems('JavaScript:alert({handle})'), ['JavaScript: links are not allowed']);
+
+    assert.ok(isPaymentLink('upi://pay?pa=a@b'));
+    assert.ok(!isPaymentLink('javascript:alert(1)'));
+    assert.ok(!isPaymentLink('data:text/html,hi'));
+    assert.ok(!isPaymentLink('pay alice 12.50'));
+});
+
+test('custom templates are saved in the library next to the presets', () => {
+    const library = createLibrary();
+    assert.throws(() => savePaymentTemplate(library, { name: 'Bad', template: '{oops}' }), /Unknown placeholder/);
+    assert.throws(() => savePaymentTemplate(library, { name: ' ', template: '{handle}' }), /needs a name/);
+
+    const bank = savePaymentTemplate(library, { name: ' Bank ', template: 'https://bank.example/pay/{handle}?amount={amount} ' });
+    assert.deepEqual(bank, { id: 0, name: 'Bank', template: 'https://bank.example/pay/{handle}?amount={amount}' });
+    savePaymentTemplate(library, { ...bank, name: 'My bank' });
+    assert.equal(library.paymentTemplates.length, 1);
+    assert.equal(listPaymentTemplates(library).length, PAYMENT_PRESETS.length + 1);
+    assert.equal(findPaymentTemplate(library, '0').name, 'My bank');
+    assert.equal(findPaymentTemplate(library, 'epc').name, preset('epc').name);
+    assert.equal(findPaymentTemplate(library, null), null);
+
+    library.paymentTemplateId = bank.id;
+    library.paymentQRInImage = true;
+    const loaded = migrateLibrary(JSON.parse(JSON.stringify(library)));
+    assert.deepEqual(loaded.paymentTemplates, library.paymentTemplates);
+    assert.equal(loaded.nextPaymentTemplateId, 1);
+    assert.equal(loaded.paymentTemplateId, 0);
+    assert.equal(loaded.paymentQRInImage, true);
+
+    assert.equal(removePaymentTemplate(library, 0).name, 'My bank');
+    assert.equal(removePaymentTemplate(library, 0), null);
+    assert.equal(library.paymentTemplateId, null);
+});
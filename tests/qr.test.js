@@ -0,0 +1,42 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EC_LEVELS, encodeQR, qrSVG } = require('../qr.js');
+
+// The 15 format bits next to the top-left finder, unmasked
+function formatBits(modules) {
+    const cells = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+    return cells.reduce((bits, [x, y], i) => bits | (modules[y][x] ? 1 << i : 0), 0) ^ 0x5412;
+}
+
+test('encodeQR picks the smallest version that fits', () => {
+    assert.equal(encodeQR('https://paypal.me/alice/12.50USD').length, 29); // 32 bytes: version 3
+    assert.equal(encodeQR('a'.repeat(14), 'M').length, 21);
+    assert.equal(encodeQR('a'.repeat(15), 'M').length, 25);
+    assert.equal(encodeQR('a'.repeat(15), 'L').length, 21);
+    assert.throws(() => encodeQR('a'.repeat(3000), 'L'), /Too much data/);
+});
+
+test('encodeQR draws the finder patterns and a valid format code', () => {
+    for (const level of Object.keys(EC_LEVELS)) {
+        const modules = encodeQR('BCD\n002\n1\nSCT\n\nBob\nDE89370400440532013000\nEUR12.50', level);
+        const size = modules.length;
+        const finder = (x, y) => modules[y + 3][x + 3] && !modules[y + 1][x + 1] && modules[y][x];
+        assert.ok(finder(0, 0) && finder(size - 7, 0) && finder(0, size - 7), level);
+        assert.ok(!modules[7][7] && !modules[size - 8][7]);
+
+        const bits = formatBits(modules);
+        let remainder = bits >>> 10;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        assert.equal(((bits >>> 10) << 10) | remainder, bits, 'BCH error correction bits');
+        assert.equal(bits >>> 13, EC_LEVELS[level].formatBits, level);
+    }
+});
+
+test('qrSVG draws one square per dark module inside a quiet zone', () => {
+    const svg = qrSVG([[true, false], [false, true]], { moduleSize: 2 });
+    assert.match(svg, /viewBox="0 0 10 10" width="20" height="20"/);
+    assert.equal(svg.match(/h1v1h-1z/g).length, 2);
+    assert.ok(svg.includes('M4 4h1v1h-1z') && svg.includes('M5 5h1v1h-1z'));
+});
@@ -0,0 +1,136 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseAmount, parseReceiptLine, recognizedWords, groupTextLines, parseReceiptText } = require('../receipt.js');
+
+test('parseAmount reads dot and comma decimals and thousands separators', () => {
+    assert.equal(parseAmount('12.50'), 12.5);
+    assert.equal(parseAmount('$1,234.50'), 1234.5);
+    assert.equal(parseAmount('12,50'), 12.5);
+    assert.equal(parseAmount('1.234,50'), 1234.5);
+    assert.equal(parseAmount('-3.00'), -3);
+    assert.ok(isNaN(parseAmount('twelve')));
+});
+
+test('item lines with quantities, dot leaders and tax codes', () => {
+    assert.deepEqual(parseReceiptLine('2 x Pad Thai 12.50'),
+        { kind: 'item', name: 'Pad Thai', quantity: 2, price: 12.5, line: '2 x Pad Thai 12.50' });
+    assert.equal(parseReceiptLine('Burger ........ 9.99').name, 'Burger');
+    assert.equal(parseReceiptLine('3x Spring Roll @ 2.00   6.00 A').quantity, 3);
+    assert.equal(parseReceiptLine('3x Spring Roll @ 2.00   6.00 A').price, 6);
+    assert.equal(parseReceiptLine('Iced Tea x2    $5.00').quantity, 2);
+    assert.equal(parseReceiptLine('Coupon 3.00-').price, -3);
+    assert.equal(parseReceiptLine('Thank you for dining with us'), null);
+});
+
+test('parseReceiptText separates items from subtotal, tax, tip and total lines', () => {
+    const receipt = parseReceiptText(`
+        THAI GARDEN
+        2 x Pad Thai        25.00
+        Burger ........ 9.99
+        Green Curry   14.50
+        SUBTOTAL      49.49
+        Sales Tax      2.00
+        State Tax      1.96
+        Gratuity 18%   8.91
+        TOTAL         62.36
+        VISA          62.36
+    `);
+
+    assert.deepEqual(receipt.items.map(i => [i.name, i.quantity, i.price]), [
+        ['Pad Thai', 2, 25],
+        ['Burger', 1, 9.99],
+        ['Green Curry', 1, 14.5]
+    ]);
+    assert.equal(receipt.subtotal, 49.49);
+    assert.equal(receipt.tax, 3.96);
+    assert.equal(receipt.tip, 8.91);
+    assert.equal(receipt.total, 62.36);
+    assert.deepEqual(receipt.ignored, ['THAI GARDEN']);
+});
+
+test('a receipt without summary lines leaves them null', () => {
+    const receipt = parseReceiptText('Coffee 3.50\n\nBagel 2.25');
+
+    assert.equal(receipt.items.length, 2);
+    assert.equal(receipt.subtotal, null);
+    assert.equal(receipt.tax, null);
+    assert.equal(receipt.tip, null);
+});
+
+test('groupTextLines joins words on the same row and keeps column gaps', () => {
+    const word = (text, x, y, confidence) => ({ text, box: { x, y, width: text.length * 10, height: 20 }, confidence });
+    const lines = groupTextLines([
+        word('12.50', 300, 42, 0.9),
+        word('Pad', 10, 40, 0.95),
+        word('Thai', 50, 38, 0.6),
+        word('Burger', 10, 80, 0.99),
+        word('9.99', 300, 81, 0.97)
+    ]);
+
+    assert.deepEqual(lines, [
+        { text: 'Pad Thai   12.50', confidence: 0.6 },
+        { text: 'Burger   9.99', confidence: 0.97 }
+    ]);
+});
+
+test('lines read with low confidence or mixed letters and digits are doubtful', () => {
+    const receipt = parseReceiptText([
+        { text: 'Pad Thai   12.50', confidence: 0.6 },
+        { text: 'Burger   9.99', confidence: 0.97 },
+        { text: 'B0rger   9.99', confidence: null },
+        { text: '12oz Steak   20.00', confidence: null }
+    ]);
+
+    assert.deepEqual(receipt.items.map(i => [i.name, i.doubtful]), [
+        ['Pad Thai', true],
+        ['Burger', false],
+        ['B0rger', true],
+        ['12oz Steak', false]
+    ]);
+});
+
+test('words recognized by Tesseract become lines with their lowest confidence', () => {
+    // Tesseract 5 (tesseract.js 7, eng 4.0.0_best_int) on a receipt with a smudged line,
+    // as [text, confidence, x0, y0, x1, y1] in its blocks > paragraphs > lines tree
+    const tree = [
+        [[['THAI', 93, 31, 30, 95, 51], ['GARDEN', 96, 116, 29, 214, 51]]],
+        [
+            [['2', 94, 32, 74, 45, 95], ['x', 94, 65, 79, 80, 95], ['Pad', 96, 100, 73, 145, 95], ['Thai', 96, 165, 73, 230, 95], ['25.00', 95, 482, 73, 563, 95]],
+            [['Green', 95, 31, 117, 112, 139], ['Curry', 95, 133, 117, 214, 144], ['14.50', 96, 483, 117, 563, 139]],
+            [['Iced', 95, 33, 161, 95, 183], ['Tea', 96, 115, 162, 163, 183], ['4.50', 96, 481, 161, 546, 183]],
+            [['“Spring', 56, 20, 200, 128, 237], ['RoLLsAr', 0, 151, 200, 274, 237], ['6.00', 95, 482, 205, 545, 227]],
+            [['SUBTOTAL', 95, 32, 249, 164, 271], ['44.00', 78, 481, 249, 563, 271]],
+            [['Tax', 95, 31, 294, 80, 315], ['3.52', 96, 482, 293, 545, 315]],
+            [['TOTAL', 96, 31, 337, 113, 359], ['47.52', 95, 481, 338, 562, 359]]
+        ]
+    ];
+    const blocks = tree.map(lines => ({
+        paragraphs: [{
+            lines: lines.map(words => ({
+                words: words.map(([text, confidence, x0, y0, x1, y1]) => ({ text, confidence, bbox: { x0, y0, x1, y1 } }))
+            }))
+        }]
+    }));
+
+    const words = recognizedWords(blocks);
+    assert.deepEqual(words[0], { text: 'THAI', box: { x: 31, y: 30, width: 64, height: 21 }, confidence: 0.93 });
+
+    const lines = groupTextLines(words);
+    assert.deepEqual(lines.slice(1, 5), [
+        { text: '2 x Pad Thai   25.00', confidence: 0.94 },
+        { text: 'Green Curry   14.50', confidence: 0.95 },
+        { text: 'Iced Tea   4.50', confidence: 0.95 },
+        { text: '“Spring   RoLLsAr   6.00', confidence: 0 }
+    ]);
+
+    const receipt = parseReceiptText(lines);
+    assert.deepEqual(receipt.items.map(i => [i.name, i.quantity, i.price, i.doubtful]), [
+        ['Pad Thai', 2, 25, false],
+        ['Green Curry', 1, 14.5, false],
+        ['Iced Tea', 1, 4.5, false],
+        ['“Spring RoLLsAr', 1, 6, true]
+    ]);
+    assert.deepEqual([receipt.subtotal, receipt.tax, receipt.total], [44, 3.52, 47.52]);
+});
@@ -0,0 +1,64 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    findRosterEntry, saveRosterEntry, removeRosterEntry, rosterSuggestions,
+    addCrew, crewEntries, addRosterPeople, rosterEntryFor
+} = require('../roster.js');
+const { createLibrary, migrateLibrary } = require('../library.js');
+const { createDefaultState } = require('../bill.js');
+
+function makeLibrary() {
+    const library = createLibrary();
+    saveRosterEntry(library, { uid: 'alice', name: 'Alice', paymentHandle: '@alice' });
+    saveRosterEntry(library, { uid: 'bob', name: 'Bob', currency: 'EUR', tipExempt: true });
+    saveRosterEntry(library, { uid: 'abe', name: 'Abe' });
+    return library;
+}
+
+test('saveRosterEntry updates the entry with the same uid or name', () => {
+    const library = makeLibrary();
+
+    saveRosterEntry(library, { uid: 'alice', name: 'Alicia ', paymentHandle: ' @alicia' });
+    saveRosterEntry(library, { name: 'bob', currency: 'GBP' });
+    assert.equal(library.roster.length, 3);
+    assert.deepEqual(findRosterEntry(library, 'ALICIA'), { uid: 'alice', name: 'Alicia', paymentHandle: '@alicia', currency: '', tipExempt: false });
+    assert.equal(findRosterEntry(library, 'Bob').currency, 'GBP');
+    assert.throws(() => saveRosterEntry(library, { name: ' ' }));
+});
+
+test('rosterSuggestions leaves out people already on the bill', () => {
+    const library = makeLibrary();
+    const billState = { ...createDefaultState(), people: [{ id: 0, name: 'alice' }] };
+
+    assert.deepEqual(rosterSuggestions(library, '', billState), ['Abe', 'Bob']);
+    assert.deepEqual(rosterSuggestions(library, 'b', billState), ['Bob', 'Abe']);
+});
+
+test('addRosterPeople applies the defaults and skips people already on the bill', () => {
+    const library = makeLibrary();
+    const crew = addCrew(library, 'Usual crew', ['alice', 'bob', 'alice']);
+    const billState = { ...createDefaultState(), people: [{ id: 0, name: 'Abe' }], nextPersonId: 1 };
+
+    const added = addRosterPeople(billState, [...crewEntries(library, crew.id), findRosterEntry(library, 'Abe')]);
+    assert.deepEqual(added.map(p => p.name), ['Alice', 'Bob']);
+    assert.deepEqual(billState.people[1], { id: 1, name: 'Alice', uid: 'alice', paymentHandle: '@alice' });
+    assert.deepEqual(billState.settlementCurrencies, { 2: 'EUR' });
+    assert.deepEqual(billState.tipExempt, [2]);
+    assert.deepEqual(rosterEntryFor(billState, billState.people[2]), findRosterEntry(library, 'Bob'));
+});
+
+test('removing someone from the roster takes them out of crews, and the roster is saved', () => {
+    const library = makeLibrary();
+    addCrew(library, 'Usual crew', ['alice', 'bob']);
+
+    assert.equal(removeRosterEntry(library, 'bob').name, 'Bob');
+    assert.equal(removeRosterEntry(library, 'bob'), null);
+    assert.deepEqual(library.crews[0].uids, ['alice']);
+
+    const loaded = migrateLibrary(JSON.parse(JSON.stringify(library)));
+    assert.deepEqual(loaded.roster, library.roster);
+    assert.deepEqual(loaded.crews, library.crews);
+    assert.equal(loaded.nextCrewId, 1);
+});
@@ -0,0 +1,90 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeBalances, settleUp } = require('../settle.js');
+const { computeSplit } = require('../split.js');
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+function makeState(overrides = {}) {
+    return {
+        people: [
+            { id: 0, name: 'Alice' },
+            { id: 1, name: 'Bob' },
+            { id: 2, name: 'Cara' }
+        ],
+        items: [
+            { id: 0, name: 'Pizza', price: 30, personQuantities: { 0: 1, 1: 1, 2: 1 } },
+            { id: 1, name: 'Wine', price: 12.6, personQuantities: { 1: 1 } }
+        ],
+        tax: 0,
+        tip: 0,
+        ...overrides
+    };
+}
+
+test('computeBalances compares what people paid with what they owe', () => {
+    const balances = computeBalances(computeSplit(makeState()), { 0: 42.6 });
+
+    assert.deepEqual(balances, [
+        { id: 0, name: 'Alice', paid: 4260, owes: 1000, balance: 3260 },
+        { id: 1, name: 'Bob', paid: 0, owes: 2260, balance: -2260 },
+        { id: 2, name: 'Cara', paid: 0, owes: 1000, balance: -1000 }
+    ]);
+});
+
+test('one payer is paid back by everybody else', () => {
+    const balances = computeBalances(computeSplit(makeState()), { 0: 42.6 });
+
+    assert.deepEqual(settleUp(balances), [
+        { from: 1, to: 0, amount: 2260 },
+        { from: 2, to: 0, amount: 1000 }
+    ]);
+});
+
+test('split payments only move the difference', () => {
+    const balances = computeBalances(computeSplit(makeState()), { 0: 20, 1: 22.6 });
+
+    assert.deepEqual(settleUp(balances), [{ from: 2, to: 0, amount: 1000 }]);
+});
+
+test('balances that cancel exactly are settled directly', () => {
+    const transfers = settleUp([
+        { id: 'a', balance: 500 },
+        { id: 'b', balance: 300 },
+        { id: 'c', balance: -300 },
+        { id: 'd', balance: -500 }
+    ]);
+
+    assert.deepEqual(transfers, [
+        { from: 'c', to: 'b', amount: 300 },
+        { from: 'd', to: 'a', amount: 500 }
+    ]);
+});
+
+test('settleUp needs fewer transfers than people and evens everyone out', () => {
+    const balances = [
+        { id: 0, balance: 1234 },
+        { id: 1, balance: -401 },
+        { id: 2, balance: -402 },
+        { id: 3, balance: 700 },
+        { id: 4, balance: -1131 }
+    ];
+    const transfers = settleUp(balances);
+
+    assert.ok(transfers.length < balances.length);
+    balances.forEach(({ id, balance }) => {
+        const received = sum(transfers.filter(t => t.to === id).map(t => t.amount));
+        const sent = sum(transfers.filter(t => t.from === id).map(t => t.amount));
+        assert.equal(received - sent, balance);
+    });
+});
+
+test('nobody owes anything when everyone paid their share', () => {
+    const split = computeSplit(makeState());
+    const payments = Object.fromEntries(split.people.map(p => [p.id, p.total / 100]));
+
+    assert.deepEqual(settleUp(computeBalances(split, payments)), []);
+    assert.deepEqual(settleUp(computeBalances(split, {})), []);
+});
@@ -0,0 +1,73 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitSheet, toCSV, toXLSX } = require('../sheet.js');
+const { computeSplit } = require('../split.js');
+const { createDefaultState } = require('../bill.js');
+
+function makeSplit() {
+    return computeSplit({
+        ...createDefaultState(),
+        people: [{ id: 0, name: 'Alice' }, { id: 1, name: 'Bob' }],
+        items: [
+            { id: 0, name: 'Pizza', price: 18, personQuantities: { 0: 2, 1: 1 } },
+            { id: 1, name: 'Soda', price: 3, personQuantities: { 1: 1 } }
+        ],
+        tax: 10,
+        tip: 0
+    });
+}
+
+// --- TABLES ---
+test('splitSheet lays out items by person with summary rows', () => {
+    const { rows, boldRows } = splitSheet(makeSplit());
+
+    assert.deepEqual(rows, [
+        ['Item', 'Price', 'Alice', 'Bob', 'Item Total'],
+        ['Pizza', 18, 12, 6, 18],
+        ['Soda', 3, '', 3, 3],
+        ['Subtotal', '', 12, 9, 21],
+        ['Tax', '', 1.2, 0.9, 2.1],
+        ['Tip', '', 0, 0, 0],
+        ['Total', '', 13.2, 9.9, 23.1]
+    ]);
+    assert.deepEqual(boldRows, [0, 6]);
+});
+
+test('splitSheet transposed lays out people by item with summary columns', () => {
+    const { rows } = splitSheet(makeSplit(), true);
+
+    assert.deepEqual(rows, [
+        ['Person', 'Pizza', 'Soda', 'Subtotal', 'Tax', 'Tip', 'Total'],
+        ['Price', 18, 3, '', '', '', ''],
+        ['Alice', 12, '', 12, 1.2, 0, 13.2],
+        ['Bob', 6, 3, 9, 0.9, 0, 9.9],
+        ['Item Total', 18, 3, 21, '', '', '']
+    ]);
+});
+
+// --- CSV ---
+test('toCSV quotes text, fixes decimals and defuses formulas', () => {
+    const csv = toCSV([['Name', 'Paid'], ['Smith, "Jo"', 12.5], ['=SUM(A1)', -3]], 2);
+
+    assert.equal(csv, 'Name,Paid\r\n"Smith, ""Jo""",12.50\r\n\'=SUM(A1),-3.00\r\n');
+});
+
+test('toCSV writes decimal commas and semicolons for a decimal-comma locale', () => {
+    const csv = toCSV([['Name', 'Paid'], ['Smith; Jo', 1234.5], ['Müller, Anna', -3]], 2, 'de-DE');
+
+    assert.equal(csv, 'Name;Paid\r\n"Smith; Jo";1234,50\r\nMüller, Anna;-3,00\r\n');
+});
+
+// --- XLSX ---
+test('toXLSX writes a zip with a worksheet per table', () => {
+    const split = makeSplit();
+    const bytes = toXLSX([splitSheet(split), splitSheet(split, true)], split.decimals);
+    const text = new TextDecoder().decode(bytes); // Entries are stored uncompressed
+
+    assert.deepEqual([...bytes.slice(0, 4)], [0x50, 0x4b, 0x03, 0x04]);
+    assert.match(text, /<sheet name="Items by person" sheetId="1" r:id="rId1"\/><sheet name="People by item" sheetId="2"/);
+    assert.match(text, /<c r="B2" s="2"><v>18<\/v><\/c>/);
+    assert.match(text, /formatCode="#,##0\.00"/);
+});
@@ -0,0 +1,326 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { allocateMinor, computeSplit, reconcileSplit, toMinor, formatMinor } = require('../split.js');
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+function makeState(overrides = {}) {
+    return {
+        people: [
+            { id: 0, name: 'Alice' },
+            { id: 1, name: 'Bob' },
+            { id: 2, name: 'Cara' }
+        ],
+        items: [],
+        tax: 0,
+        tip: 0,
+        ...overrides
+    };
+}
+
+test('toMinor and formatMinor convert between amounts and cents', () => {
+    assert.equal(toMinor(12.5), 1250);
+    assert.equal(toMinor('0.29'), 29);
+    assert.equal(toMinor(''), 0);
+    assert.equal(formatMinor(1234), '12.34');
+    assert.equal(formatMinor(-5), '-0.05');
+});
+
+test('bills in currencies without cents are split in whole units', () => {
+    const split = computeSplit(makeState({
+        currency: 'JPY',
+        items: [{ id: 0, name: 'Ramen', price: 1000, personQuantities: { 0: 1, 1: 1, 2: 1 } }]
+    }));
+
+    assert.equal(split.decimals, 0);
+    assert.deepEqual(split.people.map(p => p.subtotal), [334, 333, 333]);
+    assert.equal(toMinor(12.5, 3), 12500);
+    assert.equal(formatMinor(1250, 3), '1.250');
+});
+
+test('allocateMinor hands leftover cents to the largest remainders', () => {
+    assert.deepEqual(allocateMinor(100, [1, 1, 1]), { shares: [34, 33, 33], leftover: [0] });
+    assert.deepEqual(allocateMinor(100, [1, 2]).shares, [33, 67]);
+    assert.deepEqual(allocateMinor(5, [0, 1, 1]).shares, [0, 3, 2]);
+});
+
+test('allocateMinor supports the other rounding methods', () => {
+    assert.deepEqual(allocateMinor(200, [1, 1, 1, 3], 'largest-share'), { shares: [33, 33, 33, 101], leftover: [3] });
+    assert.deepEqual(allocateMinor(200, [3, 3, 3, 0], 'in-order'), { shares: [67, 67, 66, 0], leftover: [0, 1] });
+});
+
+test('allocateMinor keeps negative totals exact and ignores empty weights', () => {
+    assert.deepEqual(allocateMinor(-100, [1, 1, 1]).shares, [-34, -33, -33]);
+    assert.deepEqual(allocateMinor(100, [0, 0]).shares, [0, 0]);
+    assert.deepEqual(allocateMinor(0, [1, 2]).shares, [0, 0]);
+});
+
+test('computeSplit divides items by quantity', () => {
+    const split = computeSplit(makeState({
+        items: [
+            { id: 0, name: 'Pizza', price: 30, personQuantities: { 0: 2, 1: 1 } },
+            { id: 1, name: 'Soda', price: 4, personQuantities: { 2: 1 } }
+        ]
+    }));
+
+    assert.deepEqual(split.people.map(p => p.subtotal), [2000, 1000, 400]);
+    assert.deepEqual(split.items[0].shares, { 0: { quantity: 2, amount: 2000 }, 1: { quantity: 1, amount: 1000 } });
+    assert.equal(split.items[0].totalQuantity, 3);
+    assert.deepEqual(split.people[2].lines, [{ itemId: 1, name: 'Soda', quantity: 1, amount: 400 }]);
+});
+
+test('computeSplit totals always add up to the grand total', () => {
+    const split = computeSplit(makeState({
+        items: [
+            { id: 0, name: 'Pizza', price: 10, personQuantities: { 0: 1, 1: 1, 2: 1 } },
+            { id: 1, name: 'Wine', price: 33.33, personQuantities: { 1: 2, 2: 1 } },
+            { id: 2, name: 'Cake', price: 7.01, personQuantities: { 0: 1, 2: 1 } }
+        ],
+        tax: 8.875,
+        tip: 18
+    }));
+
+    assert.equal(sum(split.people.map(p => p.subtotal)), split.bill.subtotal);
+    assert.equal(sum(split.people.map(p => p.tax)), split.bill.tax);
+    assert.equal(sum(split.people.map(p => p.tip)), split.bill.tip);
+    assert.equal(split.grandTotal, split.bill.subtotal + split.bill.tax + split.bill.tip);
+    split.people.forEach(p => assert.equal(p.total, p.subtotal + p.tax + p.tip));
+});
+
+test('computeSplit reports who absorbed each leftover cent', () => {
+    const split = computeSplit(makeState({
+        items: [{ id: 0, name: 'Pizza', price: 10, personQuantities: { 0: 1, 1: 1, 2: 1 } }]
+    }));
+
+    assert.deepEqual(split.rounding, [{ personId: 0, label: 'Pizza' }]);
+});
+
+test('computeSplit leaves unassigned items out of the grand total', () => {
+    const split = computeSplit(makeState({
+        items: [
+            { id: 0, name: 'Pizza', price: 10, personQuantities: { 0: 1 } },
+            { id: 1, name: 'Fries', price: 5, personQuantities: {} }
+        ],
+        tip: 10
+    }));
+
+    assert.equal(split.bill.subtotal, 1500);
+    assert.equal(split.items[1].allocated, 0);
+    assert.equal(split.grandTotal, 1100);
+});
+
+test('computeSplit ignores quantities of people no longer on the bill', () => {
+    const split = computeSplit(makeState({
+        items: [{ id: 0, name: 'Pizza', price: 10, personQuantities: { 0: 1, 7: 1 } }]
+    }));
+
+    assert.equal(split.people[0].subtotal, 1000);
+    assert.equal(split.items[0].totalQuantity, 1);
+});
+
+test('computeSplit taxes each item at its own rate', () => {
+    const split = computeSplit(makeState({
+        tax: 10,
+        taxRates: [{ id: 0, name: 'Alcohol', rate: 20 }, { id: 1, name: 'Exempt', rate: 0 }],
+        items: [
+            { id: 0, name: 'Pizza', price: 30, personQuantities: { 0: 1, 1: 1, 2: 1 } },
+            { id: 1, name: 'Wine', price: 20, taxRateId: 0, personQuantities: { 1: 1 } },
+            { id: 2, name: 'Groceries', price: 15, taxRateId: 1, personQuantities: { 2: 1 } }
+        ]
+    }));
+
+    assert.deepEqual(split.people.map(p => p.tax), [100, 500, 100]);
+    assert.deepEqual(split.taxes.map(t => [t.name, t.subtotal, t.tax]), [
+        ['Default', 3000, 300],
+        ['Alcohol', 2000, 400],
+        ['Exempt', 1500, 0]
+    ]);
+    assert.equal(split.bill.tax, 700);
+    assert.equal(sum(split.people.map(p => p.total)), split.grandTotal);
+});
+
+test('computeSplit falls back to the default rate for unknown tax rates', () => {
+    const split = computeSplit(makeState({
+        tax: 10,
+        items: [{ id: 0, name: 'Wine', price: 20, taxRateId: 7, personQuantities: { 0: 1 } }]
+    }));
+
+    assert.equal(split.people[0].tax, 200);
+    assert.equal(split.taxes[0].tax, 200);
+});
+
+function tipState(overrides) {
+    return makeState({
+        tax: 10,
+        items: [
+            { id: 0, name: 'Pizza', price: 30, personQuantities: { 0: 1, 1: 1, 2: 1 } },
+            { id: 1, name: 'Steak', price: 30, personQuantities: { 2: 1 } }
+        ],
+        ...overrides
+    });
+}
+
+test('computeSplit tips on the subtotal before or after tax', () => {
+    const preTax = computeSplit(tipState({ tip: 20 }));
+    const postTax = computeSplit(tipState({ tip: 20, tipMode: 'post-tax' }));
+
+    assert.deepEqual(preTax.people.map(p => p.tip), [200, 200, 800]);
+    assert.equal(preTax.bill.tip, 1200);
+    assert.deepEqual(postTax.people.map(p => p.tip), [220, 220, 880]);
+    assert.equal(postTax.bill.tip, 1320);
+});
+
+test('computeSplit splits a fixed tip proportionally or evenly', () => {
+    const proportional = computeSplit(tipState({ tipMode: 'fixed', tipAmount: 12 }));
+    const even = computeSplit(tipState({ tipMode: 'fixed', tipAmount: 12, tipSplit: 'even' }));
+
+    assert.deepEqual(proportional.people.map(p => p.tip), [200, 200, 800]);
+    assert.deepEqual(even.people.map(p => p.tip), [400, 400, 400]);
+    assert.equal(even.bill.tip, 1200);
+});
+
+test('computeSplit shares the tip of exempt people among the others', () => {
+    const split = computeSplit(tipState({ tip: 20, tipExempt: [2] }));
+
+    assert.deepEqual(split.people.map(p => p.tip), [600, 600, 0]);
+    assert.equal(sum(split.people.map(p => p.tip)), 1200);
+});
+
+test('computeSplit ignores the tip opt-out when nobody would be left to tip', () => {
+    const split = computeSplit(tipState({ tip: 20, tipExempt: [0, 1, 2] }));
+
+    assert.deepEqual(split.people.map(p => p.tip), [200, 200, 800]);
+});
+
+function adjustmentState(adjustments) {
+    return makeState({
+        tax: 10,
+        tip: 0,
+        items: [
+            { id: 0, name: 'Pizza', price: 30, personQuantities: { 0: 1, 1: 1, 2: 1 } },
+            { id: 1, name: 'Steak', price: 30, personQuantities: { 2: 1 } }
+        ],
+        adjustments
+    });
+}
+
+test('computeSplit applies a percentage discount in proportion to subtotals', () => {
+    const split = computeSplit(adjustmentState([
+        { id: 0, name: 'Coupon', type: 'percent', value: -20, distribution: 'proportional' }
+    ]));
+
+    assert.deepEqual(split.people.map(p => p.adjustments), [{ 0: -200 }, { 0: -200 }, { 0: -800 }]);
+    assert.deepEqual(split.adjustments.map(a => [a.name, a.amount]), [['Coupon', -1200]]);
+    assert.deepEqual(split.people.map(p => p.total), [900, 900, 3600]);
+    assert.equal(split.grandTotal, 5400);
+});
+
+test('computeSplit shares a fixed fee equally and rounds it exactly', () => {
+    const split = computeSplit(adjustmentState([
+        { id: 0, name: 'Delivery', type: 'fixed', value: 5, distribution: 'equal' }
+    ]));
+
+    assert.deepEqual(split.people.map(p => p.adjustments[0]), [167, 167, 166]);
+    assert.equal(split.adjustments[0].amount, 500);
+});
+
+test('computeSplit limits an adjustment to the selected people', () => {
+    const split = computeSplit(adjustmentState([
+        { id: 0, name: 'Promo', type: 'percent', value: -10, distribution: 'selected', personIds: [1, 2] },
+        { id: 1, name: 'Corkage', type: 'fixed', value: 4, distribution: 'selected', personIds: [0] }
+    ]));
+
+    assert.deepEqual(split.people.map(p => p.adjustments), [{ 1: 400 }, { 0: -250 }, { 0: -250 }]);
+    assert.deepEqual(split.adjustments.map(a => a.amount), [-500, 400]);
+    assert.equal(sum(split.people.map(p => p.total)), split.grandTotal);
+});
+
+test('computeSplit shares a linked discount like its parent item', () => {
+    const split = computeSplit(makeState({
+        tax: 10,
+        taxRates: [{ id: 0, name: 'Alcohol', rate: 20 }],
+        items: [
+            { id: 0, name: 'Wine', price: 30, taxRateId: 0, personQuantities: { 0: 2, 1: 1 } },
+            { id: 1, name: 'Wine BOGO', price: -15, parentId: 0, personQuantities: {} },
+            { id: 2, name: 'Combo discount', price: -3, personQuantities: { 2: 1 } }
+        ]
+    }));
+
+    assert.deepEqual(split.items[1].shares, { 0: { quantity: 2, amount: -1000 }, 1: { quantity: 1, amount: -500 } });
+    assert.equal(split.items[1].parentId, 0);
+    assert.deepEqual(split.people.map(p => p.subtotal), [1000, 500, -300]);
+    assert.deepEqual(split.taxes.map(t => t.subtotal), [-300, 1500]);
+    assert.deepEqual(split.people.map(p => p.tax), [200, 100, 0]);
+});
+
+test('exact amounts are paid as entered and the rest is split equally', () => {
+    const split = computeSplit(makeState({
+        items: [{ id: 0, name: 'Platter', price: 40, shareMode: 'amount', personShares: { 0: 15, 1: null, 2: null } }]
+    }));
+
+    assert.deepEqual(split.people.map(p => p.subtotal), [1500, 1250, 1250]);
+    assert.equal(split.items[0].allocated, 4000);
+});
+
+test('amounts that leave part of the price unassigned are not stretched', () => {
+    const split = computeSplit(makeState({
+        items: [{ id: 0, name: 'Platter', price: 40, shareMode: 'amount', personShares: { 0: 15, 1: 10 } }]
+    }));
+
+    assert.deepEqual(split.people.map(p => p.subtotal), [1500, 1000, 0]);
+    assert.equal(split.items[0].allocated, 2500);
+});
+
+test('percentage shares take that part of the price', () => {
+    const shared = percents => computeSplit(makeState({
+        items: [{ id: 0, name: 'Wine', price: 30, shareMode: 'percent', personShares: percents }]
+    })).items[0];
+
+    assert.deepEqual(shared({ 0: 50, 1: 30, 2: 20 }).shares[0], { quantity: 50, amount: 1500 });
+    assert.equal(shared({ 0: 50, 1: 30 }).allocated, 2400); // 20% left unassigned
+    assert.equal(shared({ 0: 60, 1: 60 }).allocated, 3000); // Scaled down to the price
+    assert.equal(shared({ 0: 60, 1: 60 }).totalQuantity, 120);
+});
+
+test('a discount linked to an item shared by amounts follows those amounts', () => {
+    const split = computeSplit(makeState({
+        items: [
+            { id: 0, name: 'Platter', price: 40, shareMode: 'amount', personShares: { 0: 30, 1: null } },
+            { id: 1, name: 'Platter discount', price: -8, parentId: 0 }
+        ]
+    }));
+
+    assert.equal(split.items[1].shares[0].amount, -600);
+    assert.equal(split.items[1].shares[1].amount, -200);
+});
+
+test('reconcileSplit lists items nobody fully pays for and the money left over', () => {
+    const split = computeSplit(makeState({
+        tax: 10,
+        items: [
+            { id: 0, name: 'Pizza', price: 30, personQuantities: { 0: 1, 1: 1 } },
+            { id: 1, name: 'Wine', price: 20, personQuantities: {} },
+            { id: 2, name: 'Cake', price: 10, shareMode: 'percent', personShares: { 2: 50 } }
+        ]
+    }));
+    const reconciliation = reconcileSplit(split);
+
+    assert.deepEqual(reconciliation.items.map(i => [i.name, i.status, i.missing]), [
+        ['Wine', 'unassigned', 2000],
+        ['Cake', 'partial', 500]
+    ]);
+    assert.equal(reconciliation.billTotal, 6600);
+    assert.equal(reconciliation.gap, 2750); // 25.00 of items plus their 2.50 of tax
+});
+
+test('reconcileSplit finds nothing to fix in a fully assigned bill', () => {
+    const split = computeSplit(makeState({
+        tax: 8,
+        tip: 15,
+        items: [{ id: 0, name: 'Pizza', price: 31, personQuantities: { 0: 1, 1: 1, 2: 1 } }]
+    }));
+
+    assert.deepEqual(reconcileSplit(split), { items: [], billTotal: split.grandTotal, gap: 0 });
+});
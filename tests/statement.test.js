@@ -0,0 +1,56 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { personStatement, statementLines, statementPDF } = require('../statement.js');
+const { computeSplit } = require('../split.js');
+const { createDefaultState } = require('../bill.js');
+
+function makeSplit() {
+    return computeSplit({
+        ...createDefaultState(),
+        people: [{ id: 0, name: 'Alice' }, { id: 1, name: 'Bob' }],
+        items: [
+            { id: 0, name: 'Pizza', price: 18, personQuantities: { 0: 2, 1: 1 } },
+            { id: 1, name: 'Soda', price: 3, shareMode: 'percent', personShares: { 1: 100 } }
+        ],
+        tax: 10,
+        tip: 0
+    });
+}
+
+const money = minor => (minor / 100).toFixed(2);
+
+test('personStatement takes the person\'s lines and totals from the split', () => {
+    const statement = personStatement(makeSplit(), 1, { title: 'Team lunch', date: '2026-10-13', paid: 1000 });
+
+    assert.deepEqual(statement.lines, [
+        { name: 'Pizza', mode: 'quantity', quantity: 1, unit: 600, amount: 600 },
+        { name: 'Soda', mode: 'percent', quantity: 100, unit: null, amount: 300 }
+    ]);
+    assert.deepEqual([statement.subtotal, statement.tax, statement.tip, statement.total], [900, 90, 0, 990]);
+    assert.equal(statement.paid, 1000);
+    assert.equal(personStatement(makeSplit(), 7), null);
+});
+
+test('statementLines lines up amounts and shows unit shares', () => {
+    const lines = statementLines(personStatement(makeSplit(), 0, { title: 'Team lunch' }), money);
+    const texts = lines.map(line => line.text);
+
+    assert.ok(texts.includes('Pizza' + ' '.repeat(38) + '12.00'));
+    assert.ok(texts.includes('  2 × 6.00'));
+    assert.ok(lines.every(line => line.text.length <= 48));
+    assert.deepEqual(lines.find(line => line.text.startsWith('TOTAL')), { text: 'TOTAL' + ' '.repeat(38) + '13.20', bold: true });
+});
+
+test('statementPDF writes a PDF whose cross-reference table points at its objects', () => {
+    const bytes = statementPDF([{ text: 'Café (tab) 2 × 6.00', bold: false }, { text: 'Пицца', bold: true }]);
+    const pdf = String.fromCharCode(...bytes);
+
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.ok(pdf.includes('(Caf\xe9 \\(tab\\) 2 \xd7 6.00) Tj'));
+    assert.ok(pdf.includes('/F2 10 Tf 1 0 0 1 154 768 Tm (?????) Tj'));
+    const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    const offsets = [...pdf.slice(startxref).matchAll(/(\d{10}) 00000 n/g)].map(m => Number(m[1]));
+    offsets.forEach((offset, idx) => assert.ok(pdf.startsWith(`${idx + 1} 0 obj`, offset)));
+});